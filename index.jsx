@@ -8,171 +8,481 @@
 // import { Label } from "@/components/ui/label";
 // import { Slider } from "@/components/ui/slider";
 // import { Mic, Play, Square, Repeat, Sun, Moon, Trash2, Download } from "lucide-react";
-// import { Radar, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, ResponsiveContainer, Radar as RechartsRadar } from "recharts";
+// import { Radar, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, ResponsiveContainer, Radar as RechartsRadar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine } from "recharts";
 // import WaveSurfer from "wavesurfer.js";
+// import RegionsPlugin from "wavesurfer.js/dist/plugins/regions.esm.js";
+// import { parse as parseYaml } from "yaml";
+// import JSZip from "jszip";
+// import { createRecorder, listMicrophones, decodeAudioBlob } from "./recorder.js";
+// import {
+//   tokenize, levenshtein, scoreKeyFeatures, scoreShortAnswer, analyzeAlignment, PAUSE_LIMITS,
+//   estimateFluency, analyzeAudioFluency, estimatePronunciation, analyzePronunciation, scoreOverall,
+//   estimateSkillScores, wordTimings, shadowingLag, pronounce, toIpa, config as scoringConfig,
+// } from "./scoring/index.js";
+// import { splitSentences, checkSpelling, checkGrammar } from "./scoring/writing.js";
 
 // // ---------------------------------------------
 // // Utility helpers
 // // ---------------------------------------------
 // const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
 // const uid = () => Math.random().toString(36).slice(2);
-// const tokenize = (s) => (s || "").toLowerCase().replace(/[^a-z0-9\s']/g, " ").split(/\s+/).filter(Boolean);
-
-// function levenshtein(a, b) {
-//   const m = a.length, n = b.length;
-//   const dp = Array.from({ length: m + 1 }, () => Array(n + 1).fill(0));
-//   for (let i = 0; i <= m; i++) dp[i][0] = i;
-//   for (let j = 0; j <= n; j++) dp[0][j] = j;
-//   for (let i = 1; i <= m; i++) {
-//     for (let j = 1; j <= n; j++) {
-//       const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-//       dp[i][j] = Math.min(
-//         dp[i - 1][j] + 1,
-//         dp[i][j - 1] + 1,
-//         dp[i - 1][j - 1] + cost
-//       );
-//     }
-//   }
-//   return dp[m][n];
-// }
-
-// function approxPhonetic(word) {
-//   return word
-//     .toLowerCase()
-//     .replace(/ph/g, "f")
-//     .replace(/ght/g, "t")
-//     .replace(/kn/g, "n")
-//     .replace(/wr/g, "r")
-//     .replace(/wh/g, "w")
-//     .replace(/tion\b/g, "shun")
-//     .replace(/sion\b/g, "zhun")
-//     .replace(/qu/g, "kw")
-//     .replace(/c(?=[eiy])/g, "s")
-//     .replace(/c/g, "k")
-//     .replace(/x/g, "ks")
-//     .replace(/[^a-z]/g, "");
-// }
-
-// function analyzeAlignment(refText, hypText) {
-//   const ref = tokenize(refText);
-//   const hyp = tokenize(hypText);
-//   let matched = 0, missed = 0, extra = 0, approx = 0;
-//   const details = [];
-//   const used = new Set();
-
-//   ref.forEach((w, i) => {
-//     if (hyp[i] === w) {
-//       matched++; used.add(i); details.push({ word: w, status: "correct" });
-//     } else {
-//       details.push({ word: w, status: "pending" });
-//     }
-//   });
 
-//   details.forEach((d, i) => {
-//     if (d.status !== "pending") return;
-//     const idx = hyp.findIndex((h, j) => !used.has(j) && h === d.word);
-//     if (idx !== -1) { matched++; used.add(idx); d.status = "correct"; return; }
-//     const key = approxPhonetic(d.word);
-//     const idx2 = hyp.findIndex((h, j) => !used.has(j) && approxPhonetic(h) === key);
-//     if (idx2 !== -1) { approx++; used.add(idx2); d.status = "approx"; return; }
-//     const idx3 = hyp.findIndex((h, j) => !used.has(j) && levenshtein(h, d.word) === 1);
-//     if (idx3 !== -1) { approx++; used.add(idx3); d.status = "approx"; return; }
-//     missed++; d.status = "missed";
-//   });
+// function downloadBlob(blob, fileName) {
+//   const url = URL.createObjectURL(blob);
+//   const a = document.createElement("a");
+//   a.href = url; a.download = fileName; a.click();
+//   setTimeout(() => URL.revokeObjectURL(url), 1000);
+// }
+
+// async function analyzeRecordingAudio(blob) {
+//   try {
+//     const samples = await decodeAudioBlob(blob, 16000);
+//     return analyzeAudioFluency(samples, 16000);
+//   } catch (e) {
+//     console.warn('Acoustic analysis failed', e);
+//     return null;
+//   }
+// }
 
-//   hyp.forEach((h, j) => { if (!used.has(j)) extra++; });
+// // Waveform regions for pauses (amber), hesitations (red) and leading/trailing silence (grey).
+// function pauseRegions(acoustic) {
+//   if (!acoustic) return [];
+//   const regions = acoustic.pauses.map((p) => ({
+//     start: p.start, end: p.end,
+//     color: p.long ? "rgba(244, 63, 94, 0.25)" : "rgba(245, 158, 11, 0.2)",
+//   }));
+//   if (acoustic.leadingSilence > PAUSE_LIMITS.minPause) regions.push({ start: 0, end: acoustic.leadingSilence, color: "rgba(115, 115, 115, 0.2)" });
+//   if (acoustic.trailingSilence > PAUSE_LIMITS.minPause) regions.push({ start: acoustic.duration - acoustic.trailingSilence, end: acoustic.duration, color: "rgba(115, 115, 115, 0.2)" });
+//   return regions;
+// }
 
-//   const contentAcc = ref.length ? Math.round((matched / ref.length) * 100) : 0;
-//   return { matched, missed, extra, approx, contentAcc, details, ref, hyp };
+// // Waveform regions for every spoken word (wordTimings), coloured like WordFeedback. Words that
+// // were not what the passage says carry their label.
+// const WORD_REGION_COLORS = {
+//   correct: "rgba(16, 185, 129, 0.2)",
+//   approx: "rgba(245, 158, 11, 0.3)",
+//   substituted: "rgba(244, 63, 94, 0.3)",
+//   inserted: "rgba(115, 115, 115, 0.25)",
+// };
+// function wordRegions(align, timings) {
+//   if (!align || !timings) return [];
+//   return align.ops
+//     .filter((o) => o.hypIndex !== null && timings.words[o.hypIndex])
+//     .map((o) => {
+//       const { start, end } = timings.words[o.hypIndex];
+//       return { start, end, color: WORD_REGION_COLORS[o.type], content: o.type === "correct" ? undefined : o.hyp };
+//     });
 // }
 
-// function estimateFluency(hypText, durationSec) {
-//   const words = tokenize(hypText).length;
-//   const wpm = durationSec > 0 ? (words / durationSec) * 60 : 0;
-//   let score = 0;
-//   if (wpm <= 60) score = 50;
-//   else if (wpm <= 80) score = 65;
-//   else if (wpm <= 95) score = 78;
-//   else if (wpm <= 125) score = 90;
-//   else if (wpm <= 150) score = 80;
-//   else score = 65;
-//   return { wpm: Math.round(wpm), fluencyScore: score };
+// // Transcript index of the word being played, or -1.
+// const activeWordIndex = (timings, time) =>
+//   timings && time !== null ? timings.words.findIndex((w) => time >= w.start && time < w.end) : -1;
+
+// // ---------------------------------------------
+// // Speech recognition backends
+// // ---------------------------------------------
+// // Every backend returned by getRecognizer has the same surface:
+// //   start() / stop()            begin and end a live session (no-ops for blob backends)
+// //   transcribeBlob(blob)        transcribe a finished recording; resolves with the text ("" on failure)
+// //   onInterim(text) / onFinal(text) / onEnd() / onError(err)   assign as properties
+// //   onWords(words)              [{ word, start, end }] seconds into the recording, from blob
+// //                               backends whose engine times words
+// //   streaming                   true when results arrive while speaking (Web Speech),
+// //                               false when they only arrive from transcribeBlob
+// const ASR_SETTINGS_KEY = "pte-asr";
+// const ASR_DEFAULTS = { backend: "webspeech", endpoint: "http://127.0.0.1:8080/inference", wasmModule: "" };
+
+// function loadAsrSettings() {
+//   try {
+//     return { ...ASR_DEFAULTS, ...JSON.parse(localStorage.getItem(scopedKey(ASR_SETTINGS_KEY)) || "{}") };
+//   } catch (e) {
+//     return { ...ASR_DEFAULTS };
+//   }
 // }
 
-// function estimatePronunciation(alignment) {
-//   const { matched, approx, ref } = alignment;
-//   const base = ref.length ? (matched + 0.6 * approx) / ref.length : 0;
-//   let score = Math.round(base * 95);
-//   const hard = ["th", "r", "l", "v", "w", "tion", "sion", "ed ", "tch"];
-//   const refText = alignment.ref.join(" ");
-//   const hardHits = hard.reduce((acc, h) => acc + (refText.includes(h) ? 1 : 0), 0);
-//   score -= Math.min(10, hardHits * 1.5);
-//   return clamp(score, 20, 95);
+// function saveAsrSettings(settings) {
+//   try { localStorage.setItem(scopedKey(ASR_SETTINGS_KEY), JSON.stringify(settings)); } catch (e) { console.warn('saveAsrSettings failed', e); }
 // }
 
-// function scoreOverall(content, pron, flu) {
-//   return Math.round(content * 0.5 + pron * 0.25 + flu * 0.25);
+// function baseRecognizer(name, streaming) {
+//   return {
+//     name, streaming,
+//     onInterim: null, onFinal: null, onWords: null, onEnd: null, onError: null,
+//     emit(event, arg) {
+//       const fn = this[event];
+//       if (typeof fn !== 'function') return;
+//       try { fn(arg); } catch (e) { console.warn(`Recognizer ${event} handler failed`, e); }
+//     },
+//   };
 // }
 
-// // Speech utilities
-// const getRecognizer = () => {
-//   if (typeof window === 'undefined') return null;
+// function createWebSpeechRecognizer({ interimResults = true, continuous = false } = {}) {
 //   const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
 //   if (!SR) return null;
+//   const r = new SR();
+//   r.lang = "en-US";
+//   r.interimResults = interimResults;
+//   r.continuous = continuous;
+//   r.maxAlternatives = 1;
+//   const api = baseRecognizer("webspeech", true);
+//   r.onresult = (e) => {
+//     for (let i = e.resultIndex; i < e.results.length; i++) {
+//       const res = e.results[i];
+//       api.emit(res.isFinal ? "onFinal" : "onInterim", res[0].transcript);
+//     }
+//   };
+//   r.onend = () => api.emit("onEnd");
+//   r.onerror = (err) => api.emit("onError", err);
+//   api.start = () => r.start();
+//   api.stop = () => r.stop();
+//   api.transcribeBlob = async () => "";
+//   return api;
+// }
+
+// function createBlobRecognizer(name, transcribe) {
+//   const api = baseRecognizer(name, false);
+//   api.start = () => {};
+//   api.stop = () => {};
+//   api.transcribeBlob = async (blob) => {
+//     try {
+//       // engines answer with the text, or with { text, words } when they time words
+//       const result = await transcribe(blob);
+//       const text = String((result && typeof result === "object" ? result.text : result) || "").trim();
+//       if (text && result && Array.isArray(result.words) && result.words.length) api.emit("onWords", result.words);
+//       if (text) api.emit("onFinal", text);
+//       return text;
+//     } catch (e) {
+//       api.emit("onError", e);
+//       return "";
+//     } finally {
+//       api.emit("onEnd");
+//     }
+//   };
+//   return api;
+// }
+
+// // True for endpoints on this machine (localhost, 127.x.x.x, [::1]); anything else receives the audio over the network.
+// function isLocalEndpoint(endpoint) {
 //   try {
-//     const r = new SR();
-//     r.lang = "en-US";
-//     r.interimResults = true;
-//     r.maxAlternatives = 1;
-//     return r;
+//     const host = new URL(endpoint).hostname;
+//     return host === "localhost" || host.endsWith(".localhost") || /^127(\.\d{1,3}){3}$/.test(host) || host === "[::1]";
+//   } catch (e) {
+//     return false;
+//   }
+// }
+
+// // Works with whisper.cpp's `server` and other endpoints that take a multipart `file` and answer { text }.
+// // verbose_json asks for word timestamps, as `words` (OpenAI style) or per segment (whisper.cpp).
+// async function transcribeViaHttp(endpoint, blob) {
+//   if (!endpoint) throw new Error('No transcription endpoint configured');
+//   const form = new FormData();
+//   form.append("file", blob, "attempt.webm");
+//   form.append("response_format", "verbose_json");
+//   form.append("timestamp_granularities[]", "word");
+//   const res = await fetch(endpoint, { method: "POST", body: form });
+//   if (!res.ok) throw new Error(`Transcription endpoint returned ${res.status}`);
+//   const data = await res.json();
+//   const words = Array.isArray(data.words) ? data.words : (Array.isArray(data.segments) ? data.segments : []).flatMap((seg) => seg.words || []);
+//   return { text: data.text || "", words: words.filter((w) => typeof w.start === "number" && typeof w.end === "number") };
+// }
+
+// // The WASM engine (a whisper.cpp or Vosk browser build, for example) is loaded from a user-supplied
+// // ES module exporting `transcribe(samples: Float32Array, sampleRate: number) => Promise<string | { text, words }>`
+// // (words as [{ word, start, end }] seconds, when the engine times them).
+// // Decoding and resampling happen here so the module only has to run the model.
+// const wasmEngines = new Map();
+// async function transcribeViaWasm(moduleUrl, blob) {
+//   if (!moduleUrl) throw new Error('No local engine module configured');
+//   if (!wasmEngines.has(moduleUrl)) {
+//     const loading = import(/* webpackIgnore: true */ /* @vite-ignore */ moduleUrl);
+//     loading.catch(() => wasmEngines.delete(moduleUrl));
+//     wasmEngines.set(moduleUrl, loading);
+//   }
+//   const engine = await wasmEngines.get(moduleUrl);
+//   if (!engine || typeof engine.transcribe !== 'function') throw new Error('Local engine module has no transcribe() export');
+//   const samples = await decodeAudioBlob(blob, 16000);
+//   return engine.transcribe(samples, 16000);
+// }
+
+// const getRecognizer = (opts = {}) => {
+//   if (typeof window === 'undefined') return null;
+//   const settings = loadAsrSettings();
+//   try {
+//     if (settings.backend === "http") return createBlobRecognizer("http", (blob) => transcribeViaHttp(settings.endpoint, blob));
+//     if (settings.backend === "wasm") return createBlobRecognizer("wasm", (blob) => transcribeViaWasm(settings.wasmModule, blob));
+//     return createWebSpeechRecognizer(opts);
 //   } catch (e) {
 //     console.warn('getRecognizer failed', e);
 //     return null;
 //   }
 // };
 
-// // Utility: safely stop recorder and stream without throwing
-// function safeStopMedia({ mediaRef, streamRef, setStatus, isMountedRef }) {
+// // Prompt voices: the profile picks a specific voice, or an accent (rotating British,
+// // Australian and American speakers like the real exam), plus a speaking rate.
+// const ACCENTS = [
+//   { lang: "en-GB", label: "British" },
+//   { lang: "en-AU", label: "Australian" },
+//   { lang: "en-US", label: "American" },
+// ];
+// const PROMPT_LEAD_IN_SEC = 3;
+// let accentTurn = 0;
+
+// function pickVoice(settings = loadProfileSettings()) {
+//   const voices = window.speechSynthesis.getVoices();
+//   const chosen = settings.ttsVoice && voices.find((v) => v.name === settings.ttsVoice);
+//   if (chosen) return chosen;
+//   const lang = settings.ttsAccent === "rotate" ? ACCENTS[accentTurn++ % ACCENTS.length].lang : settings.ttsAccent;
+//   const matches = voices.filter((v) => v.lang.replace("_", "-").toLowerCase().startsWith(String(lang).toLowerCase()));
+//   return matches.find((v) => v.localService) || matches[0] || null;
+// }
+
+// // Speak text once, sentence by sentence (long single utterances get cut off in Chrome),
+// // and call onDone after the last sentence or on failure. All sentences share one voice.
+// function speakOnce(text, onDone = () => {}) {
 //   try {
-//     if (mediaRef && mediaRef.current) {
-//       const state = mediaRef.current.state;
-//       if (state && state !== 'inactive') {
-//         try { mediaRef.current.stop(); } catch (err) { console.warn('Error stopping MediaRecorder:', err); }
-//       }
-//       try { mediaRef.current = null; } catch(e){}
-//     }
-//   } catch (err) {
-//     console.warn('safeStopMedia mediaRef error', err);
+//     const sentences = String(text).split(/(?<=[.!?])\s+/).filter(Boolean);
+//     if (!sentences.length) { onDone(); return; }
+//     const settings = loadProfileSettings();
+//     const voice = pickVoice(settings);
+//     window.speechSynthesis.cancel();
+//     sentences.forEach((sentence, i) => {
+//       const u = new SpeechSynthesisUtterance(sentence.trim());
+//       u.lang = voice ? voice.lang : "en-US"; u.voice = voice; u.rate = settings.ttsRate; u.pitch = 1;
+//       if (i === sentences.length - 1) { u.onend = () => onDone(); u.onerror = () => onDone(); }
+//       window.speechSynthesis.speak(u);
+//     });
+//   } catch (e) {
+//     console.warn('Speech synthesis failed', e);
+//     onDone();
 //   }
+// }
 
+// function beep(onDone) {
 //   try {
-//     if (streamRef && streamRef.current) {
-//       try {
-//         streamRef.current.getTracks().forEach((t) => { try { t.stop(); } catch (e) { /* ignore */ } });
-//       } catch (err) { console.warn('Error stopping tracks', err); }
-//       try { streamRef.current = null; } catch(e){}
-//     }
-//   } catch (err) {
-//     console.warn('safeStopMedia streamRef error', err);
+//     const ctx = new (window.AudioContext || window.webkitAudioContext)();
+//     const osc = ctx.createOscillator();
+//     const gain = ctx.createGain();
+//     osc.frequency.value = 880;
+//     gain.gain.value = 0.15;
+//     osc.connect(gain).connect(ctx.destination);
+//     osc.onended = () => ctx.close();
+//     osc.start();
+//     osc.stop(ctx.currentTime + 0.25);
+//   } catch (e) {
+//     console.warn('Beep failed', e);
 //   }
+//   setTimeout(onDone, 400);
+// }
 
-//   // call setStatus only if it's a function and component is still mounted
-//   try {
-//     if (typeof setStatus === 'function' && (!isMountedRef || isMountedRef.current)) {
-//       setStatus('Stopped.');
-//     }
-//   } catch (err) { console.warn('safeStopMedia setStatus error', err); }
+// // Play a listening prompt the exam way: a countdown (onTick gets the seconds left), a beep,
+// // then the item's recorded `audio` file, falling back to speech synthesis when there is none
+// // or it fails to load. With `endBeep` a second beep follows the audio (Select Missing Word).
+// // Speech synthesis can go quiet without ever ending (Chrome after backgrounding, no voices
+// // installed), so a spoken prompt counts as finished after roughly this long.
+// const PROMPT_WATCHDOG = { secPerWord: 1, slackSec: 5 };
+// const speechWatchdogSec = (text) => PROMPT_WATCHDOG.slackSec
+//   + (tokenize(text).length * PROMPT_WATCHDOG.secPerWord) / (loadProfileSettings().ttsRate || 1);
+
+// // Returns stop(); a stopped prompt never calls onDone.
+// function playPrompt({ text, audio, endBeep }, { leadIn = PROMPT_LEAD_IN_SEC, onTick = () => {}, onDone = () => {} } = {}) {
+//   let stopped = false;
+//   let finished = false;
+//   let timer = null;
+//   let watchdog = null;
+//   let el = null;
+//   let fellBack = false;
+//   const done = () => { if (!stopped) { stopped = true; onDone(); } };
+//   const finish = () => {
+//     if (stopped || finished) return;
+//     finished = true; clearTimeout(watchdog);
+//     if (endBeep) beep(done); else done();
+//   };
+//   // a broken file can fire both onerror and the play() rejection; speak only once
+//   const speak = () => {
+//     if (fellBack || stopped) return;
+//     fellBack = true; el = null;
+//     watchdog = setTimeout(() => {
+//       console.warn('Speech synthesis never finished the prompt; moving on');
+//       try { window.speechSynthesis.cancel(); } catch (e) {}
+//       finish();
+//     }, speechWatchdogSec(text) * 1000);
+//     speakOnce(text, finish);
+//   };
+//   const start = () => {
+//     if (stopped) return;
+//     if (!audio) { speak(); return; }
+//     el = new Audio(audio);
+//     el.playbackRate = loadProfileSettings().ttsRate;
+//     el.onended = finish;
+//     el.onerror = speak;
+//     el.play().catch((e) => { console.warn('Prompt audio failed, using speech synthesis', e); speak(); });
+//   };
+//   let left = leadIn;
+//   onTick(left);
+//   if (left <= 0) beep(start);
+//   else {
+//     timer = setInterval(() => {
+//       left -= 1;
+//       if (!stopped) onTick(left);
+//       if (left <= 0) { clearInterval(timer); beep(start); }
+//     }, 1000);
+//   }
+//   return () => {
+//     stopped = true;
+//     clearInterval(timer);
+//     clearTimeout(watchdog);
+//     if (el) { try { el.pause(); } catch (e) {} el = null; }
+//     try { window.speechSynthesis.cancel(); } catch (e) {}
+//   };
+// }
+
+// // Prompt playback for the practice cards. With the profile's one-play rule a prompt can't be
+// // replayed until reset() arms it for the next item.
+// function usePromptPlayer() {
+//   const [state, setState] = useState({ leadIn: 0, playing: false, played: false });
+//   const stopRef = useRef(null);
+//   useEffect(() => () => { if (stopRef.current) stopRef.current(); }, []);
+
+//   const play = (prompt, onDone) => {
+//     if (stopRef.current) stopRef.current();
+//     setState({ leadIn: PROMPT_LEAD_IN_SEC, playing: true, played: true });
+//     stopRef.current = playPrompt(prompt, {
+//       onTick: (leadIn) => setState((st) => ({ ...st, leadIn })),
+//       onDone: () => { stopRef.current = null; setState((st) => ({ ...st, playing: false })); if (onDone) onDone(); },
+//     });
+//   };
+//   const reset = () => {
+//     if (stopRef.current) stopRef.current();
+//     stopRef.current = null;
+//     setState({ leadIn: 0, playing: false, played: false });
+//   };
+//   const canPlay = !state.playing && (!state.played || !loadProfileSettings().onePlay);
+//   return { ...state, play, reset, canPlay };
+// }
+
+// function PromptButton({ player, prompt, children = "Play Audio" }) {
+//   const label = player.playing
+//     ? (player.leadIn > 0 ? `Starting in ${player.leadIn}…` : "Playing…")
+//     : (player.canPlay ? children : "Played");
+//   return <Button variant="secondary" onClick={() => player.play(prompt)} disabled={!player.canPlay}><Play className="mr-2 h-4 w-4"/> {label}</Button>;
+// }
+
+// function recognizerAvailable() {
+//   if (typeof window === 'undefined') return false;
+//   const { backend } = loadAsrSettings();
+//   return backend !== "webspeech" || !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+// }
+
+// // ---------------------------------------------
+// // Recording (every speaking task goes through useRecorder and recorder.js)
+// // ---------------------------------------------
+// // With the profile's silence setting on, a recording ends after this much silence, as in the exam.
+// const RECORDER_SILENCE_STOP_SEC = 3;
+// const RECORDER_WARNINGS = {
+//   clipping: "Your input is clipping. Move back from the microphone or lower its gain.",
+//   quiet: "Your input is very quiet. Move closer or raise the microphone volume.",
+// };
+
+// // The microphone and silence auto-stop come from the active profile at start(), so a change in
+// // Settings applies to the next recording. `onStop(result)` receives recorder.js's result
+// // ({ blob, durationSec, pauses, reason, … }); start errors land in `error` for RecorderMeter.
+// function useRecorder({ maxSec = 0, onStop } = {}) {
+//   const [recording, setRecording] = useState(false);
+//   const [meter, setMeter] = useState({ level: 0, seconds: 0, silentSec: 0 });
+//   const [warning, setWarning] = useState(null);
+//   const [error, setError] = useState("");
+//   const recRef = useRef(null);
+//   const onStopRef = useRef(onStop);
+//   onStopRef.current = onStop;
+//   const isMountedRef = useRef(true);
+//   useEffect(() => { isMountedRef.current = true; return () => { isMountedRef.current = false; if (recRef.current) recRef.current.cancel(); }; }, []);
+
+//   async function start() {
+//     if (recRef.current) recRef.current.cancel();
+//     const settings = loadProfileSettings();
+//     const rec = createRecorder({
+//       deviceId: settings.micDeviceId,
+//       maxSec,
+//       silenceStopSec: settings.silenceStop ? RECORDER_SILENCE_STOP_SEC : 0,
+//       // rounded so the card only re-renders when the meter visibly moves
+//       onLevel: ({ level, seconds, silentSec }) => {
+//         if (isMountedRef.current) setMeter({ level: Math.round(level * 20) / 20, seconds: Math.floor(seconds), silentSec: Math.floor(silentSec) });
+//       },
+//       onWarning: (w) => { if (isMountedRef.current) setWarning(w); },
+//       onStop: (result) => {
+//         if (recRef.current === rec) recRef.current = null;
+//         if (isMountedRef.current) setRecording(false);
+//         if (onStopRef.current) onStopRef.current(result);
+//       },
+//       onError: (message) => { if (isMountedRef.current) setError(message); },
+//     });
+//     recRef.current = rec;
+//     setError(""); setWarning(null); setMeter({ level: 0, seconds: 0, silentSec: 0 });
+//     const ok = await rec.start();
+//     if (ok && recRef.current === rec && isMountedRef.current) setRecording(true);
+//     return ok;
+//   }
+
+//   // Resolves with the result (after onStop has run), or null if nothing was recording.
+//   const stop = () => (recRef.current ? recRef.current.stop() : Promise.resolve(null));
+
+//   // Discards the current recording; onStop is not called.
+//   function cancel() {
+//     if (recRef.current) recRef.current.cancel();
+//     recRef.current = null;
+//     setRecording(false); setWarning(null); setError(""); setMeter({ level: 0, seconds: 0, silentSec: 0 });
+//   }
+
+//   return { recording, ...meter, warning, error, start, stop, cancel };
 // }
 
+// function RecorderMeter({ recorder }) {
+//   if (recorder.error) return <p className="text-sm text-rose-600">{recorder.error}</p>;
+//   if (!recorder.recording) return null;
+//   const silenceStop = loadProfileSettings().silenceStop;
+//   return (
+//     <div className="space-y-1">
+//       <div className="flex items-center gap-2">
+//         <Mic className="h-4 w-4 opacity-70"/>
+//         <div className="h-2 flex-1 rounded bg-neutral-200 dark:bg-neutral-700 overflow-hidden">
+//           <div className={`h-full transition-all ${recorder.warning === "clipping" ? "bg-rose-600" : "bg-emerald-600"}`} style={{ width: `${recorder.level * 100}%` }}/>
+//         </div>
+//       </div>
+//       {recorder.warning && <p className="text-xs text-amber-600">{RECORDER_WARNINGS[recorder.warning]}</p>}
+//       {silenceStop && recorder.silentSec >= 1 && (
+//         <p className="text-xs opacity-70">Silence — recording stops in {Math.max(0, RECORDER_SILENCE_STOP_SEC - recorder.silentSec)}s.</p>
+//       )}
+//     </div>
+//   );
+// }
+
+// const STOP_REASONS = {
+//   silence: `Recording stopped after ${RECORDER_SILENCE_STOP_SEC}s of silence.`,
+//   time: "Time's up. Recording stopped.",
+//   manual: "Recording stopped.",
+// };
+
 // // WaveSurfer init
-// function useWaveSurfer(containerRef, audioUrl) {
+// // `regions` is an optional [{ start, end, color, content }] list painted over the waveform (pauseRegions,
+// // wordRegions). Returns { wsRef, time, playSpan, stop }: `time` is the playhead while the recording plays
+// // (null before it starts and after it ends). playSpan(start, end, { loop, onEnd }) plays from `start` to
+// // `end` (or the end of the recording), over and over with `loop`; `onEnd` runs when a single play ends.
+// function useWaveSurfer(containerRef, audioUrl, regions) {
 //   const wsRef = useRef(null);
+//   const regionsPluginRef = useRef(null);
+//   const regionsRef = useRef(regions);
+//   regionsRef.current = regions;
+//   const spanRef = useRef(null);
+//   const [time, setTime] = useState(null);
+
 //   useEffect(() => {
 //     if (!containerRef || !containerRef.current) return;
 //     if (wsRef.current) { try { wsRef.current.destroy(); } catch(e){} wsRef.current = null; }
+//     setTime(null);
 //     if (!audioUrl) return;
 //     let ws;
 //     try {
+//       const regionsPlugin = RegionsPlugin.create();
 //       ws = WaveSurfer.create({
 //         container: containerRef.current,
 //         height: 64,
@@ -180,56 +490,360 @@
 //         barWidth: 2,
 //         normalize: true,
 //         responsive: true,
+//         plugins: [regionsPlugin],
+//       });
+//       ws.on('decode', () => paintRegions(regionsPlugin, regionsRef.current));
+//       // rounded so listeners re-render every 50 ms at most
+//       ws.on('timeupdate', (t) => {
+//         const span = spanRef.current;
+//         if (span && typeof span.end === "number" && t >= span.end) {
+//           if (span.loop) ws.setTime(span.start);
+//           else { spanRef.current = null; ws.pause(); if (span.onEnd) span.onEnd(); }
+//         }
+//         if (ws.isPlaying()) setTime(Math.round(t * 20) / 20);
+//       });
+//       ws.on('finish', () => {
+//         const span = spanRef.current;
+//         if (span && span.loop) { ws.setTime(span.start); Promise.resolve(ws.play()).catch((e) => console.warn('Playback failed', e)); return; }
+//         spanRef.current = null;
+//         setTime(null);
+//         if (span && span.onEnd) span.onEnd();
 //       });
+//       // clicking the waveform takes over from a span or loop
+//       ws.on('interaction', () => { spanRef.current = null; });
 //       ws.load(audioUrl);
 //       wsRef.current = ws;
+//       regionsPluginRef.current = regionsPlugin;
 //     } catch (e) {
 //       console.warn('WaveSurfer init failed', e);
 //     }
-//     return () => { try { if (wsRef.current) wsRef.current.destroy(); } catch (e) {} };
+//     return () => { try { if (wsRef.current) wsRef.current.destroy(); } catch (e) {} regionsPluginRef.current = null; };
 //   }, [containerRef, audioUrl]);
-//   return wsRef;
+
+//   useEffect(() => {
+//     const ws = wsRef.current;
+//     if (ws && regionsPluginRef.current && ws.getDuration() > 0) paintRegions(regionsPluginRef.current, regions);
+//   }, [regions]);
+
+//   function playSpan(start, end, { loop = false, onEnd } = {}) {
+//     const ws = wsRef.current;
+//     if (!ws) return;
+//     try {
+//       spanRef.current = { start, end, loop, onEnd };
+//       ws.setTime(start);
+//       Promise.resolve(ws.play()).catch((e) => console.warn('Playback failed', e));
+//     } catch (e) { console.warn('Playback failed', e); }
+//   }
+
+//   function stop() {
+//     spanRef.current = null;
+//     try { if (wsRef.current) wsRef.current.pause(); } catch (e) { console.warn('Pause failed', e); }
+//   }
+
+//   return { wsRef, time, playSpan, stop };
+// }
+
+// function paintRegions(plugin, regions) {
+//   try {
+//     plugin.clearRegions();
+//     (regions || []).forEach((r) => plugin.addRegion({ start: r.start, end: r.end, color: r.color, content: r.content, drag: false, resize: false }));
+//   } catch (e) { console.warn('WaveSurfer regions failed', e); }
+// }
+
+// // ---------------------------------------------
+// // Profiles (per-learner history, review queue and settings)
+// // ---------------------------------------------
+// // Per-profile data lives under the usual keys suffixed with "@<profile id>"; the default
+// // profile keeps the bare keys (and the original attempt database), so data saved before
+// // profiles existed belongs to it. Content packs are shared by every profile on the device.
+// // The PIN only keeps classmates out of each other's profiles: it is hashed, but everything
+// // is still stored unencrypted in this browser.
+// const PROFILES_KEY = "pte-profiles";
+// const DEFAULT_PROFILE_ID = "default";
+// const SETTINGS_KEY = "pte-settings";
+// const SETTINGS_DEFAULTS = { dark: false, targetBand: 65, ttsVoice: "", ttsAccent: "rotate", ttsRate: 1, onePlay: true, micDeviceId: "", silenceStop: true, strictTimers: true };
+
+// let activeProfileId = null;
+
+// function loadProfiles() {
+//   let stored = null;
+//   try { stored = JSON.parse(localStorage.getItem(PROFILES_KEY) || "null"); } catch (e) { console.warn('loadProfiles failed', e); }
+//   const profiles = stored && Array.isArray(stored.profiles) && stored.profiles.length
+//     ? stored.profiles
+//     : [{ id: DEFAULT_PROFILE_ID, name: "Default", pinHash: "" }];
+//   const active = stored && profiles.some((p) => p.id === stored.active) ? stored.active : profiles[0].id;
+//   return { active, profiles };
+// }
+
+// function saveProfiles(state) {
+//   try { localStorage.setItem(PROFILES_KEY, JSON.stringify(state)); } catch (e) { console.warn('saveProfiles failed', e); }
+// }
+
+// function currentProfileId() {
+//   if (activeProfileId === null) activeProfileId = loadProfiles().active;
+//   return activeProfileId;
+// }
+
+// const scopedKey = (base, id = currentProfileId()) => (id === DEFAULT_PROFILE_ID ? base : `${base}@${id}`);
+
+// // Every localStorage key that belongs to a profile (used when deleting one).
+// const profileStorageKeys = () => [SETTINGS_KEY, ASR_SETTINGS_KEY, REVIEW_KEY, REVIEWER_KEY];
+
+// function loadProfileSettings() {
+//   try {
+//     const stored = JSON.parse(localStorage.getItem(scopedKey(SETTINGS_KEY)) || "{}");
+//     delete stored.targetScore; // older separate 0–100 chart target; the charts now use targetBand
+//     return { ...SETTINGS_DEFAULTS, ...stored };
+//   } catch (e) {
+//     return { ...SETTINGS_DEFAULTS };
+//   }
+// }
+
+// function saveProfileSettings(settings) {
+//   try { localStorage.setItem(scopedKey(SETTINGS_KEY), JSON.stringify(settings)); } catch (e) { console.warn('saveProfileSettings failed', e); }
+// }
+
+// async function hashPin(profileId, pin) {
+//   const bytes = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${profileId}:${pin}`));
+//   return Array.from(new Uint8Array(bytes), (b) => b.toString(16).padStart(2, "0")).join("");
+// }
+
+// // Point every store at another profile. Callers remount the UI afterwards.
+// function activateProfile(id) {
+//   const state = loadProfiles();
+//   saveProfiles({ ...state, active: id });
+//   activeProfileId = id;
+//   closeAttemptDB();
+// }
+
+// function createProfile(name) {
+//   const state = loadProfiles();
+//   const profile = { id: uid(), name: name.trim(), pinHash: "" };
+//   saveProfiles({ ...state, profiles: [...state.profiles, profile] });
+//   return profile;
+// }
+
+// function updateProfile(id, patch) {
+//   const state = loadProfiles();
+//   saveProfiles({ ...state, profiles: state.profiles.map((p) => (p.id === id ? { ...p, ...patch } : p)) });
+// }
+
+// // Removes the profile with its attempt database and settings, then falls back to the default profile.
+// async function deleteProfile(id) {
+//   if (id === DEFAULT_PROFILE_ID) throw new Error("The default profile can't be deleted.");
+//   if (id === currentProfileId()) activateProfile(DEFAULT_PROFILE_ID);
+//   const state = loadProfiles();
+//   saveProfiles({ ...state, profiles: state.profiles.filter((p) => p.id !== id) });
+//   profileStorageKeys().forEach((key) => { try { localStorage.removeItem(scopedKey(key, id)); } catch (e) {} });
+//   await new Promise((resolve, reject) => {
+//     const req = indexedDB.deleteDatabase(attemptDbName(id));
+//     req.onsuccess = () => resolve();
+//     req.onerror = () => reject(req.error);
+//     req.onblocked = () => resolve(); // finishes once the last connection closes
+//   });
+// }
+
+// // `locked`: the active profile is behind its PIN gate, so its PIN and delete controls stay hidden.
+// function ProfileSwitcher({ state, locked, onSwitch, onChange }) {
+//   const [managing, setManaging] = useState(false);
+//   const [newName, setNewName] = useState("");
+//   const [pin, setPin] = useState("");
+//   const [currentPin, setCurrentPin] = useState("");
+//   const [message, setMessage] = useState("");
+//   const active = state.profiles.find((p) => p.id === state.active);
+//   useEffect(() => { setPin(""); setCurrentPin(""); setMessage(""); }, [state.active]);
+
+//   // Changing or removing a PIN, or deleting the profile, needs the current PIN when one is set.
+//   async function checkCurrentPin() {
+//     if (!active.pinHash || (await hashPin(active.id, currentPin)) === active.pinHash) return true;
+//     setCurrentPin(""); setMessage("Wrong current PIN.");
+//     return false;
+//   }
+
+//   function addProfile() {
+//     if (!newName.trim()) return;
+//     const profile = createProfile(newName);
+//     setNewName("");
+//     onSwitch(profile.id);
+//   }
+
+//   async function savePin() {
+//     if (pin && !/^\d{4,8}$/.test(pin)) { setMessage("Use 4 to 8 digits."); return; }
+//     if (!(await checkCurrentPin())) return;
+//     updateProfile(active.id, { pinHash: pin ? await hashPin(active.id, pin) : "" });
+//     setPin(""); setCurrentPin(""); setMessage(pin ? "PIN set." : "PIN removed.");
+//     onChange();
+//   }
+
+//   async function remove() {
+//     if (!(await checkCurrentPin())) return;
+//     if (!window.confirm(`Delete the profile "${active.name}" and all of its attempts, recordings and settings? This can't be undone.`)) return;
+//     try {
+//       await deleteProfile(active.id);
+//       setManaging(false);
+//       onSwitch(DEFAULT_PROFILE_ID);
+//     } catch (e) {
+//       setMessage(e.message);
+//     }
+//   }
+
+//   return (
+//     <div className="relative">
+//       <div className="flex items-center gap-2">
+//         <select className="rounded-md border px-2 h-9 bg-transparent text-sm" value={state.active} onChange={(e) => onSwitch(e.target.value)} aria-label="Profile">
+//           {state.profiles.map((p) => <option key={p.id} value={p.id}>{p.name}{p.pinHash ? " 🔒" : ""}</option>)}
+//         </select>
+//         <Button variant="ghost" onClick={() => { setManaging(!managing); setMessage(""); }}>Profiles</Button>
+//       </div>
+//       {managing && (
+//         <div className="absolute right-0 z-10 mt-2 w-72 rounded-xl border p-3 space-y-3 text-sm bg-white dark:bg-neutral-900 shadow-lg">
+//           <div className="space-y-1">
+//             <Label>New profile</Label>
+//             <div className="flex gap-2">
+//               <Input value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="Student name"/>
+//               <Button onClick={addProfile} disabled={!newName.trim()}>Add</Button>
+//             </div>
+//           </div>
+//           {locked ? (
+//             <div className="opacity-80">Unlock {active.name} to change its PIN or delete it.</div>
+//           ) : (
+//             <>
+//               <div className="space-y-1">
+//                 <Label>PIN for {active.name}</Label>
+//                 {active.pinHash && (
+//                   <Input type="password" inputMode="numeric" value={currentPin} onChange={(e) => { setCurrentPin(e.target.value); setMessage(""); }} placeholder="Current PIN"/>
+//                 )}
+//                 <div className="flex gap-2">
+//                   <Input type="password" inputMode="numeric" value={pin} onChange={(e) => setPin(e.target.value)} placeholder={active.pinHash ? "New PIN, or empty to remove" : "Optional PIN"}/>
+//                   <Button variant="secondary" onClick={savePin} disabled={(!pin && !active.pinHash) || (!!active.pinHash && !currentPin)}>Save</Button>
+//                 </div>
+//               </div>
+//               {active.id !== DEFAULT_PROFILE_ID && (
+//                 <Button variant="destructive" onClick={remove} disabled={!!active.pinHash && !currentPin}><Trash2 className="mr-2 h-4 w-4"/> Delete {active.name}</Button>
+//               )}
+//             </>
+//           )}
+//           {message && <div className="opacity-80">{message}</div>}
+//         </div>
+//       )}
+//     </div>
+//   );
+// }
+
+// function ProfileGate({ profile, onUnlock }) {
+//   const [pin, setPin] = useState("");
+//   const [error, setError] = useState("");
+
+//   async function unlock() {
+//     if ((await hashPin(profile.id, pin)) === profile.pinHash) { onUnlock(); return; }
+//     setError("Wrong PIN."); setPin("");
+//   }
+
+//   return (
+//     <Card className="rounded-2xl shadow-md max-w-sm mx-auto">
+//       <CardHeader><CardTitle>{profile.name} is locked</CardTitle></CardHeader>
+//       <CardContent className="space-y-3">
+//         <Input type="password" inputMode="numeric" autoFocus value={pin} placeholder="PIN"
+//           onChange={(e) => { setPin(e.target.value); setError(""); }} onKeyDown={(e) => { if (e.key === "Enter") unlock(); }}/>
+//         <Button onClick={unlock} disabled={!pin}>Unlock</Button>
+//         {error && <div className="text-sm text-rose-600">{error}</div>}
+//         <div className="text-xs opacity-70">Not you? Pick your own profile at the top.</div>
+//       </CardContent>
+//     </Card>
+//   );
 // }
 
 // // ---------------------------------------------
 // // Main App
 // // ---------------------------------------------
 // export default function PTEApp() {
-//   const [dark, setDark] = useState(false);
+//   const [profiles, setProfiles] = useState(loadProfiles);
+//   const profile = profiles.profiles.find((p) => p.id === profiles.active);
+//   const [unlocked, setUnlocked] = useState(() => !profile.pinHash);
+//   const [settings, setSettings] = useState(loadProfileSettings);
+//   const [asr, setAsr] = useState(loadAsrSettings);
+//   const dark = settings.dark;
+//   const setDark = (value) => setSettings((s) => ({ ...s, dark: value }));
+//   useEffect(() => { saveAsrSettings(asr); }, [asr]);
+//   useEffect(() => { saveProfileSettings(settings); }, [settings]);
 //   useEffect(() => { if (typeof document !== 'undefined') document.documentElement.classList.toggle("dark", dark); }, [dark]);
 
+//   function switchProfile(id) {
+//     activateProfile(id);
+//     const state = loadProfiles();
+//     setProfiles(state);
+//     setSettings(loadProfileSettings());
+//     setAsr(loadAsrSettings());
+//     setUnlocked(!state.profiles.find((p) => p.id === id).pinHash);
+//   }
+
 //   return (
 //     <div className={`min-h-screen ${dark ? "bg-neutral-900 text-neutral-100" : "bg-neutral-50 text-neutral-900"}`}>
 //       <header className="max-w-6xl mx-auto px-4 py-6 flex items-center justify-between">
 //         <div>
 //           <h1 className="text-2xl md:text-3xl font-semibold">PTE App for Students</h1>
-//           <p className="text-sm md:text-base opacity-80">Read Aloud • Listen & Repeat • Listening Comprehension • Progress Tracking</p>
+//           <p className="text-sm md:text-base opacity-80">Read Aloud • Listen & Repeat • Describe Image • Retell Lecture • Short Answers • Writing • Reading • Listening & Dictation • Mock Test • Progress Tracking</p>
 //         </div>
 //         <div className="flex items-center gap-3">
+//           <ProfileSwitcher state={profiles} locked={!unlocked} onSwitch={switchProfile} onChange={() => setProfiles(loadProfiles())}/>
 //           <Label className="flex items-center gap-2 text-sm"><Sun size={16}/> Light</Label>
 //           <Switch checked={dark} onCheckedChange={setDark} />
 //           <Label className="flex items-center gap-2 text-sm"><Moon size={16}/> Dark</Label>
 //         </div>
 //       </header>
 
-//       <main className="max-w-6xl mx-auto p-4">
-//         <Tabs defaultValue="readaloud" className="w-full">
-//           <TabsList className="grid grid-cols-3 md:grid-cols-4 gap-2">
-//             <TabsTrigger value="readaloud">Read Aloud</TabsTrigger>
-//             <TabsTrigger value="listenrepeat">Listen & Repeat</TabsTrigger>
-//             <TabsTrigger value="listening">Listening</TabsTrigger>
-//             <TabsTrigger value="history">History</TabsTrigger>
-//           </TabsList>
+//       <main key={profile.id} className="max-w-6xl mx-auto p-4">
+//         {!unlocked ? <ProfileGate profile={profile} onUnlock={() => setUnlocked(true)}/> : (
+//           <Tabs defaultValue="readaloud" className="w-full">
+//             <TabsList className="grid grid-cols-3 md:grid-cols-5 gap-2">
+//               <TabsTrigger value="readaloud">Read Aloud</TabsTrigger>
+//               <TabsTrigger value="listenrepeat">Listen & Repeat</TabsTrigger>
+//               <TabsTrigger value="describeimage">Describe Image</TabsTrigger>
+//               <TabsTrigger value="retelllecture">Retell Lecture</TabsTrigger>
+//               <TabsTrigger value="shortquestion">Short Question</TabsTrigger>
+//               <TabsTrigger value="swt">Summarize Text</TabsTrigger>
+//               <TabsTrigger value="essay">Essay</TabsTrigger>
+//               <TabsTrigger value="reading">Reading</TabsTrigger>
+//               <TabsTrigger value="listening">Listening</TabsTrigger>
+//               <TabsTrigger value="mocktest">Mock Test</TabsTrigger>
+//               <TabsTrigger value="analytics">Progress</TabsTrigger>
+//               <TabsTrigger value="history">History</TabsTrigger>
+//               <TabsTrigger value="settings">Settings</TabsTrigger>
+//             </TabsList>
 
-//           <TabsContent value="readaloud"><ReadAloudCard/></TabsContent>
-//           <TabsContent value="listenrepeat"><ListenRepeatCard/></TabsContent>
-//           <TabsContent value="listening"><ListeningCard/></TabsContent>
-//           <TabsContent value="history"><HistoryCard/></TabsContent>
-//         </Tabs>
+//             <TabsContent value="readaloud"><ReadAloudCard/></TabsContent>
+//             <TabsContent value="listenrepeat"><ListenRepeatCard/></TabsContent>
+//             <TabsContent value="describeimage"><DescribeImageCard/></TabsContent>
+//             <TabsContent value="retelllecture"><RetellLectureCard/></TabsContent>
+//             <TabsContent value="shortquestion"><AnswerShortQuestionCard/></TabsContent>
+//             <TabsContent value="swt"><SummarizeWrittenTextCard/></TabsContent>
+//             <TabsContent value="essay"><EssayCard/></TabsContent>
+//             <TabsContent value="reading"><ReadingCard/></TabsContent>
+//             <TabsContent value="listening">
+//               <div className="space-y-6"><SummarizeSpokenTextCard/><ListeningTasksCard/><ListeningCard/></div>
+//             </TabsContent>
+//             <TabsContent value="mocktest"><MockTestCard/></TabsContent>
+//             <TabsContent value="analytics">
+//               <div className="space-y-6"><ScoreReportCard/><AnalyticsCard/></div>
+//             </TabsContent>
+//             <TabsContent value="history"><HistoryCard/></TabsContent>
+//             <TabsContent value="settings">
+//               <div className="space-y-6">
+//                 <PreferencesCard settings={settings} onChange={setSettings}/>
+//                 <SettingsCard asr={asr} onAsrChange={setAsr}/>
+//                 <ContentPacksCard/>
+//               </div>
+//             </TabsContent>
+//           </Tabs>
+//         )}
 //       </main>
 
 //       <footer className="max-w-6xl mx-auto px-4 py-10 text-center opacity-70 text-sm">
-//         Built for practice & learning. Runs fully in your browser. No audio leaves your device.
+//         {asr.backend === "webspeech"
+//           ? "Built for practice & learning. Recordings stay on your device, but the Browser speech engine sends audio to your browser's online recognition service. Pick a local engine in Settings to stay fully offline."
+//           : asr.backend === "http" && !isLocalEndpoint(asr.endpoint)
+//             ? `Built for practice & learning. Recordings stay on your device, but Transcribe sends them to ${asr.endpoint || "the configured endpoint"}, which is not on this computer. Use a localhost endpoint to stay fully offline.`
+//             : "Built for practice & learning. Runs fully in your browser. No audio leaves your device."}
 //       </footer>
 //     </div>
 //   );
@@ -240,30 +854,30 @@
 // // ---------------------------------------------
 // function ReadAloudCard() {
 //   const [text, setText] = useState(samplePassage);
+//   const [sampleIdx, setSampleIdx] = useState(0);
 //   const [recognizing, setRecognizing] = useState(false);
-//   const [recording, setRecording] = useState(false);
 //   const [prepSec, setPrepSec] = useState(40);
 //   const [recSec, setRecSec] = useState(0);
 //   const [audioUrl, setAudioUrl] = useState("");
+//   const [audioBlob, setAudioBlob] = useState(null);
+//   const [acoustic, setAcoustic] = useState(null);
+//   const [measuring, setMeasuring] = useState(false); // pauses are still being measured from the recording
 //   const [hypText, setHypText] = useState("");
+//   const [recognized, setRecognized] = useState(null); // word timings from the recognizer, if it has them
 //   const [scores, setScores] = useState(null);
 //   const [status, setStatus] = useState("Paste or edit the passage, then Prepare ➜ Record.");
 
-//   const mediaRef = useRef(null);
-//   const streamRef = useRef(null);
-//   const chunksRef = useRef([]);
 //   const timerRef = useRef(null);
-//   const recTimerRef = useRef(null);
-//   const recStartRef = useRef(0);
-//   const autoStopRef = useRef(null);
 //   const wsContainer = useRef(null);
 //   const isMountedRef = useRef(true);
 //   useEffect(() => { isMountedRef.current = true; return () => { isMountedRef.current = false; }; }, []);
 
-//   useWaveSurfer(wsContainer, audioUrl);
+//   // once analysed, the words replace the pauses (which show as the gaps between them)
+//   const regions = useMemo(() => (scores && scores.timings ? wordRegions(scores.align, scores.timings) : pauseRegions(acoustic)), [scores, acoustic]);
+//   const waveform = useWaveSurfer(wsContainer, audioUrl, regions);
 
 //   const recognizerRef = useRef(null);
-//   useEffect(() => { recognizerRef.current = getRecognizer(); }, []);
+//   const measuredBlobRef = useRef(null);
 
 //   function startPrep() {
 //     clearInterval(timerRef.current);
@@ -281,146 +895,92 @@
 //     }, 1000);
 //   }
 
-//   async function startRecording() {
-//     try {
-//       clearInterval(timerRef.current);
-//       setPrepSec(0);
+//   const recorder = useRecorder({ maxSec: 60, onStop: handleRecording });
+//   const recording = recorder.recording;
 
-//       if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-//         throw new Error('getUserMedia not supported in this browser');
-//       }
+//   async function startRecording() {
+//     clearInterval(timerRef.current);
+//     setPrepSec(0);
+//     if (!(await recorder.start())) { if (isMountedRef.current) setStatus("Recording didn't start."); return; }
+//     if (!isMountedRef.current) return;
+//     setStatus("Recording... Speak clearly and steadily.");
+//     setScores(null); setRecognized(null);
 
-//       // request microphone
-//       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-//       if (!stream) throw new Error('No audio stream');
-//       streamRef.current = stream;
-
-//       // create recorder
-//       const mr = new MediaRecorder(stream);
-//       mediaRef.current = mr;
-//       chunksRef.current = [];
-
-//       mr.ondataavailable = (e) => chunksRef.current.push(e.data);
-
-//       mr.onstop = () => {
-//         try {
-//           const blob = new Blob(chunksRef.current, { type: 'audio/webm' });
-//           const url = URL.createObjectURL(blob);
-//           try { if (audioUrl) URL.revokeObjectURL(audioUrl); } catch(e){}
-//           if (isMountedRef.current) setAudioUrl(url);
-//         } catch (err) { console.warn('onstop error', err); }
-//         try { if (streamRef.current) { streamRef.current.getTracks().forEach(t => { try{ t.stop(); }catch(e){} }); streamRef.current = null; } } catch(e){}
+//     // speech recognition (optional); picked per attempt so a backend change in Settings applies
+//     const rec = getRecognizer();
+//     recognizerRef.current = rec;
+//     if (rec) {
+//       let interim = ""; let final = "";
+//       const show = () => { if (isMountedRef.current) setHypText((final + " " + interim).trim()); };
+//       rec.onFinal = (t) => { final += t + " "; interim = ""; show(); };
+//       rec.onInterim = (t) => { interim = t; show(); };
+//       rec.onWords = (words) => { if (isMountedRef.current) setRecognized(words); };
+//       rec.onEnd = () => {
+//         if (!isMountedRef.current) return;
+//         setRecognizing(false);
+//         if (!rec.streaming) setStatus(final.trim() ? "Transcript ready. Analyze to see scores." : "No speech was transcribed. Type what you said or try again.");
 //       };
-
-//       mr.start();
-//       if (isMountedRef.current) setRecording(true);
-//       if (isMountedRef.current) setStatus("Recording... Speak clearly and steadily.");
-//       recStartRef.current = Date.now();
-//       clearInterval(recTimerRef.current);
-//       if (isMountedRef.current) setRecSec(0);
-//       recTimerRef.current = setInterval(() => { if (isMountedRef.current) setRecSec((s)=> (s >= 60 ? 60 : s + 1)); }, 1000);
-
-//       // speech recognition (optional)
-//       const rec = recognizerRef.current;
-//       if (rec) {
-//         let interim = ""; let final = "";
-//         rec.onresult = (e) => {
-//           for (let i = e.resultIndex; i < e.results.length; i++) {
-//             const res = e.results[i];
-//             if (res.isFinal) final += res[0].transcript + " ";
-//             else interim = res[0].transcript;
-//           }
-//           if (isMountedRef.current) setHypText((final + " " + interim).trim());
-//         };
-//         rec.onend = () => { if (isMountedRef.current) setRecognizing(false); };
-//         rec.onerror = (err) => { console.warn('Recognizer error', err); if (isMountedRef.current) setRecognizing(false); };
-//         try { rec.start(); if (isMountedRef.current) setRecognizing(true); } catch (e) { console.warn('Recognizer start failed', e); }
-//       }
-
-//       // schedule auto-stop after 60s
-//       clearTimeout(autoStopRef.current);
-//       autoStopRef.current = setTimeout(() => {
-//         try { stopRecording(); } catch(e){ console.warn('auto-stop failed', e); }
-//       }, 60000);
-
-//     } catch (e) {
-//       // Provide clear user-facing messages for common errors and avoid rethrowing
-//       console.error('startRecording error', e);
-//       const name = e && e.name ? e.name : 'UnknownError';
-//       if (name === 'NotAllowedError' || name === 'SecurityError' || name === 'PermissionDeniedError') {
-//         if (isMountedRef.current) setStatus('Microphone access denied. Please allow microphone permissions in your browser settings.');
-//       } else if (name === 'NotFoundError' || name === 'DevicesNotFoundError') {
-//         if (isMountedRef.current) setStatus('No microphone found. Please connect a microphone and try again.');
-//       } else if (e.message && e.message.includes('getUserMedia not supported')) {
-//         if (isMountedRef.current) setStatus('Your browser does not support getUserMedia. Use Chrome/Edge/Firefox on desktop for best results.');
-//       } else {
-//         if (isMountedRef.current) setStatus('Microphone permission denied or unavailable.');
-//       }
-
-//       // Only attempt safe cleanup if we have something to clean
-//       if ((mediaRef && mediaRef.current) || (streamRef && streamRef.current)) {
-//         safeStopMedia({ mediaRef, streamRef, setStatus, isMountedRef });
-//       }
-
-//       if (isMountedRef.current) { try { setRecording(false); } catch(e){} }
-//       if (isMountedRef.current) { try { setRecognizing(false); } catch(e){} }
+//       rec.onError = (err) => { console.warn('Recognizer error', err); if (isMountedRef.current) setRecognizing(false); };
+//       try { rec.start(); setRecognizing(true); } catch (e) { console.warn('Recognizer start failed', e); }
 //     }
 //   }
 
-//   function stopRecording() {
-//     // clear any auto-stop
-//     clearTimeout(autoStopRef.current);
-//     clearInterval(recTimerRef.current);
+//   const stopRecording = () => recorder.stop();
 
-//     // stop recognizer
+//   // Runs for manual stops and auto-stops (60s limit or silence) alike.
+//   function handleRecording({ blob, durationSec, reason }) {
 //     const rec = recognizerRef.current;
-//     try { if (rec && recognizing) { try { rec.stop(); } catch(e){}; if (isMountedRef.current) setRecognizing(false); } } catch(e){console.warn(e);}    
-
-//     // safely stop media recorder and stream
-//     try {
-//       if (mediaRef.current && mediaRef.current.state && mediaRef.current.state !== 'inactive') {
-//         try { mediaRef.current.stop(); } catch (err) { console.warn('stop error', err); }
-//       }
-//     } catch(e) { console.warn('stopRecording mediaRef error', e); }
-
-//     try { if (streamRef.current) { streamRef.current.getTracks().forEach(t => { try{ t.stop(); }catch(e){} }); streamRef.current = null; } } catch(e){console.warn(e);} 
-
-//     if (isMountedRef.current) setRecording(false);
-//     const dur = (Date.now() - recStartRef.current) / 1000;
-//     if (isMountedRef.current) setStatus(`Recording stopped. Duration ${Math.round(dur)}s. Analyze to see scores.`);
+//     try { if (rec && rec.streaming) { rec.stop(); setRecognizing(false); } } catch (e) { console.warn(e); }
+//     try { if (audioUrl) URL.revokeObjectURL(audioUrl); } catch (e) {}
+//     setAudioUrl(URL.createObjectURL(blob)); setAudioBlob(blob); setAcoustic(null); setRecSec(Math.round(durationSec));
+//     setMeasuring(true);
+//     measuredBlobRef.current = blob;
+//     analyzeRecordingAudio(blob).then((a) => {
+//       if (!isMountedRef.current || measuredBlobRef.current !== blob) return; // a newer take is being measured
+//       setAcoustic(a); setMeasuring(false);
+//     });
+//     // blob backends (local HTTP / WASM) only produce a transcript once the recording exists
+//     if (rec && !rec.streaming) {
+//       setStatus("Transcribing your recording locally…");
+//       rec.transcribeBlob(blob);
+//     } else {
+//       setStatus(`${STOP_REASONS[reason]} Duration ${Math.round(durationSec)}s. Analyze to see scores.`);
+//     }
 //   }
 
 //   function analyze() {
 //     const align = analyzeAlignment(text, hypText);
-//     const { wpm, fluencyScore } = estimateFluency(hypText, recSec || 1);
+//     const fluency = estimateFluency(hypText, recSec || 1, { acoustic, align });
+//     const { wpm, fluencyScore } = fluency;
 //     const pronScore = estimatePronunciation(align);
 //     const content = align.contentAcc;
 //     const overall = scoreOverall(content, pronScore, fluencyScore);
-//     const result = { content, pronScore, fluencyScore, overall, wpm, align, when: new Date().toISOString(), id: uid(), type: "ReadAloud" };
+//     const timings = wordTimings(hypText, { recognized, acoustic });
+//     const result = { content, pronScore, fluencyScore, overall, wpm, fluency, acoustic, align, timings, when: new Date().toISOString(), id: uid(), type: "ReadAloud" };
 //     if (isMountedRef.current) setScores(result);
-//     saveHistory(result, text, hypText, audioUrl);
+//     saveHistory(result, text, hypText, audioBlob);
 //     if (isMountedRef.current) setStatus("Analysis complete. Review feedback below.");
 //   }
 
 //   function resetAll() {
 //     clearInterval(timerRef.current);
-//     clearInterval(recTimerRef.current);
-//     clearTimeout(autoStopRef.current);
-//     safeStopMedia({ mediaRef, streamRef, setStatus, isMountedRef });
-//     if (isMountedRef.current) { setPrepSec(40); setRecSec(0); setHypText(""); setScores(null); }
+//     recorder.cancel();
+//     setPrepSec(40); setRecSec(0); setHypText(""); setRecognized(null); setScores(null);
 //     try { if (audioUrl) { URL.revokeObjectURL(audioUrl); } } catch(e){}
-//     if (isMountedRef.current) setAudioUrl("");
-//     if (isMountedRef.current) setRecording(false);
-//     if (isMountedRef.current) setStatus("Ready. Start Preparation when you are.");
+//     setAudioUrl(""); setAudioBlob(null); setAcoustic(null); setMeasuring(false);
+//     measuredBlobRef.current = null;
+//     setStatus("Ready. Start Preparation when you are.");
 //   }
 
+//   const shownSec = recording ? recorder.seconds : recSec;
+
 //   return (
 //     <Card className="rounded-2xl shadow-md">
 //       <CardHeader>
 //         <CardTitle className="flex items-center justify-between gap-3">
 //           <span>Read Aloud</span>
 //           <div className="flex items-center gap-2 text-xs md:text-sm">
-//             <Button variant="outline" onClick={() => setText(samplePassage)}>Load Sample</Button>
+//             <Button variant="outline" onClick={() => { const bank = bankFor("ReadAloud"); const n = (sampleIdx + 1) % bank.length; setSampleIdx(n); setText(bank[n].text); }}>Load Sample</Button>
 //             <Button variant="ghost" onClick={() => setText("")}>Clear</Button>
 //           </div>
 //         </CardTitle>
@@ -443,16 +1003,17 @@
 //               ) : (
 //                 <Button variant="destructive" onClick={stopRecording}><Square className="mr-2 h-4 w-4"/> Stop</Button>
 //               )}
-//               <Button variant="outline" onClick={() => { try{ const u = new Audio(audioUrl); u.play(); } catch(e){ if (isMountedRef.current) setStatus('No audio to play.'); } }} disabled={!audioUrl}><Play className="mr-2 h-4 w-4"/> Play</Button>
+//               <Button variant="outline" onClick={() => waveform.playSpan(0)} disabled={!audioUrl}><Play className="mr-2 h-4 w-4"/> Play</Button>
 //               <Button variant="outline" onClick={() => { try{ const u = new Audio(audioUrl); u.loop = true; u.play(); } catch(e){ if (isMountedRef.current) setStatus('No audio to loop.'); } }} disabled={!audioUrl}><Repeat className="mr-2 h-4 w-4"/> Loop</Button>
-//               <Button variant="secondary" onClick={analyze} disabled={!hypText}><Download className="mr-2 h-4 w-4"/> Analyze</Button>
+//               <Button variant="secondary" onClick={analyze} disabled={!hypText || measuring} title={measuring ? "Measuring pauses in your recording…" : undefined}><Download className="mr-2 h-4 w-4"/> Analyze</Button>
 //               <Button variant="ghost" onClick={resetAll}><Trash2 className="mr-2 h-4 w-4"/> Reset</Button>
 //             </div>
 //             <div className="text-sm opacity-80">{status}</div>
+//             <RecorderMeter recorder={recorder}/>
 //             <div className="flex items-center gap-3 text-sm opacity-80">
-//               <span>Recording: {String(Math.floor(recSec/60)).padStart(2,'0')}:{String(recSec%60).padStart(2,'0')}</span>
+//               <span>Recording: {String(Math.floor(shownSec/60)).padStart(2,'0')}:{String(shownSec%60).padStart(2,'0')}</span>
 //               <div className="h-2 flex-1 rounded bg-neutral-200 dark:bg-neutral-700 overflow-hidden">
-//                 <div className="h-full bg-emerald-600" style={{ width: `${Math.min((recSec/60)*100,100)}%` }} />
+//                 <div className="h-full bg-emerald-600" style={{ width: `${Math.min((shownSec/60)*100,100)}%` }} />
 //               </div>
 //             </div>
 //           </div>
@@ -460,8 +1021,11 @@
 //           <div className="space-y-3">
 //             <Label>Your Recording (waveform)</Label>
 //             <div ref={wsContainer} className="rounded-xl border h-24 flex items-center"/>
+//             {scores && scores.timings
+//               ? <p className="text-xs opacity-70">Words are coloured as in the feedback below; the gaps between them are pauses.</p>
+//               : acoustic && <p className="text-xs opacity-70">Amber = pause, red = hesitation over {PAUSE_LIMITS.longPause}s, grey = silence before/after speaking.</p>}
 //             <Label>Live / Final Transcript</Label>
-//             <Textarea rows={8} value={hypText} onChange={(e) => setHypText(e.target.value)} placeholder="Live speech-to-text will appear here if your browser supports it."/>
+//             <Textarea rows={8} value={hypText} onChange={(e) => setHypText(e.target.value)} placeholder={recognizing ? "Listening…" : "Live speech-to-text will appear here if your browser supports it."}/>
 //           </div>
 //         </div>
 
@@ -491,24 +1055,37 @@
 //                   </ResponsiveContainer>
 //                 </div>
 //                 <div className="text-sm mt-2 opacity-80">WPM: {scores.wpm} (Aim 95–125 for natural pacing)</div>
+//                 {scores.acoustic ? (
+//                   <div className="text-sm opacity-80">
+//                     Articulation: {scores.fluency.articulationWpm} wpm • Pauses: {scores.fluency.pauseCount} (hesitations: {scores.fluency.longPauses}) • Started after {scores.acoustic.leadingSilence.toFixed(1)}s
+//                   </div>
+//                 ) : (
+//                   <div className="text-sm opacity-80">Pauses weren't measured (no recording could be analysed), so fluency comes from the transcript only.</div>
+//                 )}
+//                 {scores.fluency.feedback.length > 0 && (
+//                   <ul className="list-disc pl-5 text-sm mt-2 space-y-1">
+//                     {scores.fluency.feedback.map((f, i) => <li key={i}>{f}</li>)}
+//                   </ul>
+//                 )}
 //               </CardContent>
 //             </Card>
 
 //             <Card className="rounded-xl">
 //               <CardHeader><CardTitle>Word-by-word Feedback</CardTitle></CardHeader>
 //               <CardContent>
-//                 <p className="text-sm mb-2 opacity-80">Green = correct, Amber = approximate/unclear, Red = missed.</p>
+//                 <p className="text-sm mb-2 opacity-80">Green = correct, Amber = approximate/unclear, Red = missed or replaced, <s>Grey</s> = inserted.</p>
 //                 <div className="leading-8">
-//                   {scores.align.details.map((d, i) => (
-//                     <span key={i} className={
-//                       d.status === "correct" ? "bg-emerald-500/20 px-1 rounded" :
-//                       d.status === "approx" ? "bg-amber-500/20 px-1 rounded" :
-//                       d.status === "missed" ? "bg-rose-500/20 px-1 rounded" :
-//                       ""
-//                     }> {d.word} </span>
-//                   ))}
+//                   <WordFeedback align={scores.align} timings={scores.timings} onPlay={waveform.playSpan} activeIndex={activeWordIndex(scores.timings, waveform.time)}/>
+//                 </div>
+//                 {scores.timings && (
+//                   <p className="text-xs opacity-70">
+//                     Click a word to hear it.{scores.timings.source === "estimated" && " Word times are estimated from the pauses in your recording."}
+//                   </p>
+//                 )}
+//                 <div className="text-sm mt-3 opacity-80">
+//                   Inserted: {scores.align.inserted} • Omitted: {scores.align.omitted} • Substituted: {scores.align.substituted}
 //                 </div>
-//                 <div className="text-sm mt-3 opacity-80">Extras in your speech: {scores.align.hyp.filter(h=>!scores.align.ref.includes(h)).length}</div>
+//                 <PronunciationFeedback align={scores.align}/>
 //                 <h4 className="mt-4 font-semibold">Tips</h4>
 //                 <ul className="list-disc pl-5 text-sm opacity-90 space-y-1">
 //                   <li>Hold vowels fully; avoid dropping word endings like <em>-ed</em> and <em>-s</em>.</li>
@@ -533,73 +1110,159 @@
 //   );
 // }
 
+// // Renders alignment ops in speaking order, so insertions and omissions show where they happened.
+// // Given `timings` (wordTimings) and `onPlay(start, end)`, every spoken word plays its part of the
+// // recording when clicked, and the word at transcript index `activeIndex` is outlined.
+// function WordFeedback({ align, timings, onPlay, activeIndex = -1 }) {
+//   return align.ops.map((o, i) => {
+//     const cls =
+//       o.type === "inserted" ? "opacity-60 line-through px-1" :
+//       o.type === "correct" ? "bg-emerald-500/20 px-1 rounded" :
+//       o.type === "approx" ? "bg-amber-500/20 px-1 rounded" :
+//       "bg-rose-500/20 px-1 rounded";
+//     const title =
+//       o.type === "inserted" ? "Not in the passage" :
+//       o.type === "substituted" ? `You said "${o.hyp}"` :
+//       o.type === "omitted" ? "Omitted" :
+//       o.type === "approx" ? `Heard "${o.hyp}"` : undefined;
+//     const label = o.type === "inserted" ? o.hyp : o.ref;
+//     const span = timings && onPlay && o.hypIndex !== null ? timings.words[o.hypIndex] : null;
+//     if (!span) return <span key={i} className={cls} title={title}> {label} </span>;
+//     const play = () => onPlay(span.start, span.end);
+//     return (
+//       <span key={i} role="button" tabIndex={0} onClick={play} onKeyDown={(e) => { if (e.key === "Enter") play(); }}
+//         className={`${cls} cursor-pointer hover:underline ${o.hypIndex === activeIndex ? "ring-2 ring-blue-500" : ""}`}
+//         title={`${title ? `${title} • ` : ""}Play from ${span.start.toFixed(1)}s`}> {label} </span>
+//     );
+//   });
+// }
+
+// const SOUND_FEEDBACK_LIMIT = 4;
+// const soundLabel = (phone) => (phone ? `/${toIpa(phone)}/` : "dropped");
+
+// // Sounds that came out as another sound (/θ/ → /t/ in "think" heard as "tink"), most
+// // frequent first, each with a few drill sentences to listen to.
+// function PronunciationFeedback({ align }) {
+//   const { sounds } = useMemo(() => analyzePronunciation(align), [align]);
+//   const [open, setOpen] = useState(null);
+//   if (!sounds.length) return null;
+//   return (
+//     <div className="mt-3 space-y-2 text-sm">
+//       <div className="font-semibold">Sounds to work on</div>
+//       {sounds.slice(0, SOUND_FEEDBACK_LIMIT).map((s) => {
+//         const key = `${s.expected}>${s.heard || ""}`;
+//         return (
+//           <div key={key}>
+//             <div className="flex items-center gap-2 flex-wrap">
+//               <span className="rounded bg-rose-500/20 px-1">{soundLabel(s.expected)} → {soundLabel(s.heard)}</span>
+//               <span className="opacity-80">×{s.count} in {s.words.join(", ")}</span>
+//               <Button variant="outline" onClick={() => setOpen(open === key ? null : key)}>{open === key ? "Hide drill" : "Drill"}</Button>
+//             </div>
+//             {open === key && (
+//               <ul className="mt-1 space-y-1">
+//                 {soundDrillSentences(s.expected).map((text) => (
+//                   <li key={text} className="flex items-center gap-2">
+//                     <Button variant="ghost" onClick={() => speakOnce(text)} title="Listen"><Play className="h-4 w-4"/></Button>
+//                     <span>{text}</span>
+//                   </li>
+//                 ))}
+//               </ul>
+//             )}
+//           </div>
+//         );
+//       })}
+//     </div>
+//   );
+// }
+
 // // ---------------------------------------------
 // // Listen & Repeat (uses Speech Synthesis to play the reference sentence)
 // // ---------------------------------------------
 // function ListenRepeatCard() {
-//   const [bank, setBank] = useState(listenRepeatBank);
+//   const [bank, setBank] = useState(() => bankFor("RepeatSentence"));
 //   const [idx, setIdx] = useState(0);
 //   const [target, setTarget] = useState(bank[0].text);
 //   const [hyp, setHyp] = useState("");
+//   const [drill, setDrill] = useState(false); // false | "words" | "sounds"
+//   const [drillList, setDrillList] = useState([]);
+//   const [soundList, setSoundList] = useState([]);
+//   const [shadowing, setShadowing] = useState(false);
 //   const [audioUrl, setAudioUrl] = useState("");
+//   const [audioBlob, setAudioBlob] = useState(null);
+//   const [acoustic, setAcoustic] = useState(null);
+//   const [recognized, setRecognized] = useState(null);
 //   const [recSec, setRecSec] = useState(0);
 //   const wsContainer = useRef(null);
-//   useWaveSurfer(wsContainer, audioUrl);
-//   const mediaRef = useRef(null);
-//   const streamRef = useRef(null);
-//   const chunksRef = useRef([]);
-//   const recTimerRef = useRef(null);
-//   const autoStopRef = useRef(null);
 //   const isMountedRef = useRef(true);
 //   useEffect(() => { isMountedRef.current = true; return () => { isMountedRef.current = false; }; }, []);
+//   useEffect(() => {
+//     loadHistory()
+//       .then((arr) => {
+//         releaseHistory(arr);
+//         if (!isMountedRef.current) return;
+//         const attempts = flattenAttempts(arr);
+//         seedReviews("RepeatSentence", bankFor("RepeatSentence"), attempts);
+//         setDrillList(drillWords(attempts));
+//         setSoundList(drillSounds(attempts));
+//       })
+//       .catch((e) => console.warn('loadHistory failed', e));
+//   }, []);
 
-//   const speak = () => {
-//     const u = new SpeechSynthesisUtterance(target);
-//     u.lang = "en-US";
-//     u.rate = 0.9;
-//     u.pitch = 1;
-//     window.speechSynthesis.cancel();
-//     window.speechSynthesis.speak(u);
-//   };
-
-//   async function startRec() {
-//     try {
-//       if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-//         throw new Error('getUserMedia not supported');
-//       }
-//       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-//       streamRef.current = stream;
-//       const mr = new MediaRecorder(stream);
-//       mediaRef.current = mr; chunksRef.current = [];
-//       mr.ondataavailable = (e) => chunksRef.current.push(e.data);
-//       mr.onstop = () => { try { const blob = new Blob(chunksRef.current, { type: "audio/webm" }); const url = URL.createObjectURL(blob); try{ if (audioUrl) URL.revokeObjectURL(audioUrl);}catch(e){} if (isMountedRef.current) setAudioUrl(url); } catch(e){console.warn(e);} try { if (streamRef.current) { streamRef.current.getTracks().forEach(t=>{try{t.stop();}catch(e){}}); streamRef.current = null; } } catch(e){} };
-//       mr.start(); if (isMountedRef.current) setRecSec(0);
-//       clearInterval(recTimerRef.current);
-//       recTimerRef.current = setInterval(()=> { if (isMountedRef.current) setRecSec((s)=> s>=20?20:s+1); }, 1000);
-
-//       clearTimeout(autoStopRef.current);
-//       autoStopRef.current = setTimeout(()=> { try{ stopRec(); } catch(e){ console.warn(e); } }, 30000);
-//     } catch (e) {
-//       console.error('startRec error', e);
-//       if (isMountedRef.current) {
-//         if (e && (e.name === 'NotAllowedError' || e.name === 'PermissionDeniedError')) setStatusIfMounted('Microphone access denied.');
-//       }
-//     }
-//   }
-//   function stopRec() { clearTimeout(autoStopRef.current); clearInterval(recTimerRef.current); try { if (mediaRef.current && mediaRef.current.state && mediaRef.current.state !== 'inactive') { try { mediaRef.current.stop(); } catch(e) { console.warn(e); } } } catch(e){console.warn(e);} try{ if (streamRef.current) { streamRef.current.getTracks().forEach(t=>{try{t.stop();}catch(e){}}); streamRef.current = null; } } catch(e){} }
+//   const player = usePromptPlayer();
 
-//   // small helper to set status if available in parent component (not available here), noop for now
-//   function setStatusIfMounted(msg) { try{ if (isMountedRef.current) { /* TODO: bubble this up if you wire a status handler */ console.info('[ListenRepeat] status:', msg); } } catch(e){} }
+//   const recorder = useRecorder({
+//     maxSec: 15,
+//     onStop: ({ blob, durationSec }) => {
+//       try { if (audioUrl) URL.revokeObjectURL(audioUrl); } catch (e) {}
+//       setAudioUrl(URL.createObjectURL(blob)); setAudioBlob(blob); setAcoustic(null); setRecognized(null); setRecSec(Math.round(durationSec));
+//       analyzeRecordingAudio(blob).then((a) => { if (isMountedRef.current) setAcoustic(a); });
+//     },
+//   });
 
 //   const analyzeObj = useMemo(() => analyzeAlignment(target, hyp), [target, hyp]);
-//   const flu = useMemo(() => estimateFluency(hyp, recSec||1), [hyp, recSec]);
+//   const timings = useMemo(() => wordTimings(hyp, { recognized, acoustic }), [hyp, recognized, acoustic]);
+//   const regions = useMemo(() => (timings ? wordRegions(analyzeObj, timings) : pauseRegions(acoustic)), [timings, analyzeObj, acoustic]);
+//   const waveform = useWaveSurfer(wsContainer, audioUrl, regions);
+//   const flu = useMemo(() => estimateFluency(hyp, recSec||1, { acoustic, align: analyzeObj }), [hyp, recSec, acoustic, analyzeObj]);
 //   const pron = useMemo(() => estimatePronunciation(analyzeObj), [analyzeObj]);
 //   const overall = scoreOverall(analyzeObj.contentAcc, pron, flu.fluencyScore);
 
+//   // A new item starts without the previous recording, its analysis or its transcript.
+//   function showItem(list, n) {
+//     try { if (audioUrl) URL.revokeObjectURL(audioUrl); } catch (e) {}
+//     setIdx(n); setTarget(list[n].text); setHyp(""); player.reset();
+//     setAudioUrl(""); setAudioBlob(null); setAcoustic(null); setRecognized(null); setRecSec(0);
+//   }
+
+//   // Moving on grades the attempt (if there is a transcript) and lets the review queue pick what comes next.
+//   function next() {
+//     if (hyp.trim()) {
+//       recordReview("RepeatSentence", bank[idx], overall);
+//       const result = { content: analyzeObj.contentAcc, pronScore: pron, fluencyScore: flu.fluencyScore, overall, wpm: flu.wpm, align: analyzeObj, timings, question: target, reviewKey: reviewKey("RepeatSentence", bank[idx]), drill, when: new Date().toISOString(), id: uid(), type: "RepeatSentence" };
+//       saveHistory(result, target, hyp, audioBlob);
+//     }
+//     showItem(bank, pickNextIndex("RepeatSentence", bank, idx));
+//   }
+
+//   function toggleDrill(kind) {
+//     const mode = drill === kind ? false : kind;
+//     const nextBank = mode === "words" ? buildDrillBank(drillList) : mode === "sounds" ? buildSoundDrillBank(soundList) : bankFor("RepeatSentence");
+//     if (!nextBank.length) return;
+//     setDrill(mode); setBank(nextBank); showItem(nextBank, 0);
+//   }
+
 //   const recognizeOnce = () => {
-//     const r = getRecognizer();
-//     if (!r) { alert("Speech Recognition not supported in this browser."); return; }
-//     let final = ""; r.interimResults = false; r.onresult = (e)=>{ final = e.results[0][0].transcript; setHyp(final); }; try{ r.start(); } catch(e){ console.warn('Recognizer start failed', e); }
+//     const r = getRecognizer({ interimResults: false });
+//     if (!r) { alert("Speech Recognition not supported in this browser. Choose a local engine in Settings."); return; }
+//     r.onError = (e) => console.warn('Recognizer error', e);
+//     if (!r.streaming) {
+//       if (!audioBlob) { alert("Record your answer first, then Transcribe."); return; }
+//       r.onWords = (words) => { if (isMountedRef.current) setRecognized(words); };
+//       r.onFinal = (t) => { if (isMountedRef.current) setHyp(t); };
+//       r.transcribeBlob(audioBlob);
+//       return;
+//     }
+//     let final = ""; r.onFinal = (t)=>{ final = t; setHyp(final); }; try{ r.start(); } catch(e){ console.warn('Recognizer start failed', e); }
 //   };
 
 //   return (
@@ -611,14 +1274,35 @@
 //             <Label>Sentence</Label>
 //             <div className="rounded-xl border p-3 text-sm md:text-base bg-neutral-50 dark:bg-neutral-900">{target}</div>
 //             <div className="flex gap-2 flex-wrap">
-//               <Button onClick={speak}><Play className="mr-2 h-4 w-4"/> Play Sentence</Button>
-//               <Button variant="outline" onClick={startRec}><Mic className="mr-2 h-4 w-4"/> Record</Button>
-//               <Button variant="destructive" onClick={stopRec}><Square className="mr-2 h-4 w-4"/> Stop</Button>
+//               <PromptButton player={player} prompt={{ text: target, audio: bank[idx].audio }}>Play Sentence</PromptButton>
+//               <Button variant="outline" onClick={recorder.start} disabled={recorder.recording}><Mic className="mr-2 h-4 w-4"/> Record</Button>
+//               <Button variant="destructive" onClick={recorder.stop} disabled={!recorder.recording}><Square className="mr-2 h-4 w-4"/> Stop</Button>
+//               <Button variant="outline" onClick={() => waveform.playSpan(0)} disabled={!audioUrl || recorder.recording}><Play className="mr-2 h-4 w-4"/> Play recording</Button>
 //               <Button variant="secondary" onClick={recognizeOnce}>Transcribe</Button>
-//               <Button variant="ghost" onClick={()=>{ const n=(idx+1)%bank.length; setIdx(n); setTarget(bank[n].text); setHyp(""); }}>Next</Button>
+//               <Button variant="ghost" onClick={next}>Next</Button>
+//               <Button variant={drill === "words" ? "default" : "outline"} onClick={() => toggleDrill("words")} disabled={drill !== "words" && drillList.length === 0}
+//                 title="Practise sentences built from words you often miss">
+//                 {drill === "words" ? "Exit word drill" : `Word drill (${drillList.length})`}
+//               </Button>
+//               <Button variant={drill === "sounds" ? "default" : "outline"} onClick={() => toggleDrill("sounds")} disabled={drill !== "sounds" && soundList.length === 0}
+//                 title="Practise sentences full of the sounds you most often replace">
+//                 {drill === "sounds" ? "Exit sound drill" : `Sound drill (${soundList.length})`}
+//               </Button>
+//               <Button variant={shadowing ? "default" : "outline"} onClick={() => setShadowing(!shadowing)}
+//                 title="Compare the model audio with your own, phrase by phrase">
+//                 Shadowing
+//               </Button>
 //             </div>
-//             <div className="text-sm opacity-70">Recording: {String(Math.floor(recSec/60)).padStart(2,'0')}:{String(recSec%60).padStart(2,'0')}</div>
+//             {drill === "words" && bank[idx] && bank[idx].words && (
+//               <div className="text-sm">Focus words: {bank[idx].words.map((w) => <span key={w} className="mr-2 rounded bg-amber-500/20 px-1">{w}</span>)}</div>
+//             )}
+//             {drill === "sounds" && bank[idx] && bank[idx].sounds && (
+//               <div className="text-sm">Focus sound: {bank[idx].sounds.map((p) => <span key={p} className="mr-2 rounded bg-amber-500/20 px-1">{soundLabel(p)}</span>)}</div>
+//             )}
+//             <div className="text-sm opacity-70">Recording: 00:{String(recorder.recording ? recorder.seconds : recSec).padStart(2,'0')}</div>
+//             <RecorderMeter recorder={recorder}/>
 //             <div ref={wsContainer} className="rounded-xl border h-24 flex items-center"/>
+//             {shadowing && <ShadowingPanel key={target} item={bank[idx]} text={target}/>}
 //           </div>
 //           <div className="flex-1 space-y-2">
 //             <Label>Your Transcript</Label>
@@ -629,11 +1313,16 @@
 //               <ScoreBox label="Fluency" value={flu.fluencyScore}/>
 //             </div>
 //             <div className="rounded-xl border p-3 text-sm">
-//               {analyzeObj.details.map((d,i)=> (
-//                 <span key={i} className={d.status === 'correct' ? 'bg-emerald-500/20 px-1 rounded' : d.status === 'approx' ? 'bg-amber-500/20 px-1 rounded' : d.status === 'missed' ? 'bg-rose-500/20 px-1 rounded' : ''}> {d.word} </span>
-//               ))}
+//               <WordFeedback align={analyzeObj} timings={timings} onPlay={waveform.playSpan} activeIndex={activeWordIndex(timings, waveform.time)}/>
+//               {timings && <p className="text-xs opacity-70 mt-2">Click a word to hear it{timings.source === "estimated" ? " (times estimated from your recording's pauses)" : ""}.</p>}
+//               <PronunciationFeedback align={analyzeObj}/>
 //             </div>
 //             <div className="text-sm">Overall: <strong>{overall}</strong></div>
+//             {flu.feedback.length > 0 && (
+//               <ul className="list-disc pl-5 text-sm space-y-1">
+//                 {flu.feedback.map((f, i) => <li key={i}>{f}</li>)}
+//               </ul>
+//             )}
 //           </div>
 //         </div>
 //       </CardContent>
@@ -642,129 +1331,3360 @@
 // }
 
 // // ---------------------------------------------
-// // Listening Comprehension (MCQ demo with timer)
+// // Shadowing (model and learner waveforms stacked, A/B phrase loop, speak-along lag)
 // // ---------------------------------------------
-// function ListeningCard() {
-//   const [qIdx, setQIdx] = useState(0);
-//   const [time, setTime] = useState(25);
-//   const [choice, setChoice] = useState(null);
-//   const [answered, setAnswered] = useState(false);
-//   const q = listeningBank[qIdx];
+// // The model is the item's attached audio, an audio file the learner picks, or the practice voice
+// // recorded through the microphone, since speech synthesis can't be captured directly. Phrase
+// // times on both recordings come from wordTimings over each one's pauses.
+// const SHADOW_MAX_SEC = 30;
+// const SPEAK_ALONG_LEAD_IN_SEC = 1;  // the take starts recording this long before the model plays…
+// const SPEAK_ALONG_TAIL_SEC = 1.5;   // …and stops this long after it ends
+// const PHRASE_MAX_WORDS = 6;
+// const PHRASE_PAD_SEC = 0.15;
+// const MODEL_SOURCES = { attached: "attached audio", recorded: "recorded practice voice", file: "audio file" };
 
-//   useEffect(() => {
-//     setTime(25); setChoice(null); setAnswered(false);
-//     const t = setInterval(() => setTime((s)=> s<=1 ? 0 : s-1), 1000);
-//     return () => clearInterval(t);
-//   }, [qIdx]);
+// // Phrases of the sentence as transcript word ranges { label, from, to }: clauses split at
+// // punctuation, and clauses over PHRASE_MAX_WORDS cut into even parts.
+// function shadowPhrases(text) {
+//   const clauses = [[]];
+//   String(text || "").split(/\s+/).forEach((raw) => {
+//     clauses[clauses.length - 1].push(...tokenize(raw));
+//     if (/[,.;:!?]$/.test(raw)) clauses.push([]);
+//   });
+//   const phrases = [];
+//   let from = 0;
+//   clauses.filter((c) => c.length).forEach((words) => {
+//     const parts = Math.ceil(words.length / PHRASE_MAX_WORDS);
+//     for (let k = 0; k < parts; k++) {
+//       const chunk = words.slice(Math.round((k * words.length) / parts), Math.round(((k + 1) * words.length) / parts));
+//       phrases.push({ label: chunk.join(" "), from, to: from + chunk.length });
+//       from += chunk.length;
+//     }
+//   });
+//   return phrases;
+// }
 
-//   const playAudio = () => {
-//     const u = new SpeechSynthesisUtterance(q.audioText);
-//     u.lang = "en-US"; u.rate = 0.95; u.pitch = 1;
-//     window.speechSynthesis.cancel(); window.speechSynthesis.speak(u);
+// // Part of one recording to play for a phrase; the whole recording for no phrase or no timings.
+// function phraseSpan(timings, phrase) {
+//   const first = phrase && timings ? timings.words[phrase.from] : null;
+//   const last = phrase && timings ? timings.words[phrase.to - 1] : null;
+//   if (!first || !last) return { start: 0 };
+//   return { start: Math.max(0, first.start - PHRASE_PAD_SEC), end: last.end + PHRASE_PAD_SEC };
+// }
+
+// const phraseRegions = (span) => (typeof span.end === "number" ? [{ start: span.start, end: span.end, color: "rgba(37, 99, 235, 0.2)" }] : []);
+// const lagText = (sec) => (Math.abs(sec) < 0.05 ? "in step with" : `${Math.abs(sec).toFixed(1)}s ${sec > 0 ? "behind" : "ahead of"}`);
+
+// // Attached audio may live on another origin, so it is fetched before decoding.
+// async function analyzeAudioUrl(url) {
+//   try {
+//     const res = await fetch(url);
+//     if (!res.ok) throw new Error(`Audio request returned ${res.status}`);
+//     return analyzeRecordingAudio(await res.blob());
+//   } catch (e) {
+//     console.warn('Loading audio for analysis failed', e);
+//     return null;
+//   }
+// }
+
+// function ShadowingPanel({ item, text }) {
+//   const [model, setModel] = useState(() => (item.audio ? { url: item.audio, source: "attached" } : null));
+//   const [modelAcoustic, setModelAcoustic] = useState(null);
+//   const [ownUrl, setOwnUrl] = useState("");
+//   const [ownAcoustic, setOwnAcoustic] = useState(null);
+//   const [phrase, setPhrase] = useState(null); // null = whole sentence
+//   const [side, setSide] = useState(null); // "model" | "own" while looping
+//   const [alongOffset, setAlongOffset] = useState(null); // where the model started in a speak-along take
+//   const [status, setStatus] = useState("");
+//   const modelContainer = useRef(null);
+//   const ownContainer = useRef(null);
+//   const alongRef = useRef(null); // { offset, timer } while a speak-along take runs
+//   const isMountedRef = useRef(true);
+//   useEffect(() => {
+//     isMountedRef.current = true;
+//     return () => { isMountedRef.current = false; if (alongRef.current) clearTimeout(alongRef.current.timer); };
+//   }, []);
+//   useEffect(() => () => { try { if (model && model.source !== "attached") URL.revokeObjectURL(model.url); } catch (e) {} }, [model]);
+//   useEffect(() => () => { try { if (ownUrl) URL.revokeObjectURL(ownUrl); } catch (e) {} }, [ownUrl]);
+
+//   useEffect(() => {
+//     setModelAcoustic(null);
+//     if (!model) return;
+//     let cancelled = false;
+//     analyzeAudioUrl(model.url).then((a) => { if (!cancelled) setModelAcoustic(a); });
+//     return () => { cancelled = true; };
+//   }, [model]);
+
+//   const phrases = useMemo(() => shadowPhrases(text), [text]);
+//   const modelTimings = useMemo(() => wordTimings(text, { acoustic: modelAcoustic }), [text, modelAcoustic]);
+//   const ownTimings = useMemo(() => wordTimings(text, { acoustic: ownAcoustic }), [text, ownAcoustic]);
+//   const lag = useMemo(() => (alongOffset !== null && modelTimings && ownTimings ? shadowingLag(modelTimings.words, ownTimings.words, alongOffset) : null),
+//     [alongOffset, modelTimings, ownTimings]);
+//   const modelRegions = useMemo(() => phraseRegions(phraseSpan(modelTimings, phrase)), [modelTimings, phrase]);
+//   const ownRegions = useMemo(() => phraseRegions(phraseSpan(ownTimings, phrase)), [ownTimings, phrase]);
+//   const modelWave = useWaveSurfer(modelContainer, model ? model.url : "", modelRegions);
+//   const ownWave = useWaveSurfer(ownContainer, ownUrl, ownRegions);
+
+//   const modelRecorder = useRecorder({
+//     maxSec: SHADOW_MAX_SEC,
+//     onStop: ({ blob }) => {
+//       if (!isMountedRef.current) return;
+//       setModel({ url: URL.createObjectURL(blob), source: "recorded" });
+//       setStatus("Model recorded. Record yourself or speak along.");
+//     },
+//   });
+//   const ownRecorder = useRecorder({
+//     maxSec: SHADOW_MAX_SEC,
+//     onStop: ({ blob }) => {
+//       const along = alongRef.current;
+//       alongRef.current = null;
+//       if (along) clearTimeout(along.timer);
+//       if (!isMountedRef.current) return;
+//       setOwnUrl(URL.createObjectURL(blob)); setOwnAcoustic(null);
+//       setAlongOffset(along && along.offset !== null ? along.offset : null);
+//       setStatus(along ? "Speak-along take saved." : "Recording saved. Loop a phrase to compare.");
+//       analyzeRecordingAudio(blob).then((a) => { if (isMountedRef.current) setOwnAcoustic(a); });
+//     },
+//   });
+//   const busy = modelRecorder.recording || ownRecorder.recording;
+
+//   function loop(which, p = phrase) {
+//     const [wave, other] = which === "model" ? [modelWave, ownWave] : [ownWave, modelWave];
+//     const span = phraseSpan(which === "model" ? modelTimings : ownTimings, p);
+//     other.stop();
+//     wave.playSpan(span.start, span.end, { loop: true });
+//     setSide(which);
+//   }
+
+//   function stopLoop() {
+//     modelWave.stop(); ownWave.stop();
+//     setSide(null);
+//   }
+
+//   function switchSide() {
+//     if (model && ownUrl && !busy) loop(side === "model" ? "own" : "model");
+//   }
+
+//   function choosePhrase(p) {
+//     setPhrase(p);
+//     if (side) loop(side, p);
+//   }
+
+//   async function recordModel() {
+//     stopLoop();
+//     if (!(await modelRecorder.start())) return;
+//     setStatus("Recording the practice voice. Play it through speakers so the microphone hears it.");
+//     speakOnce(text, () => setTimeout(() => modelRecorder.stop(), SPEAK_ALONG_TAIL_SEC * 1000));
+//   }
+
+//   function pickModelFile(e) {
+//     const file = e.target.files && e.target.files[0];
+//     if (file) { stopLoop(); setModel({ url: URL.createObjectURL(file), source: "file" }); setStatus(""); }
+//     e.target.value = "";
+//   }
+
+//   async function recordOwn() {
+//     stopLoop();
+//     alongRef.current = null;
+//     if (await ownRecorder.start()) setStatus("Recording… say the sentence the way the model does.");
+//   }
+
+//   // Records while the model plays; the offset between the two is measured, not assumed.
+//   async function speakAlong() {
+//     stopLoop();
+//     if (!(await ownRecorder.start())) return;
+//     const startedAt = Date.now();
+//     const along = { offset: null, timer: null };
+//     alongRef.current = along;
+//     setStatus("Get ready… speak along with the model.");
+//     along.timer = setTimeout(() => {
+//       if (alongRef.current !== along) return;
+//       along.offset = (Date.now() - startedAt) / 1000;
+//       modelWave.playSpan(0, undefined, {
+//         onEnd: () => { if (alongRef.current === along) along.timer = setTimeout(() => ownRecorder.stop(), SPEAK_ALONG_TAIL_SEC * 1000); },
+//       });
+//     }, SPEAK_ALONG_LEAD_IN_SEC * 1000);
+//   }
+
+//   function stopAll() {
+//     modelRecorder.stop(); ownRecorder.stop();
+//     stopLoop();
+//   }
+
+//   // S switches sides while looping, Esc stops; typing in a field is left alone.
+//   const keysRef = useRef(null);
+//   keysRef.current = { switchSide, stopLoop };
+//   useEffect(() => {
+//     const onKey = (e) => {
+//       if (e.ctrlKey || e.metaKey || e.altKey || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target && e.target.tagName)) return;
+//       if (e.key === "s" || e.key === "S") { e.preventDefault(); keysRef.current.switchSide(); }
+//       else if (e.key === "Escape") keysRef.current.stopLoop();
+//     };
+//     window.addEventListener("keydown", onKey);
+//     return () => window.removeEventListener("keydown", onKey);
+//   }, []);
+
+//   return (
+//     <div className="rounded-xl border p-3 space-y-3">
+//       <div className="flex items-center justify-between gap-2 flex-wrap">
+//         <Label>Shadowing</Label>
+//         <span className="text-xs opacity-70">S switches between the model and you while looping • Esc stops</span>
+//       </div>
+
+//       <div className="space-y-1">
+//         <div className="flex items-center gap-2 flex-wrap text-sm">
+//           <span className="font-medium">Model</span>
+//           <span className="opacity-70">{model ? MODEL_SOURCES[model.source] : "none yet"}</span>
+//           <Button variant="outline" onClick={recordModel} disabled={busy}><Mic className="mr-2 h-4 w-4"/> Record practice voice</Button>
+//           <Input type="file" accept="audio/*" onChange={pickModelFile} className="max-w-xs" title="Use an audio file of this sentence as the model"/>
+//         </div>
+//         {model
+//           ? <div ref={modelContainer} className={`rounded-xl border h-24 flex items-center ${side === "model" ? "border-blue-500" : ""}`}/>
+//           : <p className="text-xs opacity-70">Record the practice voice through your speakers, or choose an audio file of the sentence.</p>}
+//       </div>
+
+//       <div className="space-y-1">
+//         <div className="flex items-center gap-2 flex-wrap text-sm">
+//           <span className="font-medium">You</span>
+//           <Button variant="outline" onClick={recordOwn} disabled={busy}><Mic className="mr-2 h-4 w-4"/> Record</Button>
+//           <Button variant="outline" onClick={speakAlong} disabled={busy || !model}
+//             title="Records while the model plays. Wear headphones so the microphone only hears you.">
+//             Speak along
+//           </Button>
+//           <Button variant="destructive" onClick={stopAll} disabled={!busy}><Square className="mr-2 h-4 w-4"/> Stop</Button>
+//         </div>
+//         <RecorderMeter recorder={modelRecorder.recording || modelRecorder.error ? modelRecorder : ownRecorder}/>
+//         {ownUrl
+//           ? <div ref={ownContainer} className={`rounded-xl border h-24 flex items-center ${side === "own" ? "border-blue-500" : ""}`}/>
+//           : <p className="text-xs opacity-70">Record yourself after listening, or speak along while the model plays (wear headphones).</p>}
+//       </div>
+
+//       <div className="flex gap-2 flex-wrap">
+//         <Button variant={phrase ? "outline" : "default"} onClick={() => choosePhrase(null)}>Whole sentence</Button>
+//         {phrases.map((p) => (
+//           <Button key={p.from} variant={phrase && phrase.from === p.from ? "default" : "outline"} onClick={() => choosePhrase(p)}>{p.label}</Button>
+//         ))}
+//       </div>
+//       <div className="flex gap-2 flex-wrap">
+//         <Button variant={side === "model" ? "default" : "outline"} onClick={() => loop("model")} disabled={!model || busy}><Repeat className="mr-2 h-4 w-4"/> Loop model</Button>
+//         <Button variant={side === "own" ? "default" : "outline"} onClick={() => loop("own")} disabled={!ownUrl || busy}><Repeat className="mr-2 h-4 w-4"/> Loop mine</Button>
+//         <Button variant="secondary" onClick={switchSide} disabled={!model || !ownUrl || busy}>Switch (S)</Button>
+//         <Button variant="ghost" onClick={stopLoop} disabled={!side}>Stop loop</Button>
+//       </div>
+//       {phrase && ((model && !modelTimings) || (ownUrl && !ownTimings)) && (
+//         <p className="text-xs opacity-70">Phrase times come from the pauses in each recording; a recording that can't be analysed loops in full.</p>
+//       )}
+//       {status && <div className="text-sm opacity-80">{status}</div>}
+//       {lag && (
+//         <div className="text-sm">
+//           Speak-along timing: you started {lagText(lag.startLag)} the model and stayed {lagText(lag.meanLag)} it on average (furthest: {lagText(lag.maxLag)}).
+//           <div className="text-xs opacity-70">Estimated from the pauses in both recordings. Try to stay within half a second.</div>
+//         </div>
+//       )}
+//     </div>
+//   );
+// }
+
+// // ---------------------------------------------
+// // Describe Image (25s prep, 40s response, key-feature scoring)
+// // ---------------------------------------------
+// const DI_PREP_SEC = 25;
+// const DI_RESPONSE_SEC = 40;
+
+// // Content = key-feature coverage; used by Describe Image and Retell Lecture.
+// function scoreKeyPointSpeaking(features, hypText, durationSec, acoustic) {
+//   const keyFeatures = scoreKeyFeatures(features, hypText);
+//   const fluency = estimateFluency(hypText, durationSec || 1, { acoustic });
+//   const pronScore = keyFeatures.ref.length ? estimatePronunciation(keyFeatures) : 20;
+//   const content = keyFeatures.contentAcc;
+//   return {
+//     content, pronScore, fluencyScore: fluency.fluencyScore, wpm: fluency.wpm, fluency, keyFeatures: keyFeatures.hits,
+//     overall: scoreOverall(content, pronScore, fluency.fluencyScore),
+//   };
+// }
+
+// const svgSrc = (svg) => `data:image/svg+xml;utf8,${encodeURIComponent(svg)}`;
+
+// function DescribeImageCard() {
+//   const [idx, setIdx] = useState(0);
+//   const bank = bankFor("DescribeImage");
+//   const image = bank[idx];
+//   const prepLimit = image.prepSec ?? DI_PREP_SEC;
+//   const responseLimit = image.responseSec ?? DI_RESPONSE_SEC;
+//   const [prepSec, setPrepSec] = useState(DI_PREP_SEC);
+//   const [recSec, setRecSec] = useState(0);
+//   const [audioUrl, setAudioUrl] = useState("");
+//   const [audioBlob, setAudioBlob] = useState(null);
+//   const [acoustic, setAcoustic] = useState(null);
+//   const [hypText, setHypText] = useState("");
+//   const [scores, setScores] = useState(null);
+//   const [status, setStatus] = useState("Study the image, then Prepare ➜ Record.");
+
+//   const timerRef = useRef(null);
+//   const recognizerRef = useRef(null);
+//   const wsContainer = useRef(null);
+//   const isMountedRef = useRef(true);
+//   useEffect(() => { isMountedRef.current = true; return () => { isMountedRef.current = false; }; }, []);
+
+//   const regions = useMemo(() => pauseRegions(acoustic), [acoustic]);
+//   useWaveSurfer(wsContainer, audioUrl, regions);
+
+//   function startPrep() {
+//     clearInterval(timerRef.current);
+//     setPrepSec(prepLimit);
+//     setStatus("Preparation started. Recording will auto-start when time ends.");
+//     timerRef.current = setInterval(() => {
+//       setPrepSec((s) => {
+//         if (s <= 1) {
+//           clearInterval(timerRef.current);
+//           startRecording();
+//           return 0;
+//         }
+//         return s - 1;
+//       });
+//     }, 1000);
+//   }
+
+//   const recorder = useRecorder({ maxSec: responseLimit, onStop: handleRecording });
+//   const recording = recorder.recording;
+
+//   async function startRecording() {
+//     clearInterval(timerRef.current);
+//     setPrepSec(0);
+//     if (!(await recorder.start())) { if (isMountedRef.current) setStatus("Recording didn't start."); return; }
+//     if (!isMountedRef.current) return;
+//     setStatus("Recording... Describe the main features, trends and a conclusion.");
+
+//     const rec = getRecognizer({ continuous: true });
+//     recognizerRef.current = rec;
+//     if (rec) {
+//       let interim = ""; let final = "";
+//       const show = () => { if (isMountedRef.current) setHypText((final + " " + interim).trim()); };
+//       rec.onFinal = (t) => { final += t + " "; interim = ""; show(); };
+//       rec.onInterim = (t) => { interim = t; show(); };
+//       rec.onEnd = () => { if (isMountedRef.current && !rec.streaming) setStatus(final.trim() ? "Transcript ready. Analyze to see scores." : "No speech was transcribed. Type what you said or try again."); };
+//       rec.onError = (err) => console.warn('Recognizer error', err);
+//       try { rec.start(); } catch (e) { console.warn('Recognizer start failed', e); }
+//     }
+//   }
+
+//   const stopRecording = () => recorder.stop();
+
+//   function handleRecording({ blob, durationSec, reason }) {
+//     const rec = recognizerRef.current;
+//     try { if (rec && rec.streaming) rec.stop(); } catch (e) { console.warn(e); }
+//     try { if (audioUrl) URL.revokeObjectURL(audioUrl); } catch (e) {}
+//     setAudioUrl(URL.createObjectURL(blob)); setAudioBlob(blob); setAcoustic(null); setRecSec(Math.round(durationSec));
+//     analyzeRecordingAudio(blob).then((a) => { if (isMountedRef.current) setAcoustic(a); });
+//     if (rec && !rec.streaming) {
+//       setStatus("Transcribing your recording locally…");
+//       rec.transcribeBlob(blob);
+//     } else {
+//       setStatus(`${STOP_REASONS[reason]} Analyze to see scores.`);
+//     }
+//   }
+
+//   function analyze() {
+//     const result = { ...scoreKeyPointSpeaking(image.features, hypText, recSec, acoustic), acoustic, image: image.title, when: new Date().toISOString(), id: uid(), type: "DescribeImage" };
+//     if (isMountedRef.current) setScores(result);
+//     saveHistory(result, image.sample, hypText, audioBlob);
+//     if (isMountedRef.current) setStatus("Analysis complete. Review feedback below.");
+//   }
+
+//   function resetAll() {
+//     clearInterval(timerRef.current);
+//     recorder.cancel();
+//     try { if (audioUrl) URL.revokeObjectURL(audioUrl); } catch(e){}
+//     setPrepSec(prepLimit); setRecSec(0); setHypText(""); setScores(null);
+//     setAudioUrl(""); setAudioBlob(null); setAcoustic(null);
+//     setStatus("Ready. Start Preparation when you are.");
+//   }
+
+//   const shownSec = recording ? recorder.seconds : recSec;
+
+//   function nextImage() {
+//     resetAll();
+//     const n = (idx + 1) % bank.length;
+//     setIdx(n);
+//     setPrepSec(bank[n].prepSec ?? DI_PREP_SEC);
+//   }
+
+//   return (
+//     <Card className="rounded-2xl shadow-md">
+//       <CardHeader>
+//         <CardTitle className="flex items-center justify-between gap-3">
+//           <span>Describe Image</span>
+//           <Button variant="ghost" onClick={nextImage} disabled={recording}>Next Image</Button>
+//         </CardTitle>
+//       </CardHeader>
+//       <CardContent className="space-y-4">
+//         <div className="grid md:grid-cols-2 gap-4">
+//           <div className="space-y-2">
+//             <Label>{image.title}</Label>
+//             <img src={image.src || svgSrc(image.svg)} alt={image.title} className="w-full rounded-xl border bg-white"/>
+//             <div className="flex items-center gap-3 text-sm opacity-80">
+//               <span>Prep: 00:{String(prepSec).padStart(2,'0')}</span>
+//               <div className="h-2 flex-1 rounded bg-neutral-200 dark:bg-neutral-700 overflow-hidden">
+//                 <div className="h-full bg-blue-600" style={{ width: `${(prepSec/prepLimit)*100}%` }} />
+//               </div>
+//             </div>
+//             <div className="flex gap-2 flex-wrap">
+//               <Button onClick={startPrep} disabled={recording}>Prepare</Button>
+//               {!recording ? (
+//                 <Button onClick={startRecording}><Mic className="mr-2 h-4 w-4"/> Record</Button>
+//               ) : (
+//                 <Button variant="destructive" onClick={stopRecording}><Square className="mr-2 h-4 w-4"/> Stop</Button>
+//               )}
+//               <Button variant="secondary" onClick={analyze} disabled={!hypText}>Analyze</Button>
+//               <Button variant="ghost" onClick={resetAll}><Trash2 className="mr-2 h-4 w-4"/> Reset</Button>
+//             </div>
+//             <div className="text-sm opacity-80">{status}</div>
+//             <RecorderMeter recorder={recorder}/>
+//             <div className="flex items-center gap-3 text-sm opacity-80">
+//               <span>Recording: 00:{String(shownSec).padStart(2,'0')}</span>
+//               <div className="h-2 flex-1 rounded bg-neutral-200 dark:bg-neutral-700 overflow-hidden">
+//                 <div className="h-full bg-emerald-600" style={{ width: `${Math.min((shownSec/responseLimit)*100,100)}%` }} />
+//               </div>
+//             </div>
+//           </div>
+
+//           <div className="space-y-3">
+//             <Label>Your Recording (waveform)</Label>
+//             <div ref={wsContainer} className="rounded-xl border h-24 flex items-center"/>
+//             <Label>Live / Final Transcript</Label>
+//             <Textarea rows={8} value={hypText} onChange={(e) => setHypText(e.target.value)} placeholder="Your description will appear here."/>
+//           </div>
+//         </div>
+
+//         {scores && (
+//           <div className="grid md:grid-cols-2 gap-4">
+//             <Card className="rounded-xl">
+//               <CardHeader><CardTitle>Scores</CardTitle></CardHeader>
+//               <CardContent>
+//                 <div className="grid grid-cols-2 gap-3 text-center">
+//                   <ScoreBox label="Content" value={scores.content}/>
+//                   <ScoreBox label="Pronunciation" value={scores.pronScore}/>
+//                   <ScoreBox label="Fluency" value={scores.fluencyScore}/>
+//                   <ScoreBox label="Overall" value={scores.overall}/>
+//                 </div>
+//                 {scores.fluency.feedback.length > 0 && (
+//                   <ul className="list-disc pl-5 text-sm mt-3 space-y-1">
+//                     {scores.fluency.feedback.map((f, i) => <li key={i}>{f}</li>)}
+//                   </ul>
+//                 )}
+//               </CardContent>
+//             </Card>
+//             <Card className="rounded-xl">
+//               <CardHeader><CardTitle>Key Features</CardTitle></CardHeader>
+//               <CardContent className="space-y-2 text-sm">
+//                 {scores.keyFeatures.map((h, i) => (
+//                   <div key={i} className={`rounded-lg px-3 py-2 ${h.status === "correct" ? "bg-emerald-500/20" : h.status === "approx" ? "bg-amber-500/20" : "bg-rose-500/20"}`}>
+//                     {h.label}
+//                     {h.status === "correct" && <span className="opacity-70"> — said “{h.term}”</span>}
+//                     {h.status === "approx" && <span className="opacity-70"> — heard “{h.heard}”, expected “{h.term}”</span>}
+//                   </div>
+//                 ))}
+//                 <details>
+//                   <summary className="cursor-pointer">Sample answer</summary>
+//                   <p className="mt-2 opacity-80">{image.sample}</p>
+//                 </details>
+//               </CardContent>
+//             </Card>
+//           </div>
+//         )}
+//       </CardContent>
+//     </Card>
+//   );
+// }
+
+// // ---------------------------------------------
+// // Retell Lecture & Answer Short Question (prompt played with Speech Synthesis, then recorded)
+// // ---------------------------------------------
+// const RL_PREP_SEC = 10;
+// const RL_RESPONSE_SEC = 40;
+// const ASQ_RESPONSE_SEC = 10;
+
+// // Shared flow: play the prompt once ➜ optional prep countdown ➜ record for responseSec ➜ evaluate.
+// // `evaluate(item, hypText, durationSec, acoustic)` returns the score fields saved to history.
+// function PromptedSpeakingCard({ title, type, bank, prepSec: defaultPrepSec, responseSec: defaultResponseSec, instructions, showPrompt, evaluate, Result }) {
+//   const [idx, setIdx] = useState(0);
+//   const item = bank[idx];
+//   const prepSec = item.prepSec ?? defaultPrepSec;
+//   const responseSec = item.responseSec ?? defaultResponseSec;
+//   const [phase, setPhase] = useState("idle"); // idle | playing | prep | recording | done
+//   const [left, setLeft] = useState(0);
+//   const [audioUrl, setAudioUrl] = useState("");
+//   const [audioBlob, setAudioBlob] = useState(null);
+//   const [acoustic, setAcoustic] = useState(null);
+//   const [hypText, setHypText] = useState("");
+//   const [scores, setScores] = useState(null);
+//   const [status, setStatus] = useState(instructions);
+
+//   const timerRef = useRef(null);
+//   const durationRef = useRef(0);
+//   const recognizerRef = useRef(null);
+//   const promptStopRef = useRef(null);
+//   const wsContainer = useRef(null);
+//   const isMountedRef = useRef(true);
+//   useEffect(() => { isMountedRef.current = true; return () => { isMountedRef.current = false; clearInterval(timerRef.current); stopPrompt(); }; }, []);
+
+//   function stopPrompt() {
+//     if (promptStopRef.current) { promptStopRef.current(); promptStopRef.current = null; }
+//   }
+
+//   const regions = useMemo(() => pauseRegions(acoustic), [acoustic]);
+//   useWaveSurfer(wsContainer, audioUrl, regions);
+
+//   function countdown(seconds, onZero) {
+//     clearInterval(timerRef.current);
+//     const deadline = Date.now() + seconds * 1000;
+//     setLeft(seconds);
+//     timerRef.current = setInterval(() => {
+//       const l = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+//       if (isMountedRef.current) setLeft(l);
+//       if (l === 0) { clearInterval(timerRef.current); onZero(); }
+//     }, 250);
+//   }
+
+//   function start() {
+//     resetAttempt();
+//     setPhase("playing");
+//     promptStopRef.current = playPrompt(item, {
+//       onTick: (l) => { if (isMountedRef.current) setStatus(l > 0 ? `Audio starts in ${l}…` : "Listen carefully. The audio plays once."); },
+//       onDone: () => {
+//         promptStopRef.current = null;
+//         if (!isMountedRef.current) return;
+//         if (prepSec > 0) {
+//           setPhase("prep");
+//           setStatus("Prepare your response. Recording starts automatically.");
+//           countdown(prepSec, startRecording);
+//         } else {
+//           startRecording();
+//         }
+//       },
+//     });
+//   }
+
+//   const recorder = useRecorder({ maxSec: responseSec, onStop: handleRecording });
+
+//   async function startRecording() {
+//     if (!(await recorder.start())) { if (isMountedRef.current) { setPhase("idle"); setStatus("Recording didn't start."); } return; }
+//     if (!isMountedRef.current) return;
+//     setPhase("recording"); setStatus("Recording… speak now.");
+
+//     const rec = getRecognizer({ continuous: true });
+//     recognizerRef.current = rec;
+//     if (rec) {
+//       let interim = ""; let final = "";
+//       const show = () => { if (isMountedRef.current) setHypText((final + " " + interim).trim()); };
+//       rec.onFinal = (t) => { final += t + " "; interim = ""; show(); };
+//       rec.onInterim = (t) => { interim = t; show(); };
+//       rec.onEnd = () => { if (isMountedRef.current && !rec.streaming) setStatus(final.trim() ? "Transcript ready. Analyze to see scores." : "No speech was transcribed. Type what you said or try again."); };
+//       rec.onError = (err) => console.warn('Recognizer error', err);
+//       try { rec.start(); } catch (e) { console.warn('Recognizer start failed', e); }
+//     }
+//   }
+
+//   const stopRecording = () => recorder.stop();
+
+//   function handleRecording({ blob, durationSec, reason }) {
+//     const rec = recognizerRef.current;
+//     try { if (rec && rec.streaming) rec.stop(); } catch (e) { console.warn(e); }
+//     durationRef.current = durationSec;
+//     setAudioUrl(URL.createObjectURL(blob)); setAudioBlob(blob);
+//     analyzeRecordingAudio(blob).then((a) => { if (isMountedRef.current) setAcoustic(a); });
+//     setPhase("done");
+//     if (rec && !rec.streaming) {
+//       setStatus("Transcribing your recording locally…");
+//       rec.transcribeBlob(blob);
+//     } else {
+//       setStatus(`${STOP_REASONS[reason]} Analyze to see scores.`);
+//     }
+//   }
+
+//   function analyze() {
+//     const dur = Math.min(responseSec, durationRef.current);
+//     const result = { ...evaluate(item, hypText, dur, acoustic), acoustic, question: item.title || item.text, when: new Date().toISOString(), id: uid(), type };
+//     if (isMountedRef.current) setScores(result);
+//     saveHistory(result, item.text, hypText, audioBlob);
+//     if (isMountedRef.current) setStatus("Analysis complete.");
+//   }
+
+//   function resetAttempt() {
+//     clearInterval(timerRef.current);
+//     stopPrompt();
+//     recorder.cancel();
+//     try { if (audioUrl) URL.revokeObjectURL(audioUrl); } catch (e) {}
+//     setAudioUrl(""); setAudioBlob(null); setAcoustic(null); setHypText(""); setScores(null); setLeft(0);
+//     setPhase("idle");
+//     setStatus(instructions);
+//   }
+
+//   const busy = phase === "playing" || phase === "prep" || phase === "recording";
+
+//   return (
+//     <Card className="rounded-2xl shadow-md">
+//       <CardHeader>
+//         <CardTitle className="flex items-center justify-between gap-3">
+//           <span>{title}</span>
+//           <Button variant="ghost" onClick={() => { resetAttempt(); setIdx((idx + 1) % bank.length); }} disabled={busy}>Next</Button>
+//         </CardTitle>
+//       </CardHeader>
+//       <CardContent className="space-y-4">
+//         <div className="grid md:grid-cols-2 gap-4">
+//           <div className="space-y-2">
+//             <div className="rounded-xl border p-3 text-sm md:text-base bg-neutral-50 dark:bg-neutral-900">
+//               {item.title ? <strong>{item.title}</strong> : <span className="opacity-70">Audio question {idx + 1} of {bank.length}</span>}
+//             </div>
+//             <div className="flex gap-2 flex-wrap">
+//               <Button onClick={start} disabled={busy}><Play className="mr-2 h-4 w-4"/> Start</Button>
+//               <Button variant="destructive" onClick={stopRecording} disabled={phase !== "recording"}><Square className="mr-2 h-4 w-4"/> Stop</Button>
+//               <Button variant="secondary" onClick={analyze} disabled={!hypText || busy}>Analyze</Button>
+//               <Button variant="ghost" onClick={resetAttempt}><Trash2 className="mr-2 h-4 w-4"/> Reset</Button>
+//             </div>
+//             <div className="text-sm opacity-80">
+//               {phase === "prep" && `Prep: 00:${String(left).padStart(2,'0')} • `}
+//               {phase === "recording" && `Recording: 00:${String(Math.max(0, responseSec - recorder.seconds)).padStart(2,'0')} left • `}
+//               {status}
+//             </div>
+//             <RecorderMeter recorder={recorder}/>
+//             <div ref={wsContainer} className="rounded-xl border h-24 flex items-center"/>
+//           </div>
+//           <div className="space-y-2">
+//             <Label>Your Transcript</Label>
+//             <Textarea rows={6} value={hypText} onChange={(e) => setHypText(e.target.value)} placeholder="Your answer will appear here."/>
+//             {scores && <Result scores={scores} item={item}/>}
+//             {scores && showPrompt && (
+//               <details className="text-sm">
+//                 <summary className="cursor-pointer">Show audio script</summary>
+//                 <p className="mt-2 opacity-80">{item.text}</p>
+//               </details>
+//             )}
+//           </div>
+//         </div>
+//       </CardContent>
+//     </Card>
+//   );
+// }
+
+// function KeyPointResult({ scores }) {
+//   return (
+//     <div className="space-y-3">
+//       <div className="grid grid-cols-2 gap-3 text-center">
+//         <ScoreBox label="Content" value={scores.content}/>
+//         <ScoreBox label="Pronunciation" value={scores.pronScore}/>
+//         <ScoreBox label="Fluency" value={scores.fluencyScore}/>
+//         <ScoreBox label="Overall" value={scores.overall}/>
+//       </div>
+//       <div className="space-y-1 text-sm">
+//         {scores.keyFeatures.map((h, i) => (
+//           <div key={i} className={`rounded-lg px-3 py-1 ${h.status === "correct" ? "bg-emerald-500/20" : h.status === "approx" ? "bg-amber-500/20" : "bg-rose-500/20"}`}>{h.label}</div>
+//         ))}
+//       </div>
+//     </div>
+//   );
+// }
+
+// function ShortAnswerResult({ scores, item }) {
+//   return (
+//     <div className={`rounded-xl border p-3 text-sm ${scores.correct ? 'border-emerald-500 bg-emerald-500/10' : 'border-rose-500 bg-rose-500/10'}`}>
+//       {scores.correct ? `Correct — “${scores.matched}”.` : `Not accepted.${scores.reason ? ` ${scores.reason}` : ""}`} Accepted answers: {item.answers.join(", ")}.
+//     </div>
+//   );
+// }
+
+// function RetellLectureCard() {
+//   return (
+//     <PromptedSpeakingCard
+//       title="Retell Lecture" type="RetellLecture" bank={bankFor("RetellLecture")}
+//       prepSec={RL_PREP_SEC} responseSec={RL_RESPONSE_SEC} showPrompt
+//       instructions="Press Start to hear the lecture once. Take notes, then retell it in your own words."
+//       evaluate={(item, hyp, dur, acoustic) => scoreKeyPointSpeaking(item.features, hyp, dur, acoustic)}
+//       Result={KeyPointResult}/>
+//   );
+// }
+
+// function AnswerShortQuestionCard() {
+//   return (
+//     <PromptedSpeakingCard
+//       title="Answer Short Question" type="AnswerShortQuestion" bank={bankFor("AnswerShortQuestion")}
+//       prepSec={0} responseSec={ASQ_RESPONSE_SEC} showPrompt
+//       instructions="Press Start to hear the question, then answer in one or a few words."
+//       evaluate={(item, hyp) => scoreShortAnswer(item, hyp)}
+//       Result={ShortAnswerResult}/>
+//   );
+// }
+
+// // ---------------------------------------------
+// // Writing: Summarize Written Text & Essay (word count, form and rubric scoring)
+// // ---------------------------------------------
+// const SWT_LIMITS = { minutes: 10, minWords: 5, maxWords: 75 };
+// const ESSAY_LIMITS = { minutes: 20, minWords: 200, maxWords: 300 };
+
+// const countWords = (s) => tokenize(s).length;
+
+// const LINKERS = ["however", "therefore", "moreover", "furthermore", "in addition", "consequently", "on the other hand",
+//   "for example", "for instance", "in conclusion", "to conclude", "although", "whereas", "nevertheless", "firstly", "secondly", "finally"];
+
+// // Bands used by the rubric below: score = max for few issues, dropping as issues grow.
+// const bandByIssues = (n, max) => clamp(max - n, 0, max);
+
+// function scoreSummarizeWrittenText(item, response) {
+//   const words = countWords(response);
+//   const sentences = splitSentences(response);
+//   const oneSentence = sentences.length === 1 && /[.!?]$/.test(response.trim());
+//   const inRange = words >= SWT_LIMITS.minWords && words <= SWT_LIMITS.maxWords;
+//   const keyPoints = scoreKeyFeatures(item.keyPoints, response);
+//   const spelling = checkSpelling(response, [item.text]);
+//   const grammar = checkGrammar(response);
+//   const form = oneSentence && inRange ? 1 : 0;
+
+//   const criteria = [
+//     { key: "form", label: "Form", max: 1, score: form, note: !inRange ? `${words} words (needs ${SWT_LIMITS.minWords}–${SWT_LIMITS.maxWords})` : !oneSentence ? `${sentences.length} sentences (needs exactly one, ending with a full stop)` : "One sentence, word count OK" },
+//     { key: "content", label: "Content", max: 2, score: keyPoints.contentAcc >= 75 ? 2 : keyPoints.contentAcc >= 40 ? 1 : 0, note: `${keyPoints.covered} of ${item.keyPoints.length} key points` },
+//     { key: "grammar", label: "Grammar", max: 2, score: bandByIssues(grammar.length, 2), note: `${grammar.length} issue(s)` },
+//     { key: "vocabulary", label: "Vocabulary", max: 2, score: bandByIssues(spelling.length, 2), note: `${spelling.length} common misspelling(s)` },
+//   ];
+//   return writingResult(criteria, { words, keyPoints: keyPoints.hits, issues: [...spelling, ...grammar] });
+// }
+
+// function scoreEssay(item, response) {
+//   const words = countWords(response);
+//   const paragraphs = String(response).split(/\n\s*\n/).filter((p) => p.trim()).length;
+//   const lower = String(response).toLowerCase();
+//   const linkers = LINKERS.filter((l) => lower.includes(l)).length;
+//   const tokens = tokenize(response);
+//   const diversity = tokens.length ? new Set(tokens).size / tokens.length : 0;
+//   const keyPoints = scoreKeyFeatures(item.keyPoints, response);
+//   const spelling = checkSpelling(response, [item.prompt]);
+//   const grammar = checkGrammar(response);
+//   const per100 = words ? (grammar.length / words) * 100 : 0;
+
+//   const form = words >= ESSAY_LIMITS.minWords && words <= ESSAY_LIMITS.maxWords ? 2 : (words >= 120 && words <= 380 ? 1 : 0);
+//   const criteria = [
+//     { key: "form", label: "Form", max: 2, score: form, note: `${words} words (target ${ESSAY_LIMITS.minWords}–${ESSAY_LIMITS.maxWords})` },
+//     { key: "content", label: "Content", max: 3, score: keyPoints.contentAcc >= 80 ? 3 : keyPoints.contentAcc >= 55 ? 2 : keyPoints.contentAcc >= 30 ? 1 : 0, note: `${keyPoints.covered} of ${item.keyPoints.length} key points` },
+//     { key: "structure", label: "Development & structure", max: 2, score: paragraphs >= 3 ? 2 : paragraphs === 2 ? 1 : 0, note: `${paragraphs} paragraph(s)` },
+//     { key: "grammar", label: "Grammar", max: 2, score: per100 <= 1 ? 2 : per100 <= 3 ? 1 : 0, note: `${grammar.length} issue(s)` },
+//     { key: "range", label: "Linguistic range", max: 2, score: linkers >= 4 ? 2 : linkers >= 2 ? 1 : 0, note: `${linkers} linking phrase(s)` },
+//     { key: "vocabulary", label: "Vocabulary", max: 2, score: diversity >= 0.55 ? 2 : diversity >= 0.4 ? 1 : 0, note: `${Math.round(diversity * 100)}% distinct words` },
+//     { key: "spelling", label: "Spelling", max: 2, score: spelling.length === 0 ? 2 : spelling.length === 1 ? 1 : 0, note: `${spelling.length} common misspelling(s)` },
+//   ];
+//   return writingResult(criteria, { words, paragraphs, keyPoints: keyPoints.hits, issues: [...spelling, ...grammar] });
+// }
+
+// // PTE rule: a response with form 0 scores 0 on every other criterion.
+// function writingResult(criteria, extra) {
+//   const formZero = criteria.find((c) => c.key === "form").score === 0;
+//   const scored = criteria.map((c) => (formZero && c.key !== "form" ? { ...c, score: 0 } : c));
+//   const total = scored.reduce((acc, c) => acc + c.score, 0);
+//   const max = scored.reduce((acc, c) => acc + c.max, 0);
+//   return { criteria: scored, total, max, overall: Math.round((total / max) * 100), ...extra };
+// }
+
+// // `audioText` (item ➜ text) adds a Play button for tasks that start from a recording.
+// function WritingTaskCard({ title, type, bank, limits, renderPrompt, promptText, evaluate, placeholder, audioText }) {
+//   const [idx, setIdx] = useState(0);
+//   const item = bank[idx];
+//   const [response, setResponse] = useState("");
+//   const [left, setLeft] = useState(limits.minutes * 60);
+//   const [running, setRunning] = useState(false);
+//   const [result, setResult] = useState(null);
+//   const timerRef = useRef(null);
+//   const responseRef = useRef("");
+//   responseRef.current = response;
+//   const submitRef = useRef(() => {});
+//   const player = usePromptPlayer();
+//   useEffect(() => () => clearInterval(timerRef.current), []);
+
+//   const words = countWords(response);
+//   const wordClass = words === 0 ? "" : words < limits.minWords || words > limits.maxWords ? "text-rose-600" : "text-emerald-600";
+
+//   function start() {
+//     clearInterval(timerRef.current);
+//     const deadline = Date.now() + limits.minutes * 60 * 1000;
+//     setResult(null);
+//     setRunning(true);
+//     setLeft(limits.minutes * 60);
+//     timerRef.current = setInterval(() => {
+//       const l = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+//       setLeft(l);
+//       if (l === 0) { clearInterval(timerRef.current); submitRef.current(); }
+//     }, 500);
+//   }
+
+//   function submit() {
+//     clearInterval(timerRef.current);
+//     setRunning(false);
+//     const text = responseRef.current;
+//     const res = { ...evaluate(item, text), when: new Date().toISOString(), id: uid(), type, question: item.title || item.prompt };
+//     setResult(res);
+//     saveHistory(res, promptText(item), text);
+//   }
+//   submitRef.current = submit;
+
+//   function next() {
+//     clearInterval(timerRef.current);
+//     player.reset();
+//     setRunning(false); setResult(null); setResponse(""); setLeft(limits.minutes * 60);
+//     setIdx((idx + 1) % bank.length);
+//   }
+
+//   return (
+//     <Card className="rounded-2xl shadow-md">
+//       <CardHeader>
+//         <CardTitle className="flex items-center justify-between gap-3">
+//           <span>{title}</span>
+//           <span className="text-sm opacity-80">Time: {String(Math.floor(left/60)).padStart(2,'0')}:{String(left%60).padStart(2,'0')}</span>
+//         </CardTitle>
+//       </CardHeader>
+//       <CardContent className="space-y-4">
+//         <div className="rounded-xl border p-3 text-sm md:text-base bg-neutral-50 dark:bg-neutral-900">{renderPrompt(item)}</div>
+//         <Textarea rows={type === "Essay" ? 14 : 5} value={response} onChange={(e) => setResponse(e.target.value)}
+//           placeholder={running ? placeholder : "Press Start to begin the timer."} disabled={!running}/>
+//         <div className="flex flex-wrap items-center justify-between gap-2">
+//           <div className="text-sm">Words: <span className={wordClass}>{words}</span> <span className="opacity-70">({limits.minWords}–{limits.maxWords})</span></div>
+//           <div className="flex gap-2">
+//             {audioText && <PromptButton player={player} prompt={{ text: audioText(item), audio: item.audio }}/>}
+//             <Button onClick={start} disabled={running}>{result ? "Try again" : "Start"}</Button>
+//             <Button variant="secondary" onClick={submit} disabled={!running}>Submit</Button>
+//             <Button variant="ghost" onClick={next}>Next</Button>
+//           </div>
+//         </div>
+//         {result && <WritingResult result={result}/>}
+//       </CardContent>
+//     </Card>
+//   );
+// }
+
+// function WritingResult({ result }) {
+//   return (
+//     <div className="grid md:grid-cols-2 gap-4">
+//       <div className="space-y-2">
+//         <ScoreBox label={`Score (${result.total}/${result.max})`} value={result.overall}/>
+//         {result.criteria.map((c) => (
+//           <div key={c.key} className="flex justify-between rounded-lg border px-3 py-2 text-sm">
+//             <span>{c.label} <span className="opacity-60">— {c.note}</span></span>
+//             <strong>{c.score}/{c.max}</strong>
+//           </div>
+//         ))}
+//       </div>
+//       <div className="space-y-2 text-sm">
+//         <div className="font-semibold">Key points</div>
+//         {result.keyPoints.map((h, i) => (
+//           <div key={i} className={`rounded-lg px-3 py-1 ${h.status === "correct" ? "bg-emerald-500/20" : h.status === "approx" ? "bg-amber-500/20" : "bg-rose-500/20"}`}>{h.label}</div>
+//         ))}
+//         <div className="font-semibold mt-2">Spelling & grammar</div>
+//         <div className="text-xs opacity-70">Spelling is checked against a list of common misspellings only, so other typos are not caught.</div>
+//         {result.issues.length === 0 && <div className="opacity-70">No issues found.</div>}
+//         {result.issues.map((iss, i) => (
+//           <div key={i} className="opacity-90">
+//             {iss.type === "spelling" ? <>Spelling: <s>{iss.word}</s> → {iss.suggestion}</> : <>{iss.message}: “{iss.excerpt}”</>}
+//           </div>
+//         ))}
+//       </div>
+//     </div>
+//   );
+// }
+
+// function SummarizeWrittenTextCard() {
+//   return (
+//     <WritingTaskCard
+//       title="Summarize Written Text" type="SummarizeWrittenText" bank={bankFor("SummarizeWrittenText")} limits={SWT_LIMITS}
+//       renderPrompt={(item) => <><strong>{item.title}</strong><p className="mt-2">{item.text}</p><p className="mt-2 text-xs opacity-70">Summarize the passage in ONE sentence of {SWT_LIMITS.minWords}–{SWT_LIMITS.maxWords} words.</p></>}
+//       promptText={(item) => item.text}
+//       evaluate={scoreSummarizeWrittenText}
+//       placeholder="Write a single sentence that captures the main points."/>
+//   );
+// }
+
+// function EssayCard() {
+//   return (
+//     <WritingTaskCard
+//       title="Essay" type="Essay" bank={bankFor("Essay")} limits={ESSAY_LIMITS}
+//       renderPrompt={(item) => <><strong>Essay prompt</strong><p className="mt-2">{item.prompt}</p><p className="mt-2 text-xs opacity-70">Write {ESSAY_LIMITS.minWords}–{ESSAY_LIMITS.maxWords} words. Separate paragraphs with a blank line.</p></>}
+//       promptText={(item) => item.prompt}
+//       evaluate={scoreEssay}
+//       placeholder="Introduction, body paragraphs with examples, conclusion."/>
+//   );
+// }
+
+// // ---------------------------------------------
+// // Reading: Fill in the Blanks, Reorder Paragraphs, Multiple Choice (Multiple Answers)
+// // ---------------------------------------------
+// // Blank texts mark gaps as {0}, {1}, … in order.
+// const splitBlanks = (text) => String(text).split(/\{(\d+)\}/);
+
+// // PTE partial credit: one point per correctly filled blank.
+// function scoreBlanks(expected, given) {
+//   const blanks = expected.map((answer, i) => ({ expected: answer, given: given[i] || "", correct: (given[i] || "").toLowerCase() === answer.toLowerCase() }));
+//   const total = blanks.filter((b) => b.correct).length;
+//   return { total, max: expected.length, blanks };
+// }
+
+// // PTE partial credit: one point for each adjacent pair of the correct order that the
+// // candidate also placed next to each other, in the same order.
+// function scoreReorder(correctOrder, order) {
+//   const pos = new Map(order.map((id, i) => [id, i]));
+//   const pairs = correctOrder.slice(1).map((id, i) => ({ first: correctOrder[i], second: id, correct: pos.get(id) === pos.get(correctOrder[i]) + 1 }));
+//   return { total: pairs.filter((p) => p.correct).length, max: pairs.length, pairs };
+// }
+
+// // PTE negative marking: +1 per correct option chosen, -1 per incorrect option chosen, never below 0.
+// function scoreMultipleAnswers(options, selected) {
+//   const right = selected.filter((i) => options[i] && options[i].correct).length;
+//   const wrong = selected.length - right;
+//   return { total: Math.max(0, right - wrong), max: options.filter((o) => o.correct).length, right, wrong };
+// }
+
+// const withOverall = (r) => ({ ...r, overall: r.max ? Math.round((r.total / r.max) * 100) : 0 });
+
+// function BlankSelects({ item, answer, onChange, reveal }) {
+//   return (
+//     <p className="leading-9">
+//       {splitBlanks(item.text).map((part, k) => {
+//         if (k % 2 === 0) return <span key={k}>{part}</span>;
+//         const i = Number(part);
+//         const ok = reveal && (answer[i] || "").toLowerCase() === item.blanks[i].answer.toLowerCase();
+//         return (
+//           <select key={k} value={answer[i] || ""} disabled={reveal}
+//             className={`mx-1 rounded border px-1 bg-transparent ${reveal ? (ok ? 'border-emerald-500' : 'border-rose-500') : ''}`}
+//             onChange={(e) => { const next = answer.slice(); next[i] = e.target.value; onChange(next); }}>
+//             <option value=""></option>
+//             {item.blanks[i].options.map((o) => <option key={o} value={o}>{o}</option>)}
+//           </select>
+//         );
+//       })}
+//     </p>
+//   );
+// }
+
+// // Drag a word from the bank onto a gap, or click a word then click a gap. Click a filled gap to clear it.
+// function BlankDropZones({ item, answer, onChange, reveal }) {
+//   const [picked, setPicked] = useState(null);
+//   const words = useMemo(() => shuffled([...item.answers, ...(item.distractors || [])]), [item]);
+//   // Chips are tracked by their index in `words`, so a word the answers repeat ("the" in two gaps)
+//   // has one chip per copy; each filled gap uses up one chip holding its word.
+//   const free = useMemo(() => {
+//     const left = words.map((_, idx) => idx);
+//     answer.forEach((w) => {
+//       const k = w ? left.findIndex((idx) => words[idx] === w) : -1;
+//       if (k !== -1) left.splice(k, 1);
+//     });
+//     return left;
+//   }, [words, answer]);
+//   const place = (i, idx) => {
+//     setPicked(null);
+//     if (!free.includes(idx)) return;
+//     const next = answer.slice();
+//     next[i] = words[idx];
+//     onChange(next);
+//   };
+//   return (
+//     <div className="space-y-3">
+//       <p className="leading-9">
+//         {splitBlanks(item.text).map((part, k) => {
+//           if (k % 2 === 0) return <span key={k}>{part}</span>;
+//           const i = Number(part);
+//           const ok = reveal && (answer[i] || "") === item.answers[i];
+//           return (
+//             <span key={k}
+//               className={`inline-block min-w-20 mx-1 px-2 rounded border-b-2 text-center cursor-pointer ${reveal ? (ok ? 'border-emerald-500' : 'border-rose-500') : 'border-blue-500'}`}
+//               onDragOver={(e) => { if (!reveal) e.preventDefault(); }}
+//               onDrop={(e) => { e.preventDefault(); if (!reveal) place(i, Number(e.dataTransfer.getData("text/plain"))); }}
+//               onClick={() => { if (reveal) return; if (picked !== null) place(i, picked); else if (answer[i]) { const next = answer.slice(); next[i] = ""; onChange(next); } }}>
+//               {answer[i] || " "}
+//             </span>
+//           );
+//         })}
+//       </p>
+//       <div className="flex flex-wrap gap-2">
+//         {free.map((idx) => (
+//           <span key={idx} draggable={!reveal}
+//             onDragStart={(e) => e.dataTransfer.setData("text/plain", String(idx))}
+//             onClick={() => !reveal && setPicked(picked === idx ? null : idx)}
+//             className={`rounded-lg border px-3 py-1 text-sm cursor-grab ${picked === idx ? 'border-blue-500 bg-blue-500/10' : ''}`}>{words[idx]}</span>
+//         ))}
+//       </div>
+//     </div>
+//   );
+// }
+
+// // Drag a paragraph onto another to move it there; the arrow buttons do the same without a mouse.
+// function ReorderList({ item, answer, onChange, reveal }) {
+//   const [dragIdx, setDragIdx] = useState(null);
+//   const move = (from, to) => {
+//     if (to < 0 || to >= answer.length || from === to) return;
+//     const next = answer.slice();
+//     const [moved] = next.splice(from, 1);
+//     next.splice(to, 0, moved);
+//     onChange(next);
+//   };
+//   return (
+//     <ol className="space-y-2">
+//       {answer.map((id, i) => {
+//         const ok = reveal && i > 0 && item.paragraphs.indexOf(id) === item.paragraphs.indexOf(answer[i - 1]) + 1;
+//         return (
+//           <li key={id} draggable={!reveal}
+//             onDragStart={() => setDragIdx(i)}
+//             onDragOver={(e) => { if (!reveal) e.preventDefault(); }}
+//             onDrop={(e) => { e.preventDefault(); if (dragIdx !== null) move(dragIdx, i); setDragIdx(null); }}
+//             className={`flex gap-3 items-start rounded-xl border p-3 text-sm ${reveal ? (ok ? 'border-emerald-500' : '') : 'cursor-grab'}`}>
+//             <span className="font-semibold">{String.fromCharCode(65 + item.paragraphs.indexOf(id))}</span>
+//             <span className="flex-1">{id}</span>
+//             {!reveal && (
+//               <span className="flex flex-col">
+//                 <button type="button" onClick={() => move(i, i - 1)} aria-label="Move up">▲</button>
+//                 <button type="button" onClick={() => move(i, i + 1)} aria-label="Move down">▼</button>
+//               </span>
+//             )}
+//           </li>
+//         );
+//       })}
+//     </ol>
+//   );
+// }
+
+// function MultiChoice({ item, answer, onChange, reveal }) {
+//   const toggle = (i) => onChange(answer.includes(i) ? answer.filter((x) => x !== i) : [...answer, i]);
+//   return (
+//     <div className="space-y-3">
+//       {item.passage && <p className="text-sm leading-7">{item.passage}</p>}
+//       <div className="font-semibold text-sm">{item.question}</div>
+//       {item.options.map((opt, i) => (
+//         <label key={i} className={`flex items-center gap-3 rounded-xl border p-3 cursor-pointer ${reveal ? (opt.correct ? 'border-emerald-500 bg-emerald-500/10' : (answer.includes(i) ? 'border-rose-500 bg-rose-500/10' : '')) : (answer.includes(i) ? 'border-blue-500 bg-blue-500/10' : '')}`}>
+//           <input type="checkbox" checked={answer.includes(i)} onChange={() => toggle(i)} disabled={reveal}/>
+//           <span>{opt.text}</span>
+//         </label>
+//       ))}
+//     </div>
+//   );
+// }
+
+// // Single-answer options; `question` is shown when the item has none of its own.
+// function SingleChoice({ item, answer, onChange, reveal, question }) {
+//   const name = useMemo(uid, []);
+//   return (
+//     <div className="space-y-3">
+//       <div className="font-semibold text-sm">{item.question || question}</div>
+//       {item.options.map((opt, i) => (
+//         <label key={i} className={`flex items-center gap-3 rounded-xl border p-3 cursor-pointer ${reveal ? (opt.correct ? 'border-emerald-500 bg-emerald-500/10' : (answer === i ? 'border-rose-500 bg-rose-500/10' : '')) : (answer === i ? 'border-blue-500 bg-blue-500/10' : '')}`}>
+//           <input type="radio" name={name} checked={answer === i} onChange={() => onChange(i)} disabled={reveal}/>
+//           <span>{opt.text}</span>
+//         </label>
+//       ))}
+//     </div>
+//   );
+// }
+
+// // Reading item types (keyed like bankFor): how to start an answer, score it and render it.
+// // Shared by the Reading tab and Mock Test.
+// const READING_TASKS = {
+//   ReadingWritingFIB: {
+//     label: "R&W Fill in the Blanks", responseSec: 120,
+//     initial: (item) => item.blanks.map(() => ""),
+//     score: (item, answer) => withOverall(scoreBlanks(item.blanks.map((b) => b.answer), answer)),
+//     View: BlankSelects,
+//   },
+//   ReadingFIB: {
+//     label: "Reading Fill in the Blanks", responseSec: 90,
+//     initial: (item) => item.answers.map(() => ""),
+//     score: (item, answer) => withOverall(scoreBlanks(item.answers, answer)),
+//     View: BlankDropZones,
+//   },
+//   ReorderParagraphs: {
+//     label: "Reorder Paragraphs", responseSec: 150,
+//     initial: (item) => {
+//       let order = shuffled(item.paragraphs);
+//       while (item.paragraphs.length > 1 && order.every((p, i) => p === item.paragraphs[i])) order = shuffled(item.paragraphs);
+//       return order;
+//     },
+//     score: (item, answer) => withOverall(scoreReorder(item.paragraphs, answer)),
+//     View: ReorderList,
+//   },
+//   ReadingMCMA: {
+//     label: "Multiple Choice, Multiple Answers", responseSec: 120,
+//     initial: () => [],
+//     score: (item, answer) => withOverall(scoreMultipleAnswers(item.options, answer)),
+//     View: MultiChoice,
+//   },
+// };
+
+// // Practice one item type from a task registry (READING_TASKS, LISTENING_TASKS). Tasks with
+// // `audioText` get a Play button for the prompt audio (`endBeep` adds a beep after it).
+// function TaskPanel({ tasks, type }) {
+//   const task = tasks[type];
+//   const bank = bankFor(type);
+//   const [idx, setIdx] = useState(0);
+//   const item = bank[idx];
+//   const [answer, setAnswer] = useState(() => task.initial(item));
+//   const [result, setResult] = useState(null);
+//   const player = usePromptPlayer();
+//   const View = task.View;
+
+//   function submit() {
+//     const res = { ...task.score(item, answer), answer, when: new Date().toISOString(), id: uid(), type, question: item.title };
+//     setResult(res);
+//     saveHistory(res);
+//   }
+
+//   function next() {
+//     const n = (idx + 1) % bank.length;
+//     player.reset();
+//     setIdx(n); setAnswer(task.initial(bank[n])); setResult(null);
+//   }
+
+//   return (
+//     <div className="space-y-4">
+//       <div className="flex items-center justify-between gap-3">
+//         <div className="font-semibold">{item.title}</div>
+//         {task.audioText && <PromptButton player={player} prompt={{ text: task.audioText(item), audio: item.audio, endBeep: task.endBeep }}/>}
+//       </div>
+//       <View key={idx} item={item} answer={answer} onChange={setAnswer} reveal={!!result}/>
+//       <div className="flex flex-wrap items-center gap-3">
+//         <Button onClick={submit} disabled={!!result}>Submit</Button>
+//         <Button variant="ghost" onClick={next}>Next</Button>
+//         {result && <span className="text-sm">Score: <strong>{result.total}/{result.max}</strong> {item.explain && <span className="opacity-80">— {item.explain}</span>}</span>}
+//       </div>
+//     </div>
+//   );
+// }
+
+// function TaskTabsCard({ title, tasks }) {
+//   const types = Object.keys(tasks);
+//   return (
+//     <Card className="rounded-2xl shadow-md">
+//       <CardHeader><CardTitle>{title}</CardTitle></CardHeader>
+//       <CardContent>
+//         <Tabs defaultValue={types[0]} className="w-full">
+//           <TabsList className={`grid grid-cols-2 ${types.length > 2 ? 'md:grid-cols-4' : ''} gap-2 mb-4`}>
+//             {types.map((type) => <TabsTrigger key={type} value={type}>{tasks[type].label}</TabsTrigger>)}
+//           </TabsList>
+//           {types.map((type) => (
+//             <TabsContent key={type} value={type}><TaskPanel tasks={tasks} type={type}/></TabsContent>
+//           ))}
+//         </Tabs>
+//       </CardContent>
+//     </Card>
+//   );
+// }
+
+// function ReadingCard() {
+//   return <TaskTabsCard title="Reading" tasks={READING_TASKS}/>;
+// }
+
+// // ---------------------------------------------
+// // Listening Comprehension (MCQ demo with timer)
+// // ---------------------------------------------
+// function ListeningCard() {
+//   const [qIdx, setQIdx] = useState(0);
+//   const [time, setTime] = useState(25);
+//   const [choice, setChoice] = useState(null);
+//   const [answered, setAnswered] = useState(false);
+//   const bank = bankFor("Listening");
+//   const q = bank[qIdx];
+
+//   useEffect(() => {
+//     loadHistory()
+//       .then((arr) => { releaseHistory(arr); seedReviews("Listening", bankFor("Listening"), flattenAttempts(arr)); })
+//       .catch((e) => console.warn('loadHistory failed', e));
+//   }, []);
+
+//   useEffect(() => {
+//     setTime(25); setChoice(null); setAnswered(false);
+//     const t = setInterval(() => setTime((s)=> s<=1 ? 0 : s-1), 1000);
+//     return () => clearInterval(t);
+//   }, [qIdx]);
+
+//   const player = usePromptPlayer();
+
+//   const submit = () => { setAnswered(true); const isCorrect = q.options[choice]?.correct; recordReview("Listening", q, isCorrect ? 100 : 0); const result = {
+//     id: uid(), type: "Listening", when: new Date().toISOString(), correct: !!isCorrect, overall: isCorrect ? 100 : 0, question: q.prompt, reviewKey: reviewKey("Listening", q)
+//   }; saveHistory(result); };
+
+//   return (
+//     <Card className="rounded-2xl shadow-md">
+//       <CardHeader><CardTitle>Listening — Multiple Choice (Single Answer)</CardTitle></CardHeader>
+//       <CardContent className="space-y-4">
+//         <div className="flex items-center justify-between">
+//           <div className="text-sm opacity-80">Time: {String(Math.floor(time/60)).padStart(2,'0')}:{String(time%60).padStart(2,'0')}</div>
+//           <div className="flex gap-2">
+//             <PromptButton player={player} prompt={{ text: q.audioText, audio: q.audio }}/>
+//             <Button variant="ghost" onClick={()=> { player.reset(); setQIdx(pickNextIndex("Listening", bank, qIdx)); }}>Next</Button>
+//           </div>
+//         </div>
+//         <div className="rounded-xl border p-3 text-sm md:text-base bg-neutral-50 dark:bg-neutral-900">
+//           <strong>Prompt:</strong> {q.prompt}
+//         </div>
+//         <div className="space-y-2">
+//           {q.options.map((opt, i) => (
+//             <label key={i} className={`flex items-center gap-3 rounded-xl border p-3 cursor-pointer ${answered ? (opt.correct ? 'border-emerald-500 bg-emerald-500/10' : (choice===i ? 'border-rose-500 bg-rose-500/10' : '')) : (choice===i ? 'border-blue-500 bg-blue-500/10' : '')}`}>
+//               <input type="radio" name="opt" checked={choice===i} onChange={()=> setChoice(i)} disabled={answered}/>
+//               <span>{opt.text}</span>
+//             </label>
+//           ))}
+//         </div>
+//         <div className="flex gap-2">
+//           <Button onClick={submit} disabled={choice===null || answered}>Submit</Button>
+//           {answered && (
+//             <div className="text-sm">{q.explain}</div>
+//           )}
+//         </div>
+//       </CardContent>
+//     </Card>
+//   );
+// }
+
+// // ---------------------------------------------
+// // Listening: Summarize Spoken Text, Highlight Correct Summary, Select Missing Word,
+// // Highlight Incorrect Words, Write From Dictation
+// // ---------------------------------------------
+// const SST_LIMITS = { minutes: 10, minWords: 50, maxWords: 70 };
+
+// // PTE rubric: form 2 inside 50–70 words, 1 for 40–49 or 71–100, otherwise 0 (and so 0 overall).
+// function scoreSummarizeSpokenText(item, response) {
+//   const words = countWords(response);
+//   const tokens = tokenize(response);
+//   const diversity = tokens.length ? new Set(tokens).size / tokens.length : 0;
+//   const keyPoints = scoreKeyFeatures(item.keyPoints, response);
+//   const spelling = checkSpelling(response, [item.text]);
+//   const grammar = checkGrammar(response);
+//   const form = words >= SST_LIMITS.minWords && words <= SST_LIMITS.maxWords ? 2 : (words >= 40 && words <= 100 ? 1 : 0);
+
+//   const criteria = [
+//     { key: "form", label: "Form", max: 2, score: form, note: `${words} words (target ${SST_LIMITS.minWords}–${SST_LIMITS.maxWords})` },
+//     { key: "content", label: "Content", max: 2, score: keyPoints.contentAcc >= 75 ? 2 : keyPoints.contentAcc >= 40 ? 1 : 0, note: `${keyPoints.covered} of ${item.keyPoints.length} key points` },
+//     { key: "grammar", label: "Grammar", max: 2, score: bandByIssues(grammar.length, 2), note: `${grammar.length} issue(s)` },
+//     { key: "vocabulary", label: "Vocabulary", max: 2, score: diversity >= 0.55 ? 2 : diversity >= 0.4 ? 1 : 0, note: `${Math.round(diversity * 100)}% distinct words` },
+//     { key: "spelling", label: "Spelling", max: 2, score: spelling.length === 0 ? 2 : spelling.length === 1 ? 1 : 0, note: `${spelling.length} common misspelling(s)` },
+//   ];
+//   return writingResult(criteria, { words, keyPoints: keyPoints.hits, issues: [...spelling, ...grammar] });
+// }
+
+// function SummarizeSpokenTextCard() {
+//   return (
+//     <WritingTaskCard
+//       title="Summarize Spoken Text" type="SummarizeSpokenText" bank={bankFor("SummarizeSpokenText")} limits={SST_LIMITS}
+//       renderPrompt={(item) => <><strong>{item.title}</strong><p className="mt-2 text-xs opacity-70">Play the lecture (once), take notes, then summarize it in {SST_LIMITS.minWords}–{SST_LIMITS.maxWords} words.</p></>}
+//       promptText={(item) => item.text}
+//       audioText={(item) => item.text}
+//       evaluate={scoreSummarizeSpokenText}
+//       placeholder="Cover the main idea and the key supporting points."/>
+//   );
+// }
+
+// // One point for the correct option, none otherwise.
+// function scoreSingleAnswer(options, selected) {
+//   const correct = !!(options[selected] && options[selected].correct);
+//   return { total: correct ? 1 : 0, max: 1, correct };
+// }
+
+// const SummaryChoice = (props) => <SingleChoice {...props} question="Select the paragraph that best summarizes the recording."/>;
+// const MissingWordChoice = (props) => <SingleChoice {...props} question="Select the option that best completes the recording after the beep."/>;
+
+// // A typed word close enough to a missed one to count as a near miss (no credit, but reported).
+// const nearMiss = (word, typed) => levenshtein(word, typed) <= (word.length > 5 ? 2 : 1);
+
+// // PTE partial credit: one point for each word of the sentence that appears in the response,
+// // spelled correctly. Order doesn't matter, but each typed word can only be used once.
+// function scoreDictation(sentence, typed) {
+//   const ref = tokenize(sentence);
+//   const hyp = tokenize(typed);
+//   const used = hyp.map(() => false);
+//   const words = ref.map((word) => {
+//     const j = hyp.findIndex((h, k) => !used[k] && h === word);
+//     if (j >= 0) used[j] = true;
+//     return { word, status: j >= 0 ? "correct" : "missed", typed: j >= 0 ? hyp[j] : "" };
+//   });
+//   words.forEach((w) => {
+//     if (w.status !== "missed") return;
+//     const j = hyp.findIndex((h, k) => !used[k] && nearMiss(w.word, h));
+//     if (j >= 0) { used[j] = true; w.status = "near"; w.typed = hyp[j]; }
+//   });
+//   const total = words.filter((w) => w.status === "correct").length;
+//   return { total, max: ref.length, words, nearMisses: words.filter((w) => w.status === "near").map(({ word, typed }) => ({ word, typed })) };
+// }
+
+// // Highlight transcripts mark each word that the audio says differently as [shown|spoken].
+// function parseHighlightText(text) {
+//   return String(text).split(/\s+/).filter(Boolean).map((token) => {
+//     const m = token.match(/^([^[]*)\[([^|\]]+)\|([^\]]+)\](.*)$/);
+//     if (!m) return { shown: token, spoken: token, wrong: false };
+//     return { shown: m[1] + m[2] + m[4], spoken: m[1] + m[3] + m[4], wrong: true };
+//   });
+// }
+
+// const highlightAudioText = (item) => parseHighlightText(item.text).map((w) => w.spoken).join(" ");
+
+// // Same negative marking as Multiple Answers: +1 per differing word clicked, -1 per other word clicked.
+// function scoreHighlight(item, selected) {
+//   const words = parseHighlightText(item.text);
+//   return scoreMultipleAnswers(words.map((w) => ({ text: w.shown, correct: w.wrong })), selected);
+// }
+
+// function DictationInput({ item, answer, onChange, reveal }) {
+//   const result = reveal ? scoreDictation(item.text, answer) : null;
+//   return (
+//     <div className="space-y-3">
+//       <Input value={answer} disabled={reveal} placeholder="Type the sentence exactly as you heard it…" onChange={(e) => onChange(e.target.value)}/>
+//       {result && (
+//         <div className="space-y-2 text-sm">
+//           <div className="flex flex-wrap gap-1">
+//             {result.words.map((w, i) => (
+//               <span key={i} className={`rounded px-1 ${w.status === "correct" ? 'bg-emerald-500/15' : w.status === "near" ? 'bg-amber-500/20' : 'bg-rose-500/15'}`}>{w.word}</span>
+//             ))}
+//           </div>
+//           {result.nearMisses.length > 0 && (
+//             <div className="opacity-80">Near misses: {result.nearMisses.map((m) => `"${m.typed}" → ${m.word}`).join(", ")}</div>
+//           )}
+//         </div>
+//       )}
+//     </div>
+//   );
+// }
+
+// function HighlightWords({ item, answer, onChange, reveal }) {
+//   const words = useMemo(() => parseHighlightText(item.text), [item]);
+//   const toggle = (i) => onChange(answer.includes(i) ? answer.filter((x) => x !== i) : [...answer, i]);
+//   return (
+//     <p className="leading-8">
+//       {words.map((w, i) => {
+//         const on = answer.includes(i);
+//         const cls = reveal
+//           ? (w.wrong ? (on ? 'bg-emerald-500/20' : 'underline decoration-amber-500 decoration-2') : (on ? 'bg-rose-500/20' : ''))
+//           : (on ? 'bg-yellow-300/60 dark:bg-yellow-500/40' : 'hover:bg-neutral-200 dark:hover:bg-neutral-800');
+//         return (
+//           <span key={i}>
+//             <span role="button" tabIndex={0} className={`rounded px-0.5 cursor-pointer ${cls}`}
+//               onClick={() => !reveal && toggle(i)}
+//               onKeyDown={(e) => { if (!reveal && (e.key === "Enter" || e.key === " ")) { e.preventDefault(); toggle(i); } }}>
+//               {w.shown}
+//             </span>{" "}
+//           </span>
+//         );
+//       })}
+//     </p>
+//   );
+// }
+
+// // Listening item types, same shape as READING_TASKS plus the text the prompt audio speaks.
+// // Select Missing Word items hold the recording up to the missing word; the beep replaces it.
+// const LISTENING_TASKS = {
+//   HighlightCorrectSummary: {
+//     label: "Highlight Correct Summary", responseSec: 60,
+//     audioText: (item) => item.text,
+//     initial: () => null,
+//     score: (item, answer) => withOverall(scoreSingleAnswer(item.options, answer)),
+//     View: SummaryChoice,
+//   },
+//   SelectMissingWord: {
+//     label: "Select Missing Word", responseSec: 25,
+//     audioText: (item) => item.text,
+//     endBeep: true,
+//     initial: () => null,
+//     score: (item, answer) => withOverall(scoreSingleAnswer(item.options, answer)),
+//     View: MissingWordChoice,
+//   },
+//   WriteFromDictation: {
+//     label: "Write From Dictation", responseSec: 60,
+//     audioText: (item) => item.text,
+//     initial: () => "",
+//     score: (item, answer) => withOverall(scoreDictation(item.text, answer)),
+//     View: DictationInput,
+//   },
+//   HighlightIncorrectWords: {
+//     label: "Highlight Incorrect Words", responseSec: 15,
+//     audioText: highlightAudioText,
+//     initial: () => [],
+//     score: (item, answer) => withOverall(scoreHighlight(item, answer)),
+//     View: HighlightWords,
+//   },
+// };
+
+// function ListeningTasksCard() {
+//   return <TaskTabsCard title="Listening — Summaries, Missing Word, Highlighting & Dictation" tasks={LISTENING_TASKS}/>;
+// }
+
+// // ---------------------------------------------
+// // Mock Test (timed exam session chaining the task types)
+// // ---------------------------------------------
+// // Sections always run in this order; item counts are configurable. Timings follow the
+// // official format: prep/response countdowns cannot be paused and prompts play once. With the
+// // profile's strict timers off, typed and clicked answers stay open after the countdown until Next.
+// // `mode` is how the candidate responds: speak (recorded + transcribed), write (typed, scored
+// // by `score` against the `prompt` shown), task (a READING_TASKS / LISTENING_TASKS entry, in
+// // `task`) or choose (single-answer options).
+// const mockListeningTask = (type) => {
+//   const task = LISTENING_TASKS[type];
+//   return { type, label: task.label, mode: "task", task, audio: true, prepSec: 0, responseSec: task.responseSec };
+// };
+// const MOCK_SECTIONS = [
+//   { type: "ReadAloud", label: "Read Aloud", mode: "speak", audio: false, prepSec: 35, responseSec: 40 },
+//   { type: "RepeatSentence", label: "Repeat Sentence", mode: "speak", audio: true, prepSec: 0, responseSec: 15 },
+//   { type: "DescribeImage", label: "Describe Image", mode: "speak", audio: false, prepSec: DI_PREP_SEC, responseSec: DI_RESPONSE_SEC },
+//   { type: "RetellLecture", label: "Retell Lecture", mode: "speak", audio: true, prepSec: RL_PREP_SEC, responseSec: RL_RESPONSE_SEC },
+//   { type: "AnswerShortQuestion", label: "Answer Short Question", mode: "speak", audio: true, prepSec: 0, responseSec: ASQ_RESPONSE_SEC },
+//   { type: "SummarizeWrittenText", label: "Summarize Written Text", mode: "write", audio: false, prepSec: 0, responseSec: SWT_LIMITS.minutes * 60,
+//     score: scoreSummarizeWrittenText, prompt: (item) => item.text },
+//   { type: "Essay", label: "Essay", mode: "write", audio: false, prepSec: 0, responseSec: ESSAY_LIMITS.minutes * 60,
+//     score: scoreEssay, prompt: (item) => item.prompt },
+//   ...Object.entries(READING_TASKS).map(([type, task]) => ({ type, label: task.label, mode: "task", task, audio: false, prepSec: 0, responseSec: task.responseSec })),
+//   { type: "SummarizeSpokenText", label: "Summarize Spoken Text", mode: "write", audio: true, prepSec: 0, responseSec: SST_LIMITS.minutes * 60,
+//     score: scoreSummarizeSpokenText, prompt: () => `Summarize the lecture in ${SST_LIMITS.minWords}–${SST_LIMITS.maxWords} words.` },
+//   mockListeningTask("HighlightCorrectSummary"),
+//   { type: "Listening", label: "Listening MCQ", mode: "choose", audio: true, prepSec: 0, responseSec: 25 },
+//   ...["SelectMissingWord", "HighlightIncorrectWords", "WriteFromDictation"].map(mockListeningTask),
+// ];
+// const MOCK_DEFAULT_COUNTS = { ReadAloud: 2, RepeatSentence: 3, DescribeImage: 1, RetellLecture: 1, AnswerShortQuestion: 3, SummarizeWrittenText: 1, Essay: 0,
+//   ReadingWritingFIB: 1, ReadingFIB: 1, ReorderParagraphs: 1, ReadingMCMA: 1, SummarizeSpokenText: 1, HighlightCorrectSummary: 1, Listening: 2,
+//   SelectMissingWord: 1, HighlightIncorrectWords: 1, WriteFromDictation: 3 };
+
+// function shuffled(arr) {
+//   const a = arr.slice();
+//   for (let i = a.length - 1; i > 0; i--) {
+//     const j = Math.floor(Math.random() * (i + 1));
+//     [a[i], a[j]] = [a[j], a[i]];
+//   }
+//   return a;
+// }
+
+// function buildMockItems(counts) {
+//   return MOCK_SECTIONS.flatMap((sec) => {
+//     const n = clamp(Number(counts[sec.type]) || 0, 0, bankFor(sec.type).length);
+//     return shuffled(bankFor(sec.type)).slice(0, n).map((item) => ({ section: sec, item }));
+//   });
+// }
+
+// function scoreSpeakingItem(refText, hypText, durationSec) {
+//   const align = analyzeAlignment(refText, hypText);
+//   const { wpm, fluencyScore } = estimateFluency(hypText, durationSec || 1);
+//   const pronScore = estimatePronunciation(align);
+//   const content = align.contentAcc;
+//   return { content, pronScore, fluencyScore, wpm, align, overall: scoreOverall(content, pronScore, fluencyScore) };
+// }
+
+// function summarizeMockSession(results) {
+//   const sections = MOCK_SECTIONS.map((sec) => {
+//     const rs = results.filter((r) => r.type === sec.type);
+//     const avg = rs.length ? Math.round(rs.reduce((acc, r) => acc + r.overall, 0) / rs.length) : null;
+//     return { type: sec.type, label: sec.label, count: rs.length, avg };
+//   }).filter((s) => s.count > 0);
+//   const overall = sections.length ? Math.round(sections.reduce((acc, s) => acc + s.avg, 0) / sections.length) : 0;
+//   return { sections, overall };
+// }
+
+// function MockTestCard() {
+//   const [counts, setCounts] = useState(MOCK_DEFAULT_COUNTS);
+//   const [items, setItems] = useState([]);
+//   const [pos, setPos] = useState(-1);          // -1 = setup, items.length = report
+//   const [phase, setPhase] = useState("idle");  // prep | audio | response | scoring
+//   const [left, setLeft] = useState(0);
+//   const [choice, setChoice] = useState(null);
+//   const [transcript, setTranscript] = useState("");
+//   const [written, setWritten] = useState("");
+//   const [taskAnswer, setTaskAnswer] = useState(null);
+//   const [results, setResults] = useState([]);
+//   const [report, setReport] = useState(null);
+
+//   const itemsRef = useRef([]);
+//   const posRef = useRef(-1);
+//   const choiceRef = useRef(null);
+//   const writtenRef = useRef("");
+//   const taskAnswerRef = useRef(null);
+//   const resultsRef = useRef([]);
+//   const deadlineRef = useRef(0);
+//   const phaseEndRef = useRef(() => {});
+//   const strictRef = useRef(true);
+//   const recognizerRef = useRef(null);
+//   const speechRef = useRef({ final: "", interim: "", startedAt: 0 });
+//   const isMountedRef = useRef(true);
+//   const promptStopRef = useRef(null);
+//   useEffect(() => { isMountedRef.current = true; return () => { isMountedRef.current = false; cancelListening(); stopPrompt(); }; }, []);
+
+//   function stopPrompt() {
+//     if (promptStopRef.current) { promptStopRef.current(); promptStopRef.current = null; }
+//   }
+
+//   const current = pos >= 0 && pos < items.length ? items[pos] : null;
+
+//   // One countdown drives both prep and response; when it hits zero the phase ends on its own.
+//   useEffect(() => {
+//     if (phase !== "prep" && phase !== "response") return;
+//     const t = setInterval(() => {
+//       const l = Math.max(0, Math.ceil((deadlineRef.current - Date.now()) / 1000));
+//       if (isMountedRef.current) setLeft(l);
+//       if (l === 0) { clearInterval(t); phaseEndRef.current(); }
+//     }, 250);
+//     return () => clearInterval(t);
+//   }, [phase, pos]);
+
+//   function startCountdown(nextPhase, seconds) {
+//     deadlineRef.current = Date.now() + seconds * 1000;
+//     setLeft(seconds);
+//     setPhase(nextPhase);
+//   }
+
+//   // Silence ends a spoken response early, as in the exam.
+//   const recorder = useRecorder({
+//     onStop: (result) => {
+//       speechRef.current.blob = result.blob;
+//       if (result.reason === "silence") phaseEndRef.current();
+//     },
+//   });
+
+//   function startListening() {
+//     const sp = { final: "", interim: "", startedAt: Date.now(), blob: null };
+//     speechRef.current = sp;
+//     recorder.start();
+//     const rec = getRecognizer({ continuous: true });
+//     recognizerRef.current = rec;
+//     if (!rec) return;
+//     const show = () => { if (isMountedRef.current) setTranscript((sp.final + " " + sp.interim).trim()); };
+//     rec.onFinal = (t) => { sp.final += t + " "; sp.interim = ""; show(); };
+//     rec.onInterim = (t) => { sp.interim = t; show(); };
+//     rec.onError = (err) => console.warn('Mock test recognizer error', err);
+//     // blob backends transcribe the recording in stopListening
+//     if (rec.streaming) {
+//       try { rec.start(); } catch (e) { console.warn('Recognizer start failed', e); }
+//     }
+//   }
+
+//   // Resolves once the last transcript for the current item is in.
+//   async function stopListening() {
+//     const rec = recognizerRef.current;
+//     recognizerRef.current = null;
+//     const sp = speechRef.current;
+//     const result = await recorder.stop();
+//     if (!rec) return;
+//     if (rec.streaming) {
+//       try { rec.stop(); } catch (e) {}
+//       // give the recognizer a moment to flush its last final result
+//       await new Promise((resolve) => setTimeout(resolve, 600));
+//       return;
+//     }
+//     const blob = result ? result.blob : sp.blob;
+//     if (blob) await rec.transcribeBlob(blob);
+//   }
+
+//   // Quitting discards the answer: the recording is dropped, never transcribed or uploaded.
+//   function cancelListening() {
+//     const rec = recognizerRef.current;
+//     recognizerRef.current = null;
+//     recorder.cancel();
+//     if (rec && rec.streaming) { try { rec.stop(); } catch (e) {} }
+//   }
+
+//   function goTo(i) {
+//     const list = itemsRef.current;
+//     if (i >= list.length) { finishSession(); return; }
+//     posRef.current = i; setPos(i);
+//     choiceRef.current = null; setChoice(null);
+//     setTranscript("");
+//     writtenRef.current = ""; setWritten("");
+//     const { section, item } = list[i];
+//     if (section.mode === "task") {
+//       taskAnswerRef.current = section.task.initial(item);
+//       setTaskAnswer(taskAnswerRef.current);
+//     }
+//     const afterPrompt = () => {
+//       const prepSec = item.prepSec ?? section.prepSec;
+//       if (prepSec > 0) startCountdown("prep", prepSec);
+//       else beginResponse();
+//     };
+//     if (!section.audio) { afterPrompt(); return; }
+//     setPhase("audio");
+//     const text = section.task ? section.task.audioText(item) : section.type === "Listening" ? item.audioText : item.text;
+//     stopPrompt();
+//     promptStopRef.current = playPrompt({ text, audio: item.audio, endBeep: !!(section.task && section.task.endBeep) }, {
+//       onTick: (l) => { if (isMountedRef.current) setLeft(l); },
+//       onDone: () => {
+//         promptStopRef.current = null;
+//         if (!isMountedRef.current || posRef.current !== i) return;
+//         afterPrompt();
+//       },
+//     });
+//   }
+
+//   function beginResponse() {
+//     const { section, item } = itemsRef.current[posRef.current];
+//     if (section.mode === "speak") startListening();
+//     startCountdown("response", item.responseSec ?? section.responseSec);
+//   }
+
+//   function finishItem() {
+//     const i = posRef.current;
+//     const { section, item } = itemsRef.current[i];
+//     setPhase("scoring");
+//     const record = (r) => {
+//       if (posRef.current !== i) return; // quit while scoring
+//       resultsRef.current = [...resultsRef.current, r];
+//       if (isMountedRef.current) { setResults(resultsRef.current); goTo(i + 1); }
+//     };
+//     if (section.mode === "write") {
+//       const text = writtenRef.current;
+//       record({ type: section.type, prompt: item.title || item.prompt, response: text, ...section.score(item, text) });
+//       return;
+//     }
+//     if (section.mode === "task") {
+//       record({ type: section.type, prompt: item.title, answer: taskAnswerRef.current, ...section.task.score(item, taskAnswerRef.current) });
+//       return;
+//     }
+//     if (section.mode === "choose") {
+//       const correct = !!(item.options[choiceRef.current] && item.options[choiceRef.current].correct);
+//       record({ type: section.type, prompt: item.prompt, correct, overall: correct ? 100 : 0 });
+//       return;
+//     }
+//     const sp = speechRef.current;
+//     const dur = Math.min(item.responseSec ?? section.responseSec, (Date.now() - sp.startedAt) / 1000);
+//     stopListening().then(() => {
+//       const hyp = (sp.final + " " + sp.interim).trim();
+//       if (section.type === "DescribeImage" || section.type === "RetellLecture") {
+//         record({ type: section.type, prompt: item.title, hypText: hyp, ...scoreKeyPointSpeaking(item.features, hyp, dur) });
+//         return;
+//       }
+//       if (section.type === "AnswerShortQuestion") {
+//         record({ type: section.type, prompt: item.text, hypText: hyp, ...scoreShortAnswer(item, hyp) });
+//         return;
+//       }
+//       record({ type: section.type, prompt: item.text, hypText: hyp, ...scoreSpeakingItem(item.text, hyp, dur) });
+//     });
+//   }
+
+//   phaseEndRef.current = () => {
+//     if (phase === "prep") beginResponse();
+//     else if (phase === "response" && (strictRef.current || current.section.mode === "speak")) finishItem();
+//   };
+
+//   function startSession() {
+//     const list = buildMockItems(counts);
+//     if (!list.length) return;
+//     strictRef.current = loadProfileSettings().strictTimers;
+//     itemsRef.current = list; setItems(list);
+//     resultsRef.current = []; setResults([]);
+//     setReport(null);
+//     goTo(0);
+//   }
+
+//   function finishSession() {
+//     stopListening();
+//     const summary = summarizeMockSession(resultsRef.current);
+//     const entry = { id: uid(), type: "MockTest", when: new Date().toISOString(), overall: summary.overall, sections: summary.sections, items: resultsRef.current };
+//     saveHistory(entry);
+//     if (!isMountedRef.current) return;
+//     posRef.current = itemsRef.current.length; setPos(itemsRef.current.length);
+//     setPhase("idle");
+//     setReport(summary);
+//   }
+
+//   function quit() {
+//     cancelListening();
+//     stopPrompt();
+//     posRef.current = -1; setPos(-1);
+//     setPhase("idle");
+//   }
+
+//   const fmt = (sec) => `${String(Math.floor(sec / 60)).padStart(2, '0')}:${String(sec % 60).padStart(2, '0')}`;
+
+//   return (
+//     <Card className="rounded-2xl shadow-md">
+//       <CardHeader>
+//         <CardTitle className="flex items-center justify-between gap-3">
+//           <span>Mock Test</span>
+//           {current && <span className="text-sm opacity-80">Item {pos + 1} of {items.length} • {current.section.label}</span>}
+//         </CardTitle>
+//       </CardHeader>
+//       <CardContent className="space-y-4">
+//         {pos === -1 && (
+//           <div className="space-y-3">
+//             <p className="text-sm opacity-80">Sections run in exam order with official timers. Prompts play once; timers cannot be paused.</p>
+//             {!recognizerAvailable() && <p className="text-sm text-rose-600">Speech recognition is not available in this browser, so speaking items will score 0. Choose a local engine in Settings.</p>}
+//             <div className="grid md:grid-cols-3 gap-3">
+//               {MOCK_SECTIONS.map((sec) => (
+//                 <div key={sec.type} className="space-y-1">
+//                   <Label>{sec.label} (max {bankFor(sec.type).length})</Label>
+//                   <Input type="number" min={0} max={bankFor(sec.type).length} value={counts[sec.type]}
+//                     onChange={(e) => setCounts({ ...counts, [sec.type]: e.target.value })}/>
+//                 </div>
+//               ))}
+//             </div>
+//             <Button onClick={startSession}>Start Mock Test</Button>
+//           </div>
+//         )}
+
+//         {current && (
+//           <div className="space-y-3">
+//             <div className="flex items-center justify-between text-sm">
+//               <span className="opacity-80">
+//                 {phase === "prep" && `Preparation: ${fmt(left)}`}
+//                 {phase === "audio" && (left > 0 ? `Audio starts in ${left}…` : "Playing audio…")}
+//                 {phase === "response" && (current.section.mode === "speak" ? `Recording: ${fmt(left)}` : (left > 0 ? `Answer: ${fmt(left)}` : "Time's up. Press Next when you're ready."))}
+//                 {phase === "scoring" && "Saving response…"}
+//               </span>
+//               <div className="flex gap-2">
+//                 <Button variant="secondary" onClick={finishItem} disabled={phase !== "response"}>Next</Button>
+//                 <Button variant="ghost" onClick={quit}>Quit</Button>
+//               </div>
+//             </div>
+//             {current.section.type === "ReadAloud" && (
+//               <div className="rounded-xl border p-3 text-sm md:text-base bg-neutral-50 dark:bg-neutral-900">{current.item.text}</div>
+//             )}
+//             {current.section.type === "DescribeImage" && (
+//               <img src={current.item.src || svgSrc(current.item.svg)} alt={current.item.title} className="w-full max-w-xl rounded-xl border bg-white"/>
+//             )}
+//             {current.section.type === "RepeatSentence" && (
+//               <div className="rounded-xl border p-3 text-sm opacity-80">Listen, then repeat the sentence exactly as you heard it.</div>
+//             )}
+//             {current.section.type === "RetellLecture" && (
+//               <div className="rounded-xl border p-3 text-sm opacity-80">Listen to the lecture and take notes, then retell it in your own words.</div>
+//             )}
+//             {current.section.type === "AnswerShortQuestion" && (
+//               <div className="rounded-xl border p-3 text-sm opacity-80">Listen to the question and answer in one or a few words.</div>
+//             )}
+//             {current.section.mode === "write" && (
+//               <div className="space-y-2">
+//                 <div className="rounded-xl border p-3 text-sm bg-neutral-50 dark:bg-neutral-900">
+//                   {current.section.prompt(current.item)}
+//                 </div>
+//                 <Textarea rows={current.section.type === "Essay" ? 12 : 4} value={written} disabled={phase !== "response"}
+//                   onChange={(e) => { writtenRef.current = e.target.value; setWritten(e.target.value); }}/>
+//                 <div className="text-sm opacity-80">Words: {countWords(written)}</div>
+//               </div>
+//             )}
+//             {current.section.mode === "task" && taskAnswer !== null && (() => {
+//               const View = current.section.task.View;
+//               return <View key={pos} item={current.item} answer={taskAnswer} reveal={phase === "scoring"}
+//                 onChange={(a) => { taskAnswerRef.current = a; setTaskAnswer(a); }}/>;
+//             })()}
+//             {current.section.mode === "speak" && phase === "response" && (
+//               <>
+//                 <div className="rounded-xl border p-3 text-sm opacity-70 min-h-12">{transcript || "Listening…"}</div>
+//                 <RecorderMeter recorder={recorder}/>
+//               </>
+//             )}
+//             {current.section.mode === "choose" && (
+//               <div className="space-y-2">
+//                 <div className="rounded-xl border p-3 text-sm md:text-base bg-neutral-50 dark:bg-neutral-900"><strong>Prompt:</strong> {current.item.prompt}</div>
+//                 {current.item.options.map((opt, i) => (
+//                   <label key={i} className={`flex items-center gap-3 rounded-xl border p-3 cursor-pointer ${choice === i ? 'border-blue-500 bg-blue-500/10' : ''}`}>
+//                     <input type="radio" name="mock-opt" checked={choice === i} disabled={phase !== "response"}
+//                       onChange={() => { choiceRef.current = i; setChoice(i); }}/>
+//                     <span>{opt.text}</span>
+//                   </label>
+//                 ))}
+//               </div>
+//             )}
+//           </div>
+//         )}
+
+//         {report && pos === items.length && (
+//           <div className="space-y-4">
+//             <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-center">
+//               <ScoreBox label="Overall" value={report.overall}/>
+//               {report.sections.map((s) => <ScoreBox key={s.type} label={`${s.label} (${s.count})`} value={s.avg}/>)}
+//             </div>
+//             <div className="space-y-2 text-sm">
+//               {results.map((r, i) => (
+//                 <div key={i} className="rounded-xl border p-3 flex flex-wrap justify-between gap-2">
+//                   <span className="flex-1"><span className="font-semibold">{r.type}</span> — {r.prompt}</span>
+//                   <span>{typeof r.correct === "boolean" ? (r.correct ? "Correct" : "Incorrect") : r.criteria || typeof r.max === "number" ? `${r.total}/${r.max} points` : `C ${r.content} • P ${r.pronScore} • F ${r.fluencyScore}`} • <strong>{r.overall}</strong></span>
+//                 </div>
+//               ))}
+//             </div>
+//             <div className="flex gap-2">
+//               <Button onClick={startSession}>Retake</Button>
+//               <Button variant="ghost" onClick={quit}>Back to setup</Button>
+//             </div>
+//           </div>
+//         )}
+//       </CardContent>
+//     </Card>
+//   );
+// }
+
+// // ---------------------------------------------
+// // Settings
+// // ---------------------------------------------
+// function useEnglishVoices() {
+//   const [voices, setVoices] = useState([]);
+//   useEffect(() => {
+//     if (typeof window === 'undefined' || !window.speechSynthesis) return;
+//     const synth = window.speechSynthesis;
+//     const load = () => setVoices(synth.getVoices().filter((v) => /^en/i.test(v.lang)));
+//     load();
+//     synth.addEventListener('voiceschanged', load);
+//     return () => synth.removeEventListener('voiceschanged', load);
+//   }, []);
+//   return voices;
+// }
+
+// function useMicrophones() {
+//   const [mics, setMics] = useState([]);
+//   useEffect(() => {
+//     const devices = typeof navigator !== 'undefined' && navigator.mediaDevices;
+//     if (!devices || !devices.addEventListener) return;
+//     const load = () => listMicrophones().then(setMics).catch((e) => console.warn('Listing microphones failed', e));
+//     load();
+//     devices.addEventListener('devicechange', load);
+//     return () => devices.removeEventListener('devicechange', load);
+//   }, []);
+//   return mics;
+// }
+
+// // Preferences saved with the active profile (theme is the header switch).
+// function PreferencesCard({ settings, onChange }) {
+//   const voices = useEnglishVoices();
+//   const mics = useMicrophones();
+//   const update = (patch) => onChange({ ...settings, ...patch });
+//   return (
+//     <Card className="rounded-2xl shadow-md">
+//       <CardHeader><CardTitle>Profile Preferences</CardTitle></CardHeader>
+//       <CardContent className="space-y-4">
+//         <div className="space-y-1">
+//           <Label>Target PTE score</Label>
+//           <select className="block rounded-md border px-2 h-9 bg-transparent" value={settings.targetBand} onChange={(e) => update({ targetBand: Number(e.target.value) })}>
+//             {PTE_TARGET_BANDS.map((b) => <option key={b} value={b}>{b}</option>)}
+//           </select>
+//           <p className="text-xs opacity-70">The score report measures each skill against this band; the Progress charts draw it as a line.</p>
+//         </div>
+//         <div className="space-y-1">
+//           <Label>Accent for audio prompts</Label>
+//           <select className="block rounded-md border px-2 h-9 bg-transparent" value={settings.ttsAccent} onChange={(e) => update({ ttsAccent: e.target.value })}>
+//             {ACCENTS.map((a) => <option key={a.lang} value={a.lang}>{a.label}</option>)}
+//             <option value="rotate">Rotate accents</option>
+//           </select>
+//         </div>
+//         <div className="space-y-1">
+//           <Label>Voice</Label>
+//           <select className="block rounded-md border px-2 h-9 bg-transparent" value={settings.ttsVoice} onChange={(e) => update({ ttsVoice: e.target.value })}>
+//             <option value="">Any voice with that accent</option>
+//             {voices.map((v) => <option key={v.name} value={v.name}>{v.name} ({v.lang})</option>)}
+//           </select>
+//           <p className="text-xs opacity-70">A specific voice overrides the accent. Items with recorded audio always play the recording.</p>
+//         </div>
+//         <div className="space-y-1">
+//           <Label>Speaking speed: {settings.ttsRate.toFixed(2)}×</Label>
+//           <Slider className="max-w-xs" min={0.7} max={1.3} step={0.05} value={[settings.ttsRate]} onValueChange={([v]) => update({ ttsRate: v })}/>
+//         </div>
+//         <div className="flex items-center gap-3">
+//           <Switch checked={settings.onePlay} onCheckedChange={(v) => update({ onePlay: v })}/>
+//           <Label>Play practice prompts only once</Label>
+//         </div>
+//         <div className="space-y-1">
+//           <Label>Microphone</Label>
+//           <select className="block rounded-md border px-2 h-9 bg-transparent" value={settings.micDeviceId} onChange={(e) => update({ micDeviceId: e.target.value })}>
+//             <option value="">System default</option>
+//             {mics.map((m) => <option key={m.deviceId} value={m.deviceId}>{m.label}</option>)}
+//           </select>
+//           <p className="text-xs opacity-70">Device names appear once you've allowed microphone access.</p>
+//         </div>
+//         <div className="flex items-center gap-3">
+//           <Switch checked={settings.silenceStop} onCheckedChange={(v) => update({ silenceStop: v })}/>
+//           <Label>Stop recording after {RECORDER_SILENCE_STOP_SEC}s of silence</Label>
+//         </div>
+//         <div className="flex items-center gap-3">
+//           <Switch checked={settings.strictTimers} onCheckedChange={(v) => update({ strictTimers: v })}/>
+//           <Label>Strict exam timers</Label>
+//         </div>
+//         <p className="text-xs opacity-70">When off, written and clicked answers in the mock test stay open after the countdown until you press Next.</p>
+//       </CardContent>
+//     </Card>
+//   );
+// }
+
+// const ASR_BACKENDS = [
+//   { value: "webspeech", label: "Browser (Web Speech)", note: "Live transcript. Chrome and Edge send the audio to an online service." },
+//   { value: "http", label: "Local HTTP endpoint", note: "Posts the finished recording to a transcription server you run, e.g. whisper.cpp server." },
+//   { value: "wasm", label: "Local WASM engine", note: "Transcribes the finished recording in this tab with an engine module you provide." },
+// ];
+
+// function SettingsCard({ asr, onAsrChange }) {
+//   const update = (patch) => onAsrChange({ ...asr, ...patch });
+//   return (
+//     <Card className="rounded-2xl shadow-md">
+//       <CardHeader><CardTitle>Settings</CardTitle></CardHeader>
+//       <CardContent className="space-y-4">
+//         <div className="space-y-2">
+//           <Label>Speech recognition engine</Label>
+//           {ASR_BACKENDS.map((b) => (
+//             <label key={b.value} className={`flex items-start gap-3 rounded-xl border p-3 cursor-pointer ${asr.backend === b.value ? 'border-blue-500 bg-blue-500/10' : ''}`}>
+//               <input type="radio" name="asr-backend" checked={asr.backend === b.value} onChange={() => update({ backend: b.value })}/>
+//               <span>
+//                 <span className="font-semibold">{b.label}</span>
+//                 <span className="block text-sm opacity-70">{b.note}</span>
+//               </span>
+//             </label>
+//           ))}
+//         </div>
+//         {asr.backend === "http" && (
+//           <div className="space-y-1">
+//             <Label>Endpoint URL</Label>
+//             <Input value={asr.endpoint} onChange={(e) => update({ endpoint: e.target.value })} placeholder={ASR_DEFAULTS.endpoint}/>
+//             <p className="text-xs opacity-70">Receives a multipart <code>file</code> upload and must answer with JSON <code>{"{ \"text\": \"…\" }"}</code>.</p>
+//             {!isLocalEndpoint(asr.endpoint) && (
+//               <p className="text-xs text-amber-600">This endpoint is not on this computer, so your recordings leave the device when you transcribe.</p>
+//             )}
+//           </div>
+//         )}
+//         {asr.backend === "wasm" && (
+//           <div className="space-y-1">
+//             <Label>Engine module URL</Label>
+//             <Input value={asr.wasmModule} onChange={(e) => update({ wasmModule: e.target.value })} placeholder="/asr/whisper-engine.js"/>
+//             <p className="text-xs opacity-70">An ES module exporting <code>transcribe(samples, sampleRate)</code>; it receives 16 kHz mono audio.</p>
+//           </div>
+//         )}
+//       </CardContent>
+//     </Card>
+//   );
+// }
+
+// // ---------------------------------------------
+// // Content packs (imported question banks)
+// // ---------------------------------------------
+// // A pack is a JSON or YAML file:
+// //
+// //   format: pte-pack
+// //   schemaVersion: 1
+// //   id: campus-english          # re-importing the same id replaces the pack
+// //   name: Campus English
+// //   version: 1.2.0              # the pack's own version, shown in Settings
+// //   items:
+// //     WriteFromDictation:
+// //       - title: Library hours
+// //         text: The library closes early on Fridays.
+// //         difficulty: easy
+// //         topic: campus
+// //
+// // `items` is keyed by task type (the same names used in history and the mock test). Every
+// // item may carry id, difficulty, topic, tags, explain, and prepSec/responseSec to
+// // override the default timings; the remaining fields are per type (PACK_ITEM_SCHEMAS).
+// // Listening items also take an optional `audio` URL (http(s) or data:) for a recorded prompt,
+// // played instead of speech synthesis; for SelectMissingWord it should stop where the missing
+// // word begins, since the app plays the beep. Enabled packs are appended to the built-in banks by bankFor().
+// const PACK_FORMAT = "pte-pack";
+// const PACK_SCHEMA_VERSION = 1;
+// const PACKS_KEY = "pte-packs";
+// const PACK_DIFFICULTIES = ["easy", "medium", "hard"];
+
+// // Field types: string, number, boolean, string[], keyPoints ([{label, terms[]}]),
+// // options ([{text, correct?}]), blanks ([{options[], answer}]). A trailing "?" marks optional.
+// const PACK_COMMON_FIELDS = {
+//   "id?": "string", "difficulty?": "string", "topic?": "string", "tags?": "string[]",
+//   "explain?": "string", "prepSec?": "number", "responseSec?": "number",
+// };
+
+// const countCorrect = (options) => options.filter((o) => o.correct === true).length;
+// const countGaps = (text) => (String(text).match(/\{\d+\}/g) || []).length;
+
+// function checkSingleAnswer(options) {
+//   const n = countCorrect(options);
+//   if (n === 0) return 'no option is marked "correct: true"';
+//   return n > 1 ? `single-answer question has ${n} correct options` : null;
+// }
+
+// const PACK_ITEM_SCHEMAS = {
+//   ReadAloud: { fields: { text: "string" } },
+//   RepeatSentence: { fields: { text: "string", "audio?": "string" } },
+//   DescribeImage: {
+//     fields: { title: "string", "kind?": "string", "svg?": "string", "src?": "string", features: "keyPoints", "sample?": "string" },
+//     check: (it) => (!it.svg && !it.src ? 'needs either "svg" or "src" for the image' : null),
+//   },
+//   RetellLecture: { fields: { title: "string", text: "string", "audio?": "string", features: "keyPoints", "sample?": "string" } },
+//   AnswerShortQuestion: {
+//     fields: { text: "string", "audio?": "string", answers: "string[]" },
+//     check: (it) => (it.answers.length === 0 ? '"answers" must list at least one accepted answer' : null),
+//   },
+//   SummarizeWrittenText: { fields: { title: "string", text: "string", keyPoints: "keyPoints" } },
+//   Essay: { fields: { prompt: "string", keyPoints: "keyPoints" } },
+//   ReadingWritingFIB: {
+//     fields: { title: "string", text: "string", blanks: "blanks" },
+//     check: (it) => {
+//       if (countGaps(it.text) !== it.blanks.length) return `text has ${countGaps(it.text)} gaps but ${it.blanks.length} blanks are listed`;
+//       const bad = it.blanks.findIndex((b) => !b.options.includes(b.answer));
+//       return bad >= 0 ? `blanks[${bad}]: answer "${it.blanks[bad].answer}" is not one of its options` : null;
+//     },
+//   },
+//   ReadingFIB: {
+//     fields: { title: "string", text: "string", answers: "string[]", "distractors?": "string[]" },
+//     check: (it) => (countGaps(it.text) !== it.answers.length ? `text has ${countGaps(it.text)} gaps but ${it.answers.length} answers are listed` : null),
+//   },
+//   ReorderParagraphs: {
+//     fields: { title: "string", paragraphs: "string[]" },
+//     check: (it) => {
+//       if (it.paragraphs.length < 2) return '"paragraphs" needs at least two entries';
+//       return new Set(it.paragraphs).size !== it.paragraphs.length ? '"paragraphs" contains duplicates' : null;
+//     },
+//   },
+//   ReadingMCMA: {
+//     fields: { title: "string", "passage?": "string", question: "string", options: "options" },
+//     check: (it) => (countCorrect(it.options) === 0 ? 'no option is marked "correct: true"' : null),
+//   },
+//   Listening: {
+//     fields: { prompt: "string", audioText: "string", "audio?": "string", options: "options" },
+//     check: (it) => checkSingleAnswer(it.options),
+//   },
+//   SummarizeSpokenText: { fields: { title: "string", text: "string", "audio?": "string", keyPoints: "keyPoints" } },
+//   HighlightCorrectSummary: {
+//     fields: { title: "string", text: "string", "audio?": "string", options: "options" },
+//     check: (it) => checkSingleAnswer(it.options),
+//   },
+//   SelectMissingWord: {
+//     fields: { title: "string", text: "string", "audio?": "string", options: "options" },
+//     check: (it) => checkSingleAnswer(it.options),
+//   },
+//   WriteFromDictation: { fields: { title: "string", text: "string", "audio?": "string" } },
+//   HighlightIncorrectWords: {
+//     fields: { title: "string", text: "string", "audio?": "string" },
+//     check: (it) => (!parseHighlightText(it.text).some((w) => w.wrong) ? 'text has no [shown|spoken] word' : null),
+//   },
+// };
+
+// const isText = (v) => typeof v === "string" && v.trim() !== "";
+// const isTextList = (v) => Array.isArray(v) && v.every(isText);
+
+// // Returns an error message for a value of the wrong type, or null.
+// function checkFieldType(type, v) {
+//   switch (type) {
+//     case "string": return isText(v) ? null : "must be a non-empty string";
+//     case "number": return typeof v === "number" && v >= 0 ? null : "must be a number of seconds";
+//     case "string[]": return isTextList(v) ? null : "must be a list of strings";
+//     case "keyPoints": {
+//       if (!Array.isArray(v) || v.length === 0) return "must be a non-empty list of { label, terms }";
+//       const bad = v.findIndex((k) => !k || !isText(k.label) || !isTextList(k.terms) || k.terms.length === 0);
+//       return bad >= 0 ? `[${bad}] needs a "label" and a non-empty "terms" list` : null;
+//     }
+//     case "options": {
+//       if (!Array.isArray(v) || v.length < 2) return "must list at least two options";
+//       const bad = v.findIndex((o) => !o || !isText(o.text) || (o.correct !== undefined && typeof o.correct !== "boolean"));
+//       return bad >= 0 ? `[${bad}] needs "text" and an optional true/false "correct"` : null;
+//     }
+//     case "blanks": {
+//       if (!Array.isArray(v) || v.length === 0) return "must be a non-empty list of { options, answer }";
+//       const bad = v.findIndex((b) => !b || !isTextList(b.options) || b.options.length < 2 || !isText(b.answer));
+//       return bad >= 0 ? `[${bad}] needs at least two "options" and an "answer"` : null;
+//     }
+//     default: return `has unknown schema type ${type}`;
+//   }
+// }
+
+// function validatePackItem(type, item) {
+//   if (!item || typeof item !== "object" || Array.isArray(item)) return ["must be an object"];
+//   const errors = [];
+//   const fields = { ...PACK_COMMON_FIELDS, ...PACK_ITEM_SCHEMAS[type].fields };
+//   for (const [key, fieldType] of Object.entries(fields)) {
+//     const optional = key.endsWith("?");
+//     const name = optional ? key.slice(0, -1) : key;
+//     if (item[name] === undefined) {
+//       if (!optional) errors.push(`missing "${name}"`);
+//       continue;
+//     }
+//     const err = checkFieldType(fieldType, item[name]);
+//     if (err) errors.push(`"${name}" ${err}`);
+//   }
+//   if (item.difficulty !== undefined && !PACK_DIFFICULTIES.includes(item.difficulty)) {
+//     errors.push(`"difficulty" must be one of ${PACK_DIFFICULTIES.join(", ")}`);
+//   }
+//   if (errors.length === 0 && PACK_ITEM_SCHEMAS[type].check) {
+//     const err = PACK_ITEM_SCHEMAS[type].check(item);
+//     if (err) errors.push(err);
+//   }
+//   return errors;
+// }
+
+// // Checks a parsed pack and returns { pack, errors }; `pack` is null when anything is wrong,
+// // so a pack is imported whole or not at all.
+// function validatePack(raw) {
+//   const errors = [];
+//   if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { pack: null, errors: ["The file does not contain a pack object."] };
+//   if (raw.format !== PACK_FORMAT) errors.push(`"format" must be "${PACK_FORMAT}".`);
+//   if (raw.schemaVersion !== PACK_SCHEMA_VERSION) errors.push(`Unsupported "schemaVersion" ${JSON.stringify(raw.schemaVersion)}; this app reads version ${PACK_SCHEMA_VERSION}.`);
+//   if (!isText(raw.id)) errors.push('Missing pack "id".');
+//   if (!isText(raw.name)) errors.push('Missing pack "name".');
+//   if (raw.version !== undefined && !isText(String(raw.version))) errors.push('"version" must be a string such as "1.0.0".');
+//   if (!raw.items || typeof raw.items !== "object" || Array.isArray(raw.items)) {
+//     errors.push('"items" must map task types to lists of items.');
+//     return { pack: null, errors };
+//   }
+//   let total = 0;
+//   for (const [type, list] of Object.entries(raw.items)) {
+//     if (!PACK_ITEM_SCHEMAS[type]) {
+//       errors.push(`items.${type}: unknown task type (expected one of ${Object.keys(PACK_ITEM_SCHEMAS).join(", ")}).`);
+//       continue;
+//     }
+//     if (!Array.isArray(list)) { errors.push(`items.${type}: must be a list.`); continue; }
+//     list.forEach((item, i) => {
+//       const label = item && (item.id || item.title) ? ` (${item.id || item.title})` : "";
+//       validatePackItem(type, item).forEach((e) => errors.push(`items.${type}[${i}]${label}: ${e}.`));
+//     });
+//     total += list.length;
+//   }
+//   if (total === 0 && errors.length === 0) errors.push("The pack has no items.");
+//   if (errors.length) return { pack: null, errors };
+//   return { pack: { id: raw.id, name: raw.name, version: raw.version === undefined ? "" : String(raw.version), items: raw.items }, errors };
+// }
+
+// // YAML is a superset of JSON, but JSON.parse gives clearer errors for .json files.
+// function parsePackText(text, fileName = "") {
+//   return /\.ya?ml$/i.test(fileName) ? parseYaml(text) : JSON.parse(text);
+// }
+
+// let packsCache = null;
+
+// function loadPacks() {
+//   if (packsCache) return packsCache;
+//   try {
+//     packsCache = JSON.parse(localStorage.getItem(PACKS_KEY) || "[]");
+//   } catch (e) {
+//     console.warn('loadPacks failed', e);
+//     packsCache = [];
+//   }
+//   return packsCache;
+// }
+
+// // Throws when storage is full so the import can report it.
+// function savePacks(packs) {
+//   localStorage.setItem(PACKS_KEY, JSON.stringify(packs));
+//   packsCache = packs;
+// }
+
+// // Adds a validated pack, replacing one with the same id but keeping its enabled flag.
+// function installPack(pack) {
+//   const packs = loadPacks();
+//   const existing = packs.find((p) => p.id === pack.id);
+//   const entry = { ...pack, enabled: existing ? existing.enabled : true, importedAt: new Date().toISOString() };
+//   savePacks(existing ? packs.map((p) => (p.id === pack.id ? entry : p)) : [...packs, entry]);
+//   return { entry, replaced: existing || null };
+// }
+
+// // Built-in items plus the items of every enabled pack, each tagged with its pack id.
+// function bankFor(type) {
+//   const extra = loadPacks().filter((p) => p.enabled).flatMap((p) => (p.items[type] || []).map((item) => ({ ...item, pack: p.id })));
+//   return extra.length ? [...(BUILTIN_BANKS[type] || []), ...extra] : (BUILTIN_BANKS[type] || []);
+// }
+
+// const PACK_TEMPLATE = `format: ${PACK_FORMAT}
+// schemaVersion: ${PACK_SCHEMA_VERSION}
+// id: my-pack
+// name: My practice pack
+// version: 1.0.0
+// items:
+//   ReadAloud:
+//     - text: Replace this with a passage of 40 to 60 words.
+//       difficulty: medium
+//       topic: science
+//   Listening:
+//     - prompt: Choose the main idea of the talk.
+//       audioText: The text that is read aloud to the candidate.
+//       options:
+//         - text: The correct option
+//           correct: true
+//         - text: A distractor
+//       explain: Why the correct option is right.
+//   WriteFromDictation:
+//     - title: Registration
+//       text: Students must register for classes before the deadline.
+// `;
+
+// function ContentPacksCard() {
+//   const [packs, setPacks] = useState(loadPacks);
+//   const [errors, setErrors] = useState([]);
+//   const [message, setMessage] = useState("");
+//   const fileRef = useRef(null);
+
+//   const update = (next) => {
+//     try { savePacks(next); setPacks(next); } catch (e) { setErrors([`Could not save packs: ${e.message}`]); }
+//   };
+
+//   async function importFile(file) {
+//     setErrors([]); setMessage("");
+//     let raw;
+//     try {
+//       raw = parsePackText(await file.text(), file.name);
+//     } catch (e) {
+//       setErrors([`${file.name} could not be parsed: ${e.message}`]);
+//       return;
+//     }
+//     const { pack, errors: problems } = validatePack(raw);
+//     if (!pack) { setErrors(problems.map((p) => `${file.name}: ${p}`)); return; }
+//     try {
+//       const { entry, replaced } = installPack(pack);
+//       setPacks(loadPacks());
+//       const count = Object.values(entry.items).reduce((n, list) => n + list.length, 0);
+//       setMessage(replaced
+//         ? `Updated "${entry.name}" from ${replaced.version || "unversioned"} to ${entry.version || "unversioned"} (${count} items).`
+//         : `Imported "${entry.name}" (${count} items).`);
+//     } catch (e) {
+//       setErrors([`Could not save ${file.name}: ${e.message}`]);
+//     }
+//   }
+
+//   return (
+//     <Card className="rounded-2xl shadow-md">
+//       <CardHeader><CardTitle>Content Packs</CardTitle></CardHeader>
+//       <CardContent className="space-y-4">
+//         <p className="text-sm opacity-80">Import question banks as JSON or YAML files. Items from enabled packs are added to the built-in questions in every practice tab and the mock test.</p>
+//         <div className="flex flex-wrap gap-2">
+//           <input ref={fileRef} type="file" accept=".json,.yaml,.yml" className="hidden"
+//             onChange={(e) => { const f = e.target.files[0]; e.target.value = ""; if (f) importFile(f); }}/>
+//           <Button onClick={() => fileRef.current && fileRef.current.click()}>Import pack…</Button>
+//           <Button variant="ghost" onClick={() => downloadBlob(new Blob([PACK_TEMPLATE], { type: "text/yaml" }), "pte-pack-template.yaml")}><Download className="mr-2 h-4 w-4"/> Template</Button>
+//         </div>
+//         {message && <div className="text-sm text-emerald-600">{message}</div>}
+//         {errors.length > 0 && (
+//           <div className="rounded-xl border border-rose-500 bg-rose-500/10 p-3 text-sm space-y-1">
+//             <div className="font-semibold">Pack not imported ({errors.length} problem{errors.length === 1 ? "" : "s"})</div>
+//             <ul className="list-disc pl-5 max-h-60 overflow-auto">
+//               {errors.map((e, i) => <li key={i}>{e}</li>)}
+//             </ul>
+//           </div>
+//         )}
+//         <div className="space-y-2">
+//           {packs.length === 0 && <div className="opacity-70 text-sm">No packs imported.</div>}
+//           {packs.map((p) => (
+//             <div key={p.id} className="flex flex-wrap items-center gap-3 rounded-xl border p-3 text-sm">
+//               <Switch checked={p.enabled} onCheckedChange={(v) => update(packs.map((x) => (x.id === p.id ? { ...x, enabled: v } : x)))}/>
+//               <div className="flex-1">
+//                 <div><span className="font-semibold">{p.name}</span> {p.version && <span className="opacity-70">v{p.version}</span>}</div>
+//                 <div className="opacity-70">{Object.entries(p.items).map(([type, list]) => `${type} ${list.length}`).join(" • ")}</div>
+//               </div>
+//               <Button variant="ghost" onClick={() => update(packs.filter((x) => x.id !== p.id))} aria-label={`Remove ${p.name}`}><Trash2 className="h-4 w-4"/></Button>
+//             </div>
+//           ))}
+//         </div>
+//       </CardContent>
+//     </Card>
+//   );
+// }
+
+// // ---------------------------------------------
+// // History (IndexedDB attempt store)
+// // ---------------------------------------------
+// // Attempts live in IndexedDB so the recorded Blob survives a reload; blob URLs are
+// // recreated on load. The old `pte-history` localStorage key is migrated into the default
+// // profile's database on first open; other profiles get a database of their own.
+// const ATTEMPT_DB = "pte-attempts";
+// const ATTEMPT_STORE = "attempts";
+// const LEGACY_HISTORY_KEY = "pte-history";
+// const attemptDbName = (profileId) => scopedKey(ATTEMPT_DB, profileId);
+// const HISTORY_LIMITS = {
+//   maxAttempts: 500,                 // oldest attempts beyond this are deleted
+//   maxAudioBytes: 50 * 1024 * 1024,  // oldest recordings beyond this lose their audio, scores are kept
+//   maxQuotaRatio: 0.8,               // also drop old audio when the origin uses >80% of its storage quota
+// };
+
+// let attemptDbPromise = null;
+
+// function openAttemptDB() {
+//   if (attemptDbPromise) return attemptDbPromise;
+//   attemptDbPromise = new Promise((resolve, reject) => {
+//     if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB not supported in this browser')); return; }
+//     const req = indexedDB.open(attemptDbName(), 1);
+//     req.onupgradeneeded = () => {
+//       const db = req.result;
+//       if (!db.objectStoreNames.contains(ATTEMPT_STORE)) {
+//         const store = db.createObjectStore(ATTEMPT_STORE, { keyPath: "id" });
+//         store.createIndex("when", "when");
+//       }
+//     };
+//     req.onsuccess = () => resolve(req.result);
+//     req.onerror = () => reject(req.error);
+//   }).then(async (db) => {
+//     try { await migrateLegacyHistory(db); } catch (e) { console.warn('History migration failed', e); }
+//     return db;
+//   });
+//   attemptDbPromise.catch(() => { attemptDbPromise = null; });
+//   return attemptDbPromise;
+// }
+
+// // Called when the active profile changes; the next openAttemptDB() opens that profile's database.
+// function closeAttemptDB() {
+//   const pending = attemptDbPromise;
+//   attemptDbPromise = null;
+//   if (pending) pending.then((db) => db.close(), () => {});
+// }
+
+// // Run fn(store) inside one transaction and resolve with its request result once committed.
+// function withStore(db, mode, fn) {
+//   return new Promise((resolve, reject) => {
+//     const tx = db.transaction(ATTEMPT_STORE, mode);
+//     const req = fn(tx.objectStore(ATTEMPT_STORE));
+//     tx.oncomplete = () => resolve(req ? req.result : undefined);
+//     tx.onerror = () => reject(tx.error);
+//     tx.onabort = () => reject(tx.error);
+//   });
+// }
+
+// async function migrateLegacyHistory(db) {
+//   if (typeof localStorage === 'undefined' || currentProfileId() !== DEFAULT_PROFILE_ID) return;
+//   const raw = localStorage.getItem(LEGACY_HISTORY_KEY);
+//   if (!raw) return;
+//   let legacy = [];
+//   try { legacy = JSON.parse(raw) || []; } catch (e) { console.warn('Unreadable legacy history, skipping', e); }
+//   await withStore(db, "readwrite", (store) => {
+//     legacy.forEach((it) => {
+//       if (!it || !it.id) return;
+//       // blob URLs from a previous page load are dead; keep everything else
+//       const { audioUrl, ...rest } = it;
+//       store.put({ ...rest, audioBlob: null, audioBytes: 0 });
+//     });
+//   });
+//   localStorage.removeItem(LEGACY_HISTORY_KEY);
+// }
+
+// async function saveHistory(entry, refText, hypText, audioBlob) {
+//   try {
+//     const db = await openAttemptDB();
+//     const full = { ...entry, refText, hypText, audioBlob: audioBlob || null, audioBytes: audioBlob ? audioBlob.size : 0 };
+//     await withStore(db, "readwrite", (store) => store.put(full));
+//     await pruneHistory(db);
+//   } catch (e) {
+//     console.warn('saveHistory failed', e);
+//   }
+// }
+
+// // Evict oldest first: drop whole attempts over maxAttempts, then strip audio (keeping scores)
+// // until recordings fit in maxAudioBytes and the origin is under its quota ratio.
+// async function pruneHistory(db) {
+//   const all = await withStore(db, "readonly", (store) => store.getAll());
+//   all.sort((a, b) => String(b.when).localeCompare(String(a.when)));
+//   const drop = all.slice(HISTORY_LIMITS.maxAttempts);
+//   const kept = all.slice(0, HISTORY_LIMITS.maxAttempts);
+
+//   let overQuota = false;
+//   try {
+//     if (navigator.storage && navigator.storage.estimate) {
+//       const { usage, quota } = await navigator.storage.estimate();
+//       overQuota = quota > 0 && usage / quota > HISTORY_LIMITS.maxQuotaRatio;
+//     }
+//   } catch (e) { /* estimate is best-effort */ }
+
+//   const audioBudget = overQuota ? HISTORY_LIMITS.maxAudioBytes / 2 : HISTORY_LIMITS.maxAudioBytes;
+//   let audioTotal = kept.reduce((acc, it) => acc + (it.audioBytes || 0), 0);
+//   const strip = [];
+//   for (let i = kept.length - 1; i >= 0 && audioTotal > audioBudget; i--) {
+//     if (!kept[i].audioBlob) continue;
+//     audioTotal -= kept[i].audioBytes || 0;
+//     strip.push({ ...kept[i], audioBlob: null, audioBytes: 0, audioEvicted: true });
+//   }
+
+//   if (!drop.length && !strip.length) return;
+//   await withStore(db, "readwrite", (store) => {
+//     drop.forEach((it) => store.delete(it.id));
+//     strip.forEach((it) => store.put(it));
+//   });
+// }
+
+// // Newest first. Each attempt with stored audio gets a fresh `audioUrl`; revoke them with releaseHistory.
+// async function loadHistory() {
+//   const db = await openAttemptDB();
+//   const all = await withStore(db, "readonly", (store) => store.getAll());
+//   all.sort((a, b) => String(b.when).localeCompare(String(a.when)));
+//   return all.map((it) => ({ ...it, audioUrl: it.audioBlob ? URL.createObjectURL(it.audioBlob) : "" }));
+// }
+
+// function releaseHistory(items) {
+//   (items || []).forEach((it) => { try { if (it.audioUrl) URL.revokeObjectURL(it.audioUrl); } catch (e) {} });
+// }
+
+// async function clearHistory() {
+//   const db = await openAttemptDB();
+//   await withStore(db, "readwrite", (store) => store.clear());
+// }
+
+// // Merge `patch` into a stored attempt, keeping its recording.
+// async function updateAttempt(id, patch) {
+//   const db = await openAttemptDB();
+//   const current = await withStore(db, "readonly", (store) => store.get(id));
+//   if (!current) throw new Error(`Attempt ${id} not found`);
+//   await withStore(db, "readwrite", (store) => store.put({ ...current, ...patch }));
+// }
+
+// function HistoryCard() {
+//   const [items, setItems] = useState([]);
+//   const [reloadKey, setReloadKey] = useState(0);
+//   const [reviewing, setReviewing] = useState(null);
+//   const itemsRef = useRef([]);
+//   useEffect(() => {
+//     let alive = true;
+//     loadHistory()
+//       .then((arr) => { if (alive) { itemsRef.current = arr; setItems(arr); } else releaseHistory(arr); })
+//       .catch((e) => console.warn('loadHistory failed', e));
+//     return () => { alive = false; releaseHistory(itemsRef.current); };
+//   }, [reloadKey]);
+//   const clearAll = async () => {
+//     try { await clearHistory(); } catch (e) { console.warn('clearHistory failed', e); }
+//     releaseHistory(itemsRef.current);
+//     itemsRef.current = [];
+//     setItems([]);
+//   };
+//   const reviewSaved = (id, review) => {
+//     itemsRef.current = itemsRef.current.map((it) => (it.id === id ? { ...it, review } : it));
+//     setItems(itemsRef.current);
 //   };
 
-//   const submit = () => { setAnswered(true); const isCorrect = q.options[choice]?.correct; const result = {
-//     id: uid(), type: "Listening", when: new Date().toISOString(), correct: !!isCorrect, question: q.prompt
-//   }; saveHistory(result); };
+//   return (
+//     <Card className="rounded-2xl shadow-md">
+//       <CardHeader className="flex items-center justify-between"><CardTitle>Practice History</CardTitle></CardHeader>
+//       <CardContent className="space-y-4">
+//         <div className="flex justify-between items-center"><div className="text-sm opacity-70">Saved attempts: {items.length}</div><Button variant="ghost" onClick={clearAll}><Trash2 className="mr-2 h-4 w-4"/> Clear</Button></div>
+//         <HistoryTransfer onImported={() => setReloadKey((k) => k + 1)}/>
+//         <div className="space-y-3">
+//           {items.length === 0 && <div className="opacity-70 text-sm">No history yet. Do a practice and analyze to save.</div>}
+//           {items.map((it) => (
+//             <div key={it.id} className="rounded-xl border p-3">
+//               <div className="flex flex-wrap items-center gap-3 text-sm justify-between">
+//                 <div>
+//                   <span className="font-semibold">{it.type}</span>
+//                   <span className="opacity-70 ml-2">{new Date(it.when).toLocaleString()}</span>
+//                 </div>
+//                 <div className="flex items-center gap-2">
+//                   {typeof it.overall === 'number' && (
+//                     <div className="rounded-lg px-3 py-1 bg-neutral-100 dark:bg-neutral-800">
+//                       Overall: {it.overall}
+//                       {it.review && reviewedScores(it).overall !== it.overall && <span className="ml-2 text-blue-600">Tutor: {reviewedScores(it).overall}</span>}
+//                     </div>
+//                   )}
+//                   {it.type !== "MockTest" && (
+//                     <Button variant="ghost" onClick={() => setReviewing(reviewing === it.id ? null : it.id)}>{reviewing === it.id ? "Close review" : "Review"}</Button>
+//                   )}
+//                 </div>
+//               </div>
+//               {it.review && reviewing !== it.id && <ReviewSummary attempt={it}/>}
+//               {reviewing === it.id && (
+//                 <AttemptReview attempt={it} onSaved={(review) => reviewSaved(it.id, review)} onClose={() => setReviewing(null)}/>
+//               )}
+//               {it.refText && (
+//                 <details className="mt-2">
+//                   <summary className="cursor-pointer text-sm">Show texts</summary>
+//                   <div className="mt-2 grid md:grid-cols-2 gap-3 text-sm">
+//                     <div>
+//                       <div className="font-semibold mb-1">Reference</div>
+//                       <div className="rounded bg-neutral-50 dark:bg-neutral-900 p-2">{it.refText}</div>
+//                     </div>
+//                     <div>
+//                       <div className="font-semibold mb-1">Your Transcript</div>
+//                       <div className="rounded bg-neutral-50 dark:bg-neutral-900 p-2">{it.hypText}</div>
+//                     </div>
+//                   </div>
+//                 </details>
+//               )}
+//               {it.question && typeof it.max === "number" && !it.criteria && (
+//                 <div className="mt-2 text-sm opacity-80">{it.question} — {it.total}/{it.max} points</div>
+//               )}
+//               {Array.isArray(it.criteria) && (
+//                 <details className="mt-2">
+//                   <summary className="cursor-pointer text-sm">Show criteria ({it.total}/{it.max})</summary>
+//                   <div className="mt-2 grid md:grid-cols-2 gap-1 text-sm">
+//                     {it.criteria.map((c) => (
+//                       <div key={c.key} className="flex justify-between rounded bg-neutral-50 dark:bg-neutral-900 p-2">
+//                         <span>{c.label}</span><span>{c.score}/{c.max}</span>
+//                       </div>
+//                     ))}
+//                   </div>
+//                 </details>
+//               )}
+//               {Array.isArray(it.items) && (
+//                 <details className="mt-2">
+//                   <summary className="cursor-pointer text-sm">Show items ({it.items.length})</summary>
+//                   <div className="mt-2 space-y-1 text-sm">
+//                     {it.items.map((r, i) => (
+//                       <div key={i} className="flex justify-between gap-3 rounded bg-neutral-50 dark:bg-neutral-900 p-2">
+//                         <span className="flex-1"><span className="font-semibold">{r.type}</span> — {r.prompt}</span>
+//                         <span>{r.overall}</span>
+//                       </div>
+//                     ))}
+//                   </div>
+//                 </details>
+//               )}
+//               {it.audioUrl && (
+//                 <audio className="mt-2 w-full" controls src={it.audioUrl}/>
+//               )}
+//               {it.audioEvicted && (
+//                 <div className="mt-2 text-xs opacity-60">Recording removed to free storage; scores kept.</div>
+//               )}
+//             </div>
+//           ))}
+//         </div>
+//       </CardContent>
+//     </Card>
+//   );
+// }
+
+// // ---------------------------------------------
+// // History export & import (JSON, CSV, ZIP with audio)
+// // ---------------------------------------------
+// // JSON and ZIP exports share one document: { format, version, exportedAt, attempts }. In a
+// // ZIP it is history.json and each recording sits beside it under audio/, referenced by the
+// // attempt's `audioFile`. Imports merge by attempt id and never overwrite an existing attempt,
+// // except to bring in a newer tutor review of it.
+// const HISTORY_EXPORT_FORMAT = "pte-history";
+// const HISTORY_EXPORT_VERSION = 1;
+// const AUDIO_EXTENSIONS = { "audio/webm": "webm", "audio/ogg": "ogg", "audio/wav": "wav", "audio/mp4": "m4a", "audio/mpeg": "mp3" };
+
+// const audioExtension = (type) => AUDIO_EXTENSIONS[String(type || "").split(";")[0]] || "webm";
+// const audioTypeFor = (path) => Object.keys(AUDIO_EXTENSIONS).find((t) => path.endsWith(`.${AUDIO_EXTENSIONS[t]}`)) || "audio/webm";
+
+// async function readAllAttempts() {
+//   const db = await openAttemptDB();
+//   const all = await withStore(db, "readonly", (store) => store.getAll());
+//   return all.sort((a, b) => String(a.when).localeCompare(String(b.when)));
+// }
+
+// // Blobs don't survive JSON; `audioFile` is only set when the recording is exported with it.
+// function exportableAttempt(it, audioFile) {
+//   const { audioBlob, audioUrl, ...rest } = it;
+//   return audioFile ? { ...rest, audioFile } : rest;
+// }
+
+// const historyDocument = (attempts) => ({ format: HISTORY_EXPORT_FORMAT, version: HISTORY_EXPORT_VERSION, exportedAt: new Date().toISOString(), attempts });
+
+// // Alignment as one readable cell: correct words plain, the rest tagged, e.g. "the cat[approx→cap]".
+// function alignmentSummary(align) {
+//   if (!align || !Array.isArray(align.details)) return "";
+//   return align.details.map((d) => (d.status === "correct" ? d.word : `${d.word}[${d.status}${d.hyp ? `→${d.hyp}` : ""}]`)).join(" ");
+// }
+
+// const CSV_COLUMNS = [
+//   ["id", (a) => a.id], ["when", (a) => a.when], ["type", (a) => a.type],
+//   ["question", (a) => a.question || a.image || a.prompt || ""],
+//   ["overall", (a) => a.overall], ["content", (a) => a.content], ["pronunciation", (a) => a.pronScore],
+//   ["fluency", (a) => a.fluencyScore], ["wpm", (a) => a.wpm],
+//   ["points", (a) => (typeof a.max === "number" ? `${a.total}/${a.max}` : "")],
+//   ["correct", (a) => (typeof a.correct === "boolean" ? a.correct : "")],
+//   ["reference", (a) => a.refText], ["transcript", (a) => a.hypText || a.response],
+//   ["alignment", (a) => alignmentSummary(a.align)],
+//   ["has_audio", (a) => !!a.audioBlob],
+// ];
+
+// function csvCell(v) {
+//   const s = v === undefined || v === null ? "" : String(v);
+//   return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+// }
+
+// // One row per attempt; mock tests get one row for the session plus one per item.
+// function attemptsToCsv(attempts) {
+//   const rows = attempts.flatMap((a) => (a.type === "MockTest" && Array.isArray(a.items)
+//     ? [a, ...a.items.map((it, i) => ({ ...it, id: `${a.id}#${i + 1}`, when: a.when }))]
+//     : [a]));
+//   const lines = [CSV_COLUMNS.map(([name]) => name).join(",")]
+//     .concat(rows.map((r) => CSV_COLUMNS.map(([, get]) => csvCell(get(r))).join(",")));
+//   return lines.join("\r\n") + "\r\n";
+// }
+
+// // `ids` limits the export to those attempts (a tutor sending one reviewed attempt back).
+// async function exportHistory(format, ids = null) {
+//   const attempts = (await readAllAttempts()).filter((it) => !ids || ids.includes(it.id));
+//   const stamp = new Date().toISOString().slice(0, 10);
+//   if (format === "csv") {
+//     return { blob: new Blob([attemptsToCsv(attempts)], { type: "text/csv" }), name: `pte-history-${stamp}.csv` };
+//   }
+//   if (format === "zip") {
+//     const zip = new JSZip();
+//     const docs = attempts.map((it) => {
+//       if (!it.audioBlob) return exportableAttempt(it);
+//       const file = `audio/${it.id}.${audioExtension(it.audioBlob.type)}`;
+//       zip.file(file, it.audioBlob);
+//       return exportableAttempt(it, file);
+//     });
+//     zip.file("history.json", JSON.stringify(historyDocument(docs), null, 2));
+//     return { blob: await zip.generateAsync({ type: "blob" }), name: `pte-history-${stamp}.zip` };
+//   }
+//   const doc = historyDocument(attempts.map((it) => exportableAttempt(it)));
+//   return { blob: new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" }), name: `pte-history-${stamp}.json` };
+// }
+
+// // Accepts our export document or a bare array (the old localStorage history).
+// function attemptsFromDocument(doc) {
+//   if (Array.isArray(doc)) return doc;
+//   if (doc && doc.format === HISTORY_EXPORT_FORMAT && Array.isArray(doc.attempts)) {
+//     if (doc.version > HISTORY_EXPORT_VERSION) throw new Error(`This export was made by a newer version (format ${doc.version}).`);
+//     return doc.attempts;
+//   }
+//   throw new Error("Not a PTE history export.");
+// }
+
+// // Returns { added, reviews, duplicates, invalid }. Audio comes back from the ZIP when present.
+// async function importHistoryFile(file) {
+//   let attempts;
+//   let zip = null;
+//   if (/\.zip$/i.test(file.name) || file.type === "application/zip") {
+//     zip = await JSZip.loadAsync(file);
+//     const doc = zip.file("history.json");
+//     if (!doc) throw new Error("The ZIP has no history.json.");
+//     attempts = attemptsFromDocument(JSON.parse(await doc.async("string")));
+//   } else {
+//     attempts = attemptsFromDocument(JSON.parse(await file.text()));
+//   }
+
+//   const db = await openAttemptDB();
+//   const existing = new Set(await withStore(db, "readonly", (store) => store.getAllKeys()));
+//   const fresh = [];
+//   const reviewed = [];
+//   let duplicates = 0, invalid = 0;
+//   for (const it of attempts) {
+//     if (!it || typeof it !== "object" || !it.id || !it.type || !it.when) { invalid++; continue; }
+//     if (existing.has(it.id)) { if (it.review) reviewed.push(it); else duplicates++; continue; }
+//     existing.add(it.id);
+//     const { audioFile, audioUrl, ...rest } = it;
+//     const entry = zip && audioFile && zip.file(audioFile);
+//     const audioBlob = entry ? new Blob([await entry.async("arraybuffer")], { type: audioTypeFor(audioFile) }) : null;
+//     fresh.push({ ...rest, audioBlob, audioBytes: audioBlob ? audioBlob.size : 0 });
+//   }
+//   if (fresh.length) {
+//     await withStore(db, "readwrite", (store) => { fresh.forEach((it) => store.put(it)); });
+//     await pruneHistory(db);
+//   }
+//   let reviews = 0;
+//   for (const it of reviewed) {
+//     const current = await withStore(db, "readonly", (store) => store.get(it.id));
+//     if (current && isNewerReview(it.review, current.review)) { await updateAttempt(it.id, { review: it.review }); reviews++; } else duplicates++;
+//   }
+//   return { added: fresh.length, reviews, duplicates, invalid };
+// }
+
+// function HistoryTransfer({ onImported }) {
+//   const [busy, setBusy] = useState(false);
+//   const [message, setMessage] = useState("");
+//   const fileRef = useRef(null);
+
+//   async function run(label, fn) {
+//     setBusy(true); setMessage("");
+//     try { setMessage(await fn()); } catch (e) { console.warn(`${label} failed`, e); setMessage(`${label} failed: ${e.message}`); }
+//     setBusy(false);
+//   }
+
+//   const doExport = (format) => run("Export", async () => {
+//     const { blob, name } = await exportHistory(format);
+//     downloadBlob(blob, name);
+//     return `Saved ${name}.`;
+//   });
+
+//   const doImport = (file) => run("Import", async () => {
+//     const { added, reviews, duplicates, invalid } = await importHistoryFile(file);
+//     if (added || reviews) onImported();
+//     return `Imported ${added} attempt${added === 1 ? "" : "s"}` +
+//       (reviews ? `, updated tutor feedback on ${reviews}` : "") +
+//       (duplicates ? `, skipped ${duplicates} already saved` : "") +
+//       (invalid ? `, ignored ${invalid} unreadable` : "") + ".";
+//   });
+
+//   return (
+//     <div className="space-y-2">
+//       <div className="flex flex-wrap gap-2">
+//         <Button variant="outline" disabled={busy} onClick={() => doExport("json")}><Download className="mr-2 h-4 w-4"/> JSON</Button>
+//         <Button variant="outline" disabled={busy} onClick={() => doExport("csv")}><Download className="mr-2 h-4 w-4"/> CSV</Button>
+//         <Button variant="outline" disabled={busy} onClick={() => doExport("zip")}><Download className="mr-2 h-4 w-4"/> ZIP with audio</Button>
+//         <input ref={fileRef} type="file" accept=".json,.zip,application/json,application/zip" className="hidden"
+//           onChange={(e) => { const f = e.target.files[0]; e.target.value = ""; if (f) doImport(f); }}/>
+//         <Button variant="secondary" disabled={busy} onClick={() => fileRef.current && fileRef.current.click()}>Import…</Button>
+//       </div>
+//       {message && <div className="text-sm opacity-80">{message}</div>}
+//     </div>
+//   );
+// }
+
+// // ---------------------------------------------
+// // Tutor review (comments, word tags and score overrides on a saved attempt)
+// // ---------------------------------------------
+// // A review is stored on the attempt itself and travels with it through export/import:
+// //   { reviewer, updatedAt, comments: [{ id, time, text }], wordTags: { [refIndex]: tag },
+// //     overrides: { [scoreKey]: { score, reason } } }
+// // Machine scores are never changed; reviewedScores() applies the overrides on top.
+// const REVIEWER_KEY = "pte-reviewer";
+// const REVIEW_SCORES = [
+//   { key: "content", label: "Content" },
+//   { key: "pronScore", label: "Pronunciation" },
+//   { key: "fluencyScore", label: "Fluency" },
+// ];
+// const WORD_TAGS = {
+//   mispronounced: { label: "Mispronounced", cls: "ring-2 ring-rose-500" },
+//   ok: { label: "OK", cls: "ring-2 ring-emerald-500" },
+// };
+// const nextWordTag = (tag) => (!tag ? "mispronounced" : tag === "mispronounced" ? "ok" : undefined);
+
+// const formatClock = (sec) => `${Math.floor(sec / 60)}:${String(Math.floor(sec % 60)).padStart(2, "0")}`;
+
+// // The scores a review can override: content/pronunciation/fluency when the task has them,
+// // otherwise just the overall score.
+// function reviewableScores(attempt) {
+//   const keys = REVIEW_SCORES.filter((s) => typeof attempt[s.key] === "number");
+//   return keys.length ? keys : typeof attempt.overall === "number" ? [{ key: "overall", label: "Overall" }] : [];
+// }
+
+// function reviewedScores(attempt) {
+//   const o = (attempt.review && attempt.review.overrides) || {};
+//   const pick = (key) => (o[key] ? o[key].score : attempt[key]);
+//   const scores = { content: pick("content"), pronScore: pick("pronScore"), fluencyScore: pick("fluencyScore"), overall: pick("overall") };
+//   if (REVIEW_SCORES.every((s) => typeof scores[s.key] === "number") && REVIEW_SCORES.some((s) => o[s.key])) {
+//     scores.overall = scoreOverall(scores.content, scores.pronScore, scores.fluencyScore);
+//   }
+//   return scores;
+// }
+
+// const isNewerReview = (incoming, current) => !current || String(incoming.updatedAt || "") > String(current.updatedAt || "");
+
+// // Attempts saved before alignments kept `ops` (legacy history, bare-array imports) only have
+// // `details`, one entry per reference word, so they are tagged by that position instead.
+// const alignmentOps = (align) => (Array.isArray(align.ops) ? align.ops
+//   : Array.isArray(align.details) ? align.details.map((d, i) => ({ type: d.status, ref: d.word, refIndex: i })) : []);
+
+// function TaggableWords({ align, tags, onChange }) {
+//   return alignmentOps(align).map((o, i) => {
+//     if (o.type === "inserted") return <span key={i} className="opacity-60 line-through px-1"> {o.hyp} </span>;
+//     const tag = WORD_TAGS[tags[o.refIndex]] ? tags[o.refIndex] : undefined;
+//     const base = o.type === "correct" ? "bg-emerald-500/20" : o.type === "approx" ? "bg-amber-500/20" : "bg-rose-500/20";
+//     return (
+//       <button key={i} type="button" className={`m-0.5 px-1 rounded ${base} ${tag ? WORD_TAGS[tag].cls : ''}`}
+//         title={tag ? `Tutor: ${WORD_TAGS[tag].label}` : "Click to tag"}
+//         onClick={() => {
+//           const next = { ...tags };
+//           if (nextWordTag(tag)) next[o.refIndex] = nextWordTag(tag); else delete next[o.refIndex];
+//           onChange(next);
+//         }}>
+//         {o.ref}
+//       </button>
+//     );
+//   });
+// }
+
+// function AttemptReview({ attempt, onSaved, onClose }) {
+//   const initial = attempt.review || {};
+//   const [reviewer, setReviewer] = useState(() => initial.reviewer || localStorage.getItem(scopedKey(REVIEWER_KEY)) || "");
+//   const [comments, setComments] = useState(initial.comments || []);
+//   const [wordTags, setWordTags] = useState(initial.wordTags || {});
+//   const [overrides, setOverrides] = useState(initial.overrides || {});
+//   const [draft, setDraft] = useState("");
+//   const [status, setStatus] = useState("");
+//   const wsContainer = useRef(null);
+//   const regions = useMemo(() => comments.map((c, i) => ({ start: c.time, end: c.time, color: "rgba(37, 99, 235, 0.9)", content: String(i + 1) })), [comments]);
+//   const { wsRef } = useWaveSurfer(wsContainer, attempt.audioUrl, regions);
+//   const scores = reviewableScores(attempt);
+
+//   function addComment() {
+//     if (!draft.trim()) return;
+//     const time = wsRef.current ? Math.round(wsRef.current.getCurrentTime() * 10) / 10 : 0;
+//     setComments([...comments, { id: uid(), time, text: draft.trim() }].sort((a, b) => a.time - b.time));
+//     setDraft("");
+//   }
+
+//   function seek(time) {
+//     try { if (wsRef.current) { wsRef.current.setTime(time); wsRef.current.play(); } } catch (e) { console.warn('Seek failed', e); }
+//   }
+
+//   function setOverride(key, patch) {
+//     const next = { ...overrides, [key]: { score: "", reason: "", ...overrides[key], ...patch } };
+//     if (next[key].score === "" && !next[key].reason) delete next[key];
+//     setOverrides(next);
+//   }
+
+//   async function save() {
+//     const clean = {};
+//     for (const [key, o] of Object.entries(overrides)) {
+//       const score = Number(o.score);
+//       if (o.score === "" || !Number.isFinite(score) || score < 0 || score > 100) { setStatus("Override scores must be between 0 and 100."); return; }
+//       if (!String(o.reason || "").trim()) { setStatus("Give a reason for each score you override."); return; }
+//       clean[key] = { score: Math.round(score), reason: o.reason.trim() };
+//     }
+//     const review = { reviewer: reviewer.trim(), updatedAt: new Date().toISOString(), comments, wordTags, overrides: clean };
+//     try {
+//       await updateAttempt(attempt.id, { review });
+//       try { localStorage.setItem(scopedKey(REVIEWER_KEY), review.reviewer); } catch (e) {}
+//       setStatus("Review saved.");
+//       onSaved(review);
+//     } catch (e) {
+//       console.warn('Saving review failed', e);
+//       setStatus(`Could not save the review: ${e.message}`);
+//     }
+//   }
+
+//   async function exportForStudent() {
+//     try {
+//       const { blob } = await exportHistory("zip", [attempt.id]);
+//       downloadBlob(blob, `pte-review-${attempt.type}-${attempt.id}.zip`);
+//     } catch (e) {
+//       console.warn('Export failed', e);
+//       setStatus(`Export failed: ${e.message}`);
+//     }
+//   }
+
+//   return (
+//     <div className="mt-3 rounded-xl border border-blue-500 p-3 space-y-4">
+//       <div className="flex flex-wrap items-end gap-3">
+//         <div className="space-y-1"><Label>Reviewer</Label><Input value={reviewer} onChange={(e) => setReviewer(e.target.value)} placeholder="Tutor name"/></div>
+//         <div className="flex gap-2 ml-auto">
+//           <Button onClick={save}>Save review</Button>
+//           <Button variant="outline" onClick={exportForStudent} disabled={!attempt.review}><Download className="mr-2 h-4 w-4"/> Export for student</Button>
+//           <Button variant="ghost" onClick={onClose}>Close</Button>
+//         </div>
+//       </div>
+//       {status && <div className="text-sm opacity-80">{status}</div>}
+
+//       <div className="space-y-2">
+//         <Label>Comments on the recording</Label>
+//         {attempt.audioUrl
+//           ? <div ref={wsContainer} className="rounded-xl border h-24 flex items-center"/>
+//           : <div className="text-sm opacity-70">No recording saved with this attempt; comments are placed at 0:00.</div>}
+//         <div className="flex gap-2">
+//           <Input value={draft} onChange={(e) => setDraft(e.target.value)} onKeyDown={(e) => { if (e.key === "Enter") addComment(); }}
+//             placeholder="Pause the audio where you want to comment, then type…"/>
+//           <Button variant="secondary" onClick={addComment} disabled={!draft.trim()}>Add at cursor</Button>
+//         </div>
+//         <ol className="space-y-1 text-sm">
+//           {comments.map((c, i) => (
+//             <li key={c.id} className="flex items-center gap-2">
+//               <span className="opacity-60">{i + 1}.</span>
+//               <button type="button" className="font-mono text-blue-600" onClick={() => seek(c.time)}>{formatClock(c.time)}</button>
+//               <span className="flex-1">{c.text}</span>
+//               <Button variant="ghost" onClick={() => setComments(comments.filter((x) => x.id !== c.id))} aria-label="Delete comment"><Trash2 className="h-4 w-4"/></Button>
+//             </li>
+//           ))}
+//         </ol>
+//       </div>
+
+//       {attempt.align && alignmentOps(attempt.align).length > 0 && (
+//         <div className="space-y-1">
+//           <Label>Word tags (click to cycle: mispronounced → OK → none)</Label>
+//           <div className="rounded-xl border p-3 text-sm leading-8"><TaggableWords align={attempt.align} tags={wordTags} onChange={setWordTags}/></div>
+//         </div>
+//       )}
+
+//       {scores.length > 0 && (
+//         <div className="space-y-2">
+//           <Label>Score overrides</Label>
+//           {scores.map((s) => (
+//             <div key={s.key} className="grid grid-cols-[8rem_5rem_1fr] items-center gap-2 text-sm">
+//               <span>{s.label} <span className="opacity-60">(auto {attempt[s.key]})</span></span>
+//               <Input type="number" min={0} max={100} value={overrides[s.key] ? overrides[s.key].score : ""} placeholder="—"
+//                 onChange={(e) => setOverride(s.key, { score: e.target.value })}/>
+//               <Input value={overrides[s.key] ? overrides[s.key].reason : ""} placeholder="Reason for the change"
+//                 onChange={(e) => setOverride(s.key, { reason: e.target.value })}/>
+//             </div>
+//           ))}
+//         </div>
+//       )}
+//     </div>
+//   );
+// }
+
+// // What the student sees under an attempt that came back with tutor feedback.
+// function ReviewSummary({ attempt }) {
+//   const review = attempt.review;
+//   const overrides = Object.entries(review.overrides || {});
+//   const tags = Object.entries(review.wordTags || {}).filter(([, tag]) => WORD_TAGS[tag]);
+//   const refWords = attempt.align && Array.isArray(attempt.align.ref) ? attempt.align.ref : [];
+//   return (
+//     <div className="mt-2 rounded-xl bg-blue-500/10 p-3 text-sm space-y-2">
+//       <div className="font-semibold">Tutor feedback{review.reviewer ? ` from ${review.reviewer}` : ""} <span className="font-normal opacity-60">{new Date(review.updatedAt).toLocaleString()}</span></div>
+//       {overrides.length > 0 && (
+//         <ul className="space-y-1">
+//           {overrides.map(([key, o]) => (
+//             <li key={key}>
+//               {(REVIEW_SCORES.find((s) => s.key === key) || { label: "Overall" }).label}: machine {attempt[key]} → tutor <strong>{o.score}</strong> — {o.reason}
+//             </li>
+//           ))}
+//         </ul>
+//       )}
+//       {tags.length > 0 && (
+//         <div className="flex flex-wrap gap-1 items-center">
+//           <span className="opacity-70 mr-1">Words:</span>
+//           {tags.map(([idx, tag]) => <span key={idx} className={`px-1 rounded ${WORD_TAGS[tag].cls}`} title={WORD_TAGS[tag].label}>{refWords[idx] || `#${idx}`}</span>)}
+//         </div>
+//       )}
+//       {(review.comments || []).length > 0 && (
+//         <ul className="space-y-1">
+//           {review.comments.map((c) => <li key={c.id}><span className="font-mono opacity-70">{formatClock(c.time)}</span> {c.text}</li>)}
+//         </ul>
+//       )}
+//     </div>
+//   );
+// }
+
+// // ---------------------------------------------
+// // Progress analytics (trends built from the saved history)
+// // ---------------------------------------------
+// const ANALYTICS_METRICS = [
+//   { key: "content", label: "Content", color: "#2563eb" },
+//   { key: "pronScore", label: "Pronunciation", color: "#16a34a" },
+//   { key: "fluencyScore", label: "Fluency", color: "#d97706" },
+//   { key: "overall", label: "Overall", color: "#7c3aed" },
+// ];
+// const ROLLING_WINDOW = 5;
+
+// // Single-answer listening attempts only record `correct`; count them as 0 or 100.
+// function attemptOverall(a) {
+//   if (typeof a.overall === "number") return a.overall;
+//   return typeof a.correct === "boolean" ? (a.correct ? 100 : 0) : null;
+// }
+
+// // One record per scored item, oldest first. Mock test items count towards their own task
+// // type and are dated with the session.
+// function flattenAttempts(history) {
+//   return history
+//     .flatMap((h) => (h.type === "MockTest" && Array.isArray(h.items)
+//       ? [h, ...h.items.map((it) => ({ ...it, when: h.when, mock: true }))]
+//       : [h]))
+//     .map((a) => ({ ...a, overall: attemptOverall(a) }))
+//     .filter((a) => a.when && a.overall !== null)
+//     .sort((a, b) => String(a.when).localeCompare(String(b.when)));
+// }
+
+// // `from` and `to` are yyyy-mm-dd strings from date inputs; `to` includes the whole day.
+// function filterAttempts(attempts, { type = "all", from = "", to = "" } = {}) {
+//   const start = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+//   const end = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+//   return attempts.filter((a) => {
+//     const t = new Date(a.when).getTime();
+//     return (type === "all" || a.type === type) && t >= start && t <= end;
+//   });
+// }
+
+// // Mean of the last `size` values at each point (fewer at the start of the series).
+// function rollingAverage(values, size = ROLLING_WINDOW) {
+//   return values.map((_, i) => {
+//     const win = values.slice(Math.max(0, i - size + 1), i + 1).filter((v) => typeof v === "number");
+//     return win.length ? Math.round(win.reduce((s, v) => s + v, 0) / win.length) : null;
+//   });
+// }
+
+// function trendSeries(attempts) {
+//   const avg = rollingAverage(attempts.map((a) => a.overall));
+//   return attempts.map((a, i) => ({
+//     n: i + 1,
+//     date: new Date(a.when).toLocaleDateString(),
+//     content: a.content, pronScore: a.pronScore, fluencyScore: a.fluencyScore,
+//     overall: a.overall, avg: avg[i], wpm: a.wpm,
+//   }));
+// }
+
+// function personalBests(attempts) {
+//   const byType = new Map();
+//   attempts.forEach((a) => {
+//     const best = byType.get(a.type) || { type: a.type, attempts: 0 };
+//     best.attempts += 1;
+//     for (const m of ANALYTICS_METRICS) {
+//       if (typeof a[m.key] === "number" && (!best[m.key] || a[m.key] > best[m.key].value)) best[m.key] = { value: a[m.key], when: a.when };
+//     }
+//     byType.set(a.type, best);
+//   });
+//   return [...byType.values()].sort((a, b) => b.attempts - a.attempts);
+// }
+
+// // Words most often marked missed or approx across every saved alignment.
+// function troubleWords(attempts, limit = 15) {
+//   const counts = new Map();
+//   attempts.forEach((a) => {
+//     (a.align && Array.isArray(a.align.details) ? a.align.details : []).forEach((d) => {
+//       if (d.status !== "missed" && d.status !== "approx") return;
+//       const word = String(d.word).toLowerCase();
+//       const c = counts.get(word) || { word, missed: 0, approx: 0 };
+//       c[d.status] += 1;
+//       counts.set(word, c);
+//     });
+//   });
+//   return [...counts.values()]
+//     .map((c) => ({ ...c, total: c.missed + c.approx }))
+//     .sort((a, b) => b.total - a.total || a.word.localeCompare(b.word))
+//     .slice(0, limit);
+// }
+
+// function TrendChart({ title, data, lines, target, targetLabel }) {
+//   return (
+//     <div className="rounded-xl border p-3">
+//       <div className="font-semibold text-sm mb-2">{title}</div>
+//       <div className="h-56">
+//         <ResponsiveContainer width="100%" height="100%">
+//           <LineChart data={data}>
+//             <CartesianGrid strokeDasharray="3 3" opacity={0.3}/>
+//             <XAxis dataKey="date" fontSize={12}/>
+//             <YAxis fontSize={12} domain={lines.some((l) => l.key === "wpm") ? ["auto", "auto"] : [0, 100]}/>
+//             <Tooltip/>
+//             <Legend/>
+//             {target ? <ReferenceLine y={target} stroke="#dc2626" strokeDasharray="4 4" label={{ value: targetLabel || `Target ${target}`, position: "insideTopRight", fontSize: 11 }}/> : null}
+//             {lines.map((l) => (
+//               <Line key={l.key} type="monotone" dataKey={l.key} name={l.label} stroke={l.color} strokeWidth={l.key === "avg" ? 2 : 1.5}
+//                 strokeDasharray={l.key === "avg" ? "5 3" : undefined} dot={data.length < 30} connectNulls/>
+//             ))}
+//           </LineChart>
+//         </ResponsiveContainer>
+//       </div>
+//     </div>
+//   );
+// }
+
+// function AnalyticsCard() {
+//   const [attempts, setAttempts] = useState([]);
+//   const [filters, setFilters] = useState({ type: "all", from: "", to: "" });
+//   const { targetBand } = loadProfileSettings();
+
+//   useEffect(() => {
+//     let alive = true;
+//     loadHistory()
+//       .then((arr) => { releaseHistory(arr); if (alive) setAttempts(flattenAttempts(arr)); })
+//       .catch((e) => console.warn('loadHistory failed', e));
+//     return () => { alive = false; };
+//   }, []);
+
+//   const types = useMemo(() => [...new Set(attempts.map((a) => a.type))], [attempts]);
+//   const shown = useMemo(() => filterAttempts(attempts, filters), [attempts, filters]);
+//   const groups = useMemo(() => types.filter((t) => filters.type === "all" || t === filters.type)
+//     .map((type) => ({ type, data: trendSeries(shown.filter((a) => a.type === type)) }))
+//     .filter((g) => g.data.length > 0), [types, shown, filters.type]);
+//   const wpmData = useMemo(() => trendSeries(shown.filter((a) => typeof a.wpm === "number")), [shown]);
+//   const bests = useMemo(() => personalBests(shown), [shown]);
+//   const words = useMemo(() => troubleWords(shown), [shown]);
+//   const update = (patch) => setFilters((f) => ({ ...f, ...patch }));
 
 //   return (
 //     <Card className="rounded-2xl shadow-md">
-//       <CardHeader><CardTitle>Listening — Multiple Choice (Single Answer)</CardTitle></CardHeader>
-//       <CardContent className="space-y-4">
-//         <div className="flex items-center justify-between">
-//           <div className="text-sm opacity-80">Time: {String(Math.floor(time/60)).padStart(2,'0')}:{String(time%60).padStart(2,'0')}</div>
-//           <div className="flex gap-2">
-//             <Button onClick={playAudio}><Play className="mr-2 h-4 w-4"/> Play Audio</Button>
-//             <Button variant="ghost" onClick={()=> setQIdx((qIdx+1)%listeningBank.length)}>Next</Button>
+//       <CardHeader><CardTitle>Progress Analytics</CardTitle></CardHeader>
+//       <CardContent className="space-y-6">
+//         <div className="flex flex-wrap items-end gap-3">
+//           <div className="space-y-1">
+//             <Label>Task</Label>
+//             <select className="block rounded-md border px-2 h-9 bg-transparent" value={filters.type} onChange={(e) => update({ type: e.target.value })}>
+//               <option value="all">All tasks</option>
+//               {types.map((t) => <option key={t} value={t}>{t}</option>)}
+//             </select>
 //           </div>
+//           <div className="space-y-1"><Label>From</Label><Input type="date" value={filters.from} onChange={(e) => update({ from: e.target.value })}/></div>
+//           <div className="space-y-1"><Label>To</Label><Input type="date" value={filters.to} onChange={(e) => update({ to: e.target.value })}/></div>
+//           <Button variant="ghost" onClick={() => setFilters({ type: "all", from: "", to: "" })}>Reset</Button>
+//           <div className="text-sm opacity-70 ml-auto">{shown.length} scored attempt{shown.length === 1 ? "" : "s"}</div>
 //         </div>
-//         <div className="rounded-xl border p-3 text-sm md:text-base bg-neutral-50 dark:bg-neutral-900">
-//           <strong>Prompt:</strong> {q.prompt}
-//         </div>
-//         <div className="space-y-2">
-//           {q.options.map((opt, i) => (
-//             <label key={i} className={`flex items-center gap-3 rounded-xl border p-3 cursor-pointer ${answered ? (opt.correct ? 'border-emerald-500 bg-emerald-500/10' : (choice===i ? 'border-rose-500 bg-rose-500/10' : '')) : (choice===i ? 'border-blue-500 bg-blue-500/10' : '')}`}>
-//               <input type="radio" name="opt" checked={choice===i} onChange={()=> setChoice(i)} disabled={answered}/>
-//               <span>{opt.text}</span>
-//             </label>
-//           ))}
-//         </div>
-//         <div className="flex gap-2">
-//           <Button onClick={submit} disabled={choice===null || answered}>Submit</Button>
-//           {answered && (
-//             <div className="text-sm">{q.explain}</div>
-//           )}
-//         </div>
+
+//         {shown.length === 0 && <div className="opacity-70 text-sm">No scored attempts in this range yet. Practise a few tasks and come back.</div>}
+
+//         {groups.map((g) => (
+//           <TrendChart key={g.type} title={`${g.type} — scores over time`} data={g.data} target={bandToPercent(targetBand)} targetLabel={`Target PTE ${targetBand}`}
+//             lines={[...ANALYTICS_METRICS.filter((m) => g.data.some((d) => typeof d[m.key] === "number")),
+//               { key: "avg", label: `Overall (${ROLLING_WINDOW}-attempt average)`, color: "#64748b" }]}/>
+//         ))}
+
+//         {wpmData.length > 0 && (
+//           <TrendChart title="Speaking rate (WPM)" data={wpmData} lines={[{ key: "wpm", label: "WPM", color: "#0891b2" }]}/>
+//         )}
+
+//         {bests.length > 0 && (
+//           <div className="rounded-xl border p-3 overflow-x-auto">
+//             <div className="font-semibold text-sm mb-2">Personal bests</div>
+//             <table className="w-full text-sm">
+//               <thead>
+//                 <tr className="text-left opacity-70">
+//                   <th className="py-1 pr-3">Task</th><th className="pr-3">Attempts</th>
+//                   {ANALYTICS_METRICS.map((m) => <th key={m.key} className="pr-3">{m.label}</th>)}
+//                 </tr>
+//               </thead>
+//               <tbody>
+//                 {bests.map((b) => (
+//                   <tr key={b.type} className="border-t">
+//                     <td className="py-1 pr-3 font-semibold">{b.type}</td><td className="pr-3">{b.attempts}</td>
+//                     {ANALYTICS_METRICS.map((m) => (
+//                       <td key={m.key} className="pr-3" title={b[m.key] ? new Date(b[m.key].when).toLocaleString() : ""}>{b[m.key] ? b[m.key].value : "—"}</td>
+//                     ))}
+//                   </tr>
+//                 ))}
+//               </tbody>
+//             </table>
+//           </div>
+//         )}
+
+//         {words.length > 0 && (
+//           <div className="rounded-xl border p-3">
+//             <div className="font-semibold text-sm mb-2">Words to practise (most often missed or mispronounced)</div>
+//             <div className="flex flex-wrap gap-2">
+//               {words.map((w) => (
+//                 <span key={w.word} className="rounded-lg border px-2 py-1 text-sm" title={`Missed ${w.missed} • Approximate ${w.approx}`}>
+//                   {w.word} <span className="opacity-60">×{w.total}</span>
+//                 </span>
+//               ))}
+//             </div>
+//           </div>
+//         )}
 //       </CardContent>
 //     </Card>
 //   );
 // }
 
 // // ---------------------------------------------
-// // History (localStorage)
+// // Score report (estimated PTE 10–90 skill scores from recent attempts)
 // // ---------------------------------------------
-// function saveHistory(entry, refText, hypText, audioUrl) {
-//   const key = "pte-history";
-//   const prev = JSON.parse(localStorage.getItem(key) || "[]");
-//   const full = { ...entry, refText, hypText, audioUrl };
-//   prev.unshift(full);
-//   localStorage.setItem(key, JSON.stringify(prev.slice(0, 100)));
-// }
+// // Bands universities and visa rules usually ask for.
+// const PTE_TARGET_BANDS = [30, 36, 42, 50, 58, 65, 73, 79, 84, 90];
 
-// function HistoryCard() {
-//   const [items, setItems] = useState([]);
-//   useEffect(() => { const arr = JSON.parse(localStorage.getItem("pte-history") || "[]"); setItems(arr); }, []);
-//   const clearAll = () => { localStorage.removeItem("pte-history"); setItems([]); };
+// // A 10–90 band on the 0–100 scale the task scores use (the inverse of the report's mapping).
+// const bandToPercent = (band) => {
+//   const { scaleMin, scaleMax } = scoringConfig.report;
+//   return Math.round(clamp((band - scaleMin) / (scaleMax - scaleMin), 0, 1) * 100);
+// };
+// const SKILL_LABELS = { speaking: "Speaking", writing: "Writing", reading: "Reading", listening: "Listening" };
+// const taskLabel = (type) => (MOCK_SECTIONS.find((s) => s.type === type) || { label: type }).label;
+// const gapText = (gap) => (gap >= 0 ? `${gap} above target` : `${-gap} to go`);
+
+// // Tutor overrides count instead of the machine scores they replace.
+// const reportAttempt = (a) => (a.review ? { ...a, ...reviewedScores(a) } : a);
+
+// function ScoreReportCard() {
+//   const [attempts, setAttempts] = useState([]);
+//   const { targetBand } = loadProfileSettings();
+
+//   useEffect(() => {
+//     let alive = true;
+//     loadHistory()
+//       .then((arr) => { releaseHistory(arr); if (alive) setAttempts(flattenAttempts(arr).map(reportAttempt)); })
+//       .catch((e) => console.warn('loadHistory failed', e));
+//     return () => { alive = false; };
+//   }, []);
+
+//   const report = useMemo(() => estimateSkillScores(attempts, targetBand), [attempts, targetBand]);
+//   const missing = report.skills.filter((s) => s.score === null).map((s) => SKILL_LABELS[s.skill]);
 
 //   return (
 //     <Card className="rounded-2xl shadow-md">
-//       <CardHeader className="flex items-center justify-between"><CardTitle>Practice History</CardTitle></CardHeader>
+//       <CardHeader>
+//         <CardTitle className="flex items-center justify-between gap-3">
+//           <span>Estimated PTE Score Report</span>
+//           <span className="text-sm opacity-80">Target: {targetBand}</span>
+//         </CardTitle>
+//       </CardHeader>
 //       <CardContent className="space-y-4">
-//         <div className="flex justify-between items-center"><div className="text-sm opacity-70">Saved attempts: {items.length}</div><Button variant="ghost" onClick={clearAll}><Trash2 className="mr-2 h-4 w-4"/> Clear</Button></div>
-//         <div className="space-y-3">
-//           {items.length === 0 && <div className="opacity-70 text-sm">No history yet. Do a practice and analyze to save.</div>}
-//           {items.map((it) => (
-//             <div key={it.id} className="rounded-xl border p-3">
-//               <div className="flex flex-wrap items-center gap-3 text-sm justify-between">
-//                 <div>
-//                   <span className="font-semibold">{it.type}</span>
-//                   <span className="opacity-70 ml-2">{new Date(it.when).toLocaleString()}</span>
+//         <p className="text-sm opacity-80">
+//           Estimated on the 10–90 scale from your latest {scoringConfig.report.recentPerTask} attempts of each task.
+//           Integrated tasks count towards two skills, e.g. Read Aloud for Speaking and Reading. Change the target in Settings.
+//         </p>
+//         {report.overall === null ? (
+//           <div className="opacity-70 text-sm">No scored attempts yet. Practise a few tasks and come back.</div>
+//         ) : (
+//           <>
+//             <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-center">
+//               <ScoreBox label={`Overall${report.complete ? "" : " (partial)"} • ${gapText(report.gap)}`} value={report.overall}/>
+//               {report.skills.map((s) => (
+//                 <ScoreBox key={s.skill} label={s.score === null ? SKILL_LABELS[s.skill] : `${SKILL_LABELS[s.skill]} • ${gapText(s.gap)}`} value={s.score === null ? "—" : s.score}/>
+//               ))}
+//             </div>
+//             {missing.length > 0 && <p className="text-sm text-amber-600">No attempts yet for {missing.join(", ")}; the overall covers the other skills only.</p>}
+//             <div className="h-64">
+//               <ResponsiveContainer width="100%" height="100%">
+//                 <RadarChart data={report.skills.map((s) => ({ skill: SKILL_LABELS[s.skill], score: s.score === null ? 10 : s.score, target: targetBand }))}>
+//                   <PolarGrid />
+//                   <PolarAngleAxis dataKey="skill" />
+//                   <PolarRadiusAxis angle={30} domain={[10, 90]} />
+//                   <RechartsRadar name="Target" dataKey="target" stroke="#dc2626" fill="none" strokeDasharray="4 4" />
+//                   <RechartsRadar name="You" dataKey="score" stroke="#2563eb" fill="#3b82f6" fillOpacity={0.4} />
+//                   <Legend/>
+//                 </RadarChart>
+//               </ResponsiveContainer>
+//             </div>
+//             <div className="grid md:grid-cols-2 gap-4">
+//               {report.skills.filter((s) => s.score !== null).map((s) => (
+//                 <div key={s.skill} className="rounded-xl border p-3 overflow-x-auto">
+//                   <div className="font-semibold text-sm mb-2">{SKILL_LABELS[s.skill]}: {s.score} <span className={s.gap >= 0 ? "text-emerald-600" : "text-rose-600"}>({gapText(s.gap)})</span></div>
+//                   <table className="w-full text-sm">
+//                     <thead>
+//                       <tr className="text-left opacity-70">
+//                         <th className="py-1 pr-3">Task</th><th className="pr-3">Attempts</th><th className="pr-3">Average</th><th className="pr-3">Weight</th><th>Points above 10</th>
+//                       </tr>
+//                     </thead>
+//                     <tbody>
+//                       {s.tasks.map((t) => (
+//                         <tr key={t.type} className="border-t">
+//                           <td className="py-1 pr-3">{taskLabel(t.type)}{t.metric === "content" && <span className="opacity-60"> (content)</span>}</td>
+//                           <td className="pr-3">{t.attempts}</td>
+//                           <td className="pr-3">{t.average}</td>
+//                           <td className="pr-3">{Math.round(t.share * 100)}%</td>
+//                           <td>+{t.points}</td>
+//                         </tr>
+//                       ))}
+//                     </tbody>
+//                   </table>
 //                 </div>
-//                 {typeof it.overall === 'number' && (
-//                   <div className="rounded-lg px-3 py-1 bg-neutral-100 dark:bg-neutral-800">Overall: {it.overall}</div>
-//                 )}
-//               </div>
-//               {it.refText && (
-//                 <details className="mt-2">
-//                   <summary className="cursor-pointer text-sm">Show texts</summary>
-//                   <div className="mt-2 grid md:grid-cols-2 gap-3 text-sm">
-//                     <div>
-//                       <div className="font-semibold mb-1">Reference</div>
-//                       <div className="rounded bg-neutral-50 dark:bg-neutral-900 p-2">{it.refText}</div>
-//                     </div>
-//                     <div>
-//                       <div className="font-semibold mb-1">Your Transcript</div>
-//                       <div className="rounded bg-neutral-50 dark:bg-neutral-900 p-2">{it.hypText}</div>
-//                     </div>
-//                   </div>
-//                 </details>
-//               )}
-//               {it.audioUrl && (
-//                 <audio className="mt-2 w-full" controls src={it.audioUrl}/>
-//               )}
+//               ))}
 //             </div>
-//           ))}
-//         </div>
+//           </>
+//         )}
 //       </CardContent>
 //     </Card>
 //   );
 // }
 
+// // ---------------------------------------------
+// // Spaced repetition (SM-2 style review queue, word and sound drills)
+// // ---------------------------------------------
+// // Each practised item gets a review card: { ease, interval (days), reps, due (ms), last }.
+// // Scores map to SM-2 quality 0–5; anything below 3 is a lapse and comes back after
+// // LAPSE_DELAY_MIN so it reappears in the same session instead of tomorrow.
+// const REVIEW_KEY = "pte-review";
+// const SM2 = { initialEase: 2.5, minEase: 1.3, passQuality: 3 };
+// const LAPSE_DELAY_MIN = 10;
+// const DAY_MS = 24 * 60 * 60 * 1000;
+// const DRILL_LIMITS = { minMisses: 2, maxWords: 12, maxSentences: 8, maxSentenceWords: 20, maxSounds: 4, sentencesPerSound: 3 };
+
+// function hashString(s) {
+//   let h = 5381;
+//   for (let i = 0; i < s.length; i++) h = ((h << 5) + h + s.charCodeAt(i)) | 0;
+//   return (h >>> 0).toString(36);
+// }
+
+// const reviewKey = (type, item) => `${type}:${item.id || hashString(String(item.text || item.audioText || item.prompt || item.title || ""))}`;
+
+// function loadReviews() {
+//   try { return JSON.parse(localStorage.getItem(scopedKey(REVIEW_KEY)) || "{}"); } catch (e) { return {}; }
+// }
+
+// function saveReviews(reviews) {
+//   try { localStorage.setItem(scopedKey(REVIEW_KEY), JSON.stringify(reviews)); } catch (e) { console.warn('saveReviews failed', e); }
+// }
+
+// // SM-2 update for a 0–100 score.
+// function scheduleReview(card, score, now = Date.now()) {
+//   const q = clamp(Math.round(score / 20), 0, 5);
+//   const prev = card || { ease: SM2.initialEase, interval: 0, reps: 0 };
+//   const ease = Math.max(SM2.minEase, Math.round((prev.ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)) * 100) / 100);
+//   if (q < SM2.passQuality) {
+//     return { ease, interval: 0, reps: 0, due: now + LAPSE_DELAY_MIN * 60 * 1000, last: now, score };
+//   }
+//   const reps = prev.reps + 1;
+//   const interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(prev.interval * ease);
+//   return { ease, interval, reps, due: now + interval * DAY_MS, last: now, score };
+// }
+
+// function recordReview(type, item, score) {
+//   const reviews = loadReviews();
+//   const key = reviewKey(type, item);
+//   reviews[key] = scheduleReview(reviews[key], score);
+//   saveReviews(reviews);
+// }
+
+// // Cards for items practised before the review queue existed: the latest score in the history
+// // schedules the card as if it had been reviewed then. Items that already have a card are left alone.
+// // Attempts carry their item's `reviewKey`; older ones are matched by question text, but only
+// // when no other item in the bank shares it (pack items often reuse a stock prompt).
+// function seedReviews(type, bank, attempts) {
+//   const reviews = loadReviews();
+//   const textsOf = (item) => [item.text, item.audioText, item.prompt].filter(Boolean);
+//   const owners = new Map();
+//   bank.forEach((item) => textsOf(item).forEach((t) => owners.set(t, (owners.get(t) || 0) + 1)));
+//   let seeded = 0;
+//   bank.forEach((item) => {
+//     const key = reviewKey(type, item);
+//     if (reviews[key]) return;
+//     const texts = textsOf(item).filter((t) => owners.get(t) === 1);
+//     const latest = attempts.filter((a) => a.type === type && (a.reviewKey ? a.reviewKey === key : texts.includes(a.question))).pop();
+//     if (!latest) return;
+//     reviews[key] = scheduleReview(null, latest.overall, new Date(latest.when).getTime());
+//     seeded += 1;
+//   });
+//   if (seeded) saveReviews(reviews);
+// }
+
+// // Index of the item to practise after `current`: the most overdue card first (weakest ease
+// // breaks ties), then items never tried, then whichever card falls due soonest.
+// function pickNextIndex(type, bank, current, now = Date.now()) {
+//   if (bank.length < 2) return 0;
+//   const reviews = loadReviews();
+//   const order = bank.map((_, k) => (current + 1 + k) % bank.length).filter((i) => i !== current);
+//   const cards = order.map((i) => ({ i, card: reviews[reviewKey(type, bank[i])] }));
+//   const due = cards.filter((c) => c.card && c.card.due <= now).sort((a, b) => a.card.due - b.card.due || a.card.ease - b.card.ease);
+//   if (due.length) return due[0].i;
+//   const fresh = cards.find((c) => !c.card);
+//   if (fresh) return fresh.i;
+//   return cards.slice().sort((a, b) => a.card.due - b.card.due)[0].i;
+// }
+
+// // Words `analyzeAlignment` marked missed or approx at least DRILL_LIMITS.minMisses times and
+// // more often than it marked them correct, worst first.
+// function drillWords(attempts) {
+//   const stats = new Map();
+//   attempts.forEach((a) => {
+//     (a.align && Array.isArray(a.align.details) ? a.align.details : []).forEach((d) => {
+//       const word = String(d.word).toLowerCase();
+//       const s = stats.get(word) || { word, misses: 0, hits: 0 };
+//       if (d.status === "correct") s.hits += 1; else s.misses += 1;
+//       stats.set(word, s);
+//     });
+//   });
+//   return [...stats.values()]
+//     .filter((s) => s.misses >= DRILL_LIMITS.minMisses && s.misses > s.hits)
+//     .sort((a, b) => (b.misses - b.hits) - (a.misses - a.hits) || a.word.localeCompare(b.word))
+//     .slice(0, DRILL_LIMITS.maxWords)
+//     .map((s) => s.word);
+// }
+
+// // Listen & Repeat items built from short sentences in the question banks that contain the
+// // drill words, preferring sentences that cover several. Words no sentence covers get a
+// // carrier sentence of their own.
+// function drillCorpus() {
+//   const corpus = ["RepeatSentence", "WriteFromDictation", "ReadAloud", "RetellLecture", "Listening"]
+//     .flatMap((type) => bankFor(type))
+//     .flatMap((item) => splitSentences(item.audioText || item.text))
+//     .filter((s) => tokenize(s).length <= DRILL_LIMITS.maxSentenceWords);
+//   return [...new Set(corpus)];
+// }
+
+// function buildDrillBank(words) {
+//   const unique = drillCorpus();
+//   const remaining = new Set(words);
+//   const items = [];
+//   while (remaining.size && items.length < DRILL_LIMITS.maxSentences) {
+//     let best = null;
+//     for (const text of unique) {
+//       const covers = [...new Set(tokenize(text))].filter((w) => remaining.has(w));
+//       if (covers.length && (!best || covers.length > best.words.length)) best = { text, words: covers };
+//     }
+//     if (!best) break;
+//     best.words.forEach((w) => remaining.delete(w));
+//     unique.splice(unique.indexOf(best.text), 1);
+//     items.push(best);
+//   }
+//   [...remaining].slice(0, DRILL_LIMITS.maxSentences - items.length).forEach((w) => {
+//     items.push({ text: `Please repeat the word ${w}, then say ${w} once more.`, words: [w] });
+//   });
+//   return items;
+// }
+
+// // Expected sounds (ARPAbet) that analyzePronunciation found replaced or dropped at least
+// // DRILL_LIMITS.minMisses times across attempts, most frequent first.
+// function drillSounds(attempts) {
+//   const counts = new Map();
+//   attempts.forEach((a) => {
+//     if (!a.align || !Array.isArray(a.align.ops)) return;
+//     analyzePronunciation(a.align).sounds.forEach((s) => counts.set(s.expected, (counts.get(s.expected) || 0) + s.count));
+//   });
+//   return [...counts.entries()]
+//     .filter(([, n]) => n >= DRILL_LIMITS.minMisses)
+//     .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+//     .slice(0, DRILL_LIMITS.maxSounds)
+//     .map(([phone]) => phone);
+// }
+
+// // The built-in SOUND_DRILLS sentences for a sound, topped up with question-bank sentences
+// // that use it most.
+// function soundDrillSentences(phone, limit = DRILL_LIMITS.sentencesPerSound) {
+//   const own = SOUND_DRILLS[phone] || [];
+//   const uses = (text) => tokenize(text).reduce((n, w) => n + pronounce(w).filter((p) => p === phone).length, 0);
+//   const extra = drillCorpus()
+//     .filter((text) => !own.includes(text))
+//     .map((text) => ({ text, n: uses(text) }))
+//     .filter((c) => c.n > 0)
+//     .sort((a, b) => b.n - a.n)
+//     .map((c) => c.text);
+//   return own.concat(extra).slice(0, limit);
+// }
+
+// // Listen & Repeat items for the sound drill, grouped by sound.
+// function buildSoundDrillBank(phones) {
+//   return phones.flatMap((phone) => soundDrillSentences(phone).map((text) => ({ text, sounds: [phone] })));
+// }
+
 // // ---------------------------------------------
 // // Sample data
 // // ---------------------------------------------
 // const samplePassage = `The Industrial Revolution was a period of profound change during the late eighteenth and early nineteenth centuries. It marked a shift from agrarian economies to industrialized production powered by new technologies, transforming work, transport, and society.`;
 
+// const readAloudBank = [
+//   { text: samplePassage },
+//   { text: "Coral reefs cover less than one percent of the ocean floor, yet they support roughly a quarter of all marine species. Rising sea temperatures cause bleaching, which weakens reefs and threatens the communities that depend on them for food and tourism." },
+//   { text: "Many universities now combine online lectures with small group seminars. This blended approach allows students to review material at their own pace while still benefiting from discussion, feedback, and collaboration with their peers." },
+// ];
+
 // const listenRepeatBank = [
 //   { text: "Technology enables collaboration across continents in real time." },
 //   { text: "Sustainable practices reduce waste and protect resources." },
@@ -796,22 +4716,409 @@
 //   },
 // ];
 
-// // ---------------------------------------------
-// // Small dev tests (run by adding ?runTests=1 to URL)
-// // ---------------------------------------------
-// function runDevTests() {
-//   try {
-//     console.group('PTE App — Dev tests');
-//     const a1 = analyzeAlignment('The quick brown fox', 'The quick brown fox');
-//     console.log('alignment same', a1);
-//     const a2 = analyzeAlignment('The quick brown fox', 'quick fox');
-//     console.log('alignment missing words', a2);
-//     const lev = levenshtein('kitten','sitting');
-//     console.log('levenshtein kitten->sitting', lev);
-//     const flu = estimateFluency('This is a short sentence for testing', 3);
-//     console.log('fluency', flu);
-//     console.groupEnd();
-//   } catch (e) { console.warn('Dev tests failed', e); }
-// }
-
-// try { if (typeof window !== 'undefined' && window.location && window.location.search && window.location.search.indexOf('runTests=1') !== -1) { runDevTests(); } } catch(e){}
+// const retellLectureBank = [
+//   {
+//     title: "Lecture: Why cities are hotter than the countryside",
+//     text: "Today I want to talk about the urban heat island effect. Cities are often several degrees warmer than the surrounding countryside, especially at night. There are three main reasons for this. First, materials such as concrete and asphalt absorb heat during the day and release it slowly after sunset. Second, cities have far fewer trees and less vegetation, so there is less shade and less cooling from evaporation. Third, human activity itself produces heat, from cars, air conditioners and factories. The consequences are serious. Higher temperatures increase energy use, worsen air pollution and can be dangerous for elderly people during heatwaves. So what can be done? Planners are experimenting with green roofs, reflective pavements and more parks. Some cities have planted thousands of street trees, and early results show that neighbourhoods with more canopy can be up to four degrees cooler. The key message is that the way we design cities has a direct effect on their climate, and relatively simple changes can make them healthier places to live.",
+//     features: [
+//       { label: "Topic: the urban heat island effect", terms: ["heat island", "urban heat", "cities are hotter", "cities are warmer", "warmer", "hotter"] },
+//       { label: "Concrete and asphalt absorb heat", terms: ["concrete", "asphalt", "absorb", "absorbs"] },
+//       { label: "Less vegetation and shade", terms: ["trees", "vegetation", "shade", "green"] },
+//       { label: "Heat from human activity", terms: ["cars", "air conditioners", "factories", "human activity"] },
+//       { label: "Consequences: energy, pollution, health", terms: ["energy", "pollution", "elderly", "health", "heatwaves", "dangerous"] },
+//       { label: "Solutions: green roofs, reflective surfaces, parks", terms: ["green roofs", "reflective", "parks", "planting", "planted"] },
+//       { label: "Conclusion: city design affects climate", terms: ["design", "planning", "planners", "climate"] },
+//     ],
+//   },
+//   {
+//     title: "Lecture: How sleep supports memory",
+//     text: "In this lecture we will look at the relationship between sleep and memory. For a long time, sleep was seen as a passive state in which the brain simply rests. We now know that this is not true. During deep sleep, the brain replays experiences from the day and transfers them from the hippocampus, which stores memories temporarily, to the cortex, where they are stored for the long term. This process is called consolidation. Experiments show that students who sleep after learning a list of words remember significantly more the next day than students who stay awake for the same period. Dreaming, or rapid eye movement sleep, seems to play a different role, helping us connect new information with what we already know and supporting creative problem solving. The practical implication for students is clear. Staying up all night before an exam is counterproductive, because it prevents the brain from consolidating what was studied. Regular sleep, even short naps, is one of the most effective learning strategies available.",
+//     features: [
+//       { label: "Topic: sleep and memory", terms: ["sleep", "memory", "memories"] },
+//       { label: "Sleep is active, not passive", terms: ["passive", "active", "not just rest"] },
+//       { label: "Hippocampus to cortex transfer", terms: ["hippocampus", "cortex", "transfer", "transfers", "long term"] },
+//       { label: "This is called consolidation", terms: ["consolidation", "consolidate", "consolidates"] },
+//       { label: "Experiment: sleepers remember more words", terms: ["experiment", "experiments", "remember more", "list of words", "students who sleep"] },
+//       { label: "REM sleep links ideas and creativity", terms: ["dreaming", "rem", "rapid eye movement", "creative", "creativity"] },
+//       { label: "Advice: don't stay up before exams", terms: ["exam", "all night", "naps", "nap", "regular sleep"] },
+//     ],
+//   },
+// ];
+
+// const shortQuestionBank = [
+//   { text: "What do we call the frozen water that falls from clouds in soft white flakes?", answers: ["snow", "snowflakes"] },
+//   { text: "How many days are there in a leap year?", answers: ["366", "three hundred sixty six", "three hundred and sixty six"] },
+//   { text: "Which instrument is used to look at stars and planets?", answers: ["telescope", "a telescope"] },
+//   { text: "What is the opposite of the word 'ancient'?", answers: ["modern", "new", "recent", "contemporary"] },
+//   { text: "Which organ pumps blood around the human body?", answers: ["heart", "the heart"] },
+//   { text: "What do you call a person who designs buildings?", answers: ["architect", "an architect"] },
+// ];
+
+// const swtBank = [
+//   {
+//     title: "The four-day working week",
+//     text: "Several companies in Europe and New Zealand have trialled a four-day working week in which employees receive their full salary while working around thirty-two hours. Supporters argue that shorter weeks reduce stress and burnout, and many trial participants reported better sleep and more time for family. Surprisingly, productivity in most participating firms stayed the same or even improved, as staff cut unnecessary meetings and focused on essential tasks. However, critics point out that the model is harder to apply in sectors such as healthcare and retail, where services must be available every day and extra staff would need to be hired. Economists also warn that the results of voluntary trials may be overly positive, because the companies that took part were already enthusiastic about the idea. Nevertheless, the trials have prompted governments and businesses to rethink the assumption that longer hours automatically lead to greater output.",
+//     keyPoints: [
+//       { label: "Four-day week trials with full pay", terms: ["four day", "four-day", "shorter week", "shorter working week", "32 hours", "thirty two hours"] },
+//       { label: "Benefits for wellbeing (less stress)", terms: ["stress", "burnout", "wellbeing", "well being", "health"] },
+//       { label: "Productivity maintained or improved", terms: ["productivity", "productive", "output"] },
+//       { label: "Hard to apply in some sectors", terms: ["healthcare", "retail", "sectors", "some industries", "difficult to apply", "harder to apply"] },
+//       { label: "Trial results may be biased", terms: ["biased", "voluntary", "overly positive", "enthusiastic", "critics"] },
+//     ],
+//   },
+//   {
+//     title: "Microplastics in the ocean",
+//     text: "Microplastics are fragments of plastic smaller than five millimetres. They come from the breakdown of larger items such as bottles and bags, as well as from synthetic clothing, which releases tiny fibres every time it is washed. Because they are so small, microplastics are eaten by plankton and fish and move up the food chain, and researchers have now found them in seafood, drinking water and even human blood. The long-term health effects are still uncertain, but laboratory studies suggest they may cause inflammation and carry toxic chemicals. Cleaning microplastics from the ocean is practically impossible, so scientists argue that the only realistic solution is to reduce plastic waste at its source, through better recycling, filters on washing machines and limits on single-use packaging.",
+//     keyPoints: [
+//       { label: "Microplastics are tiny plastic fragments", terms: ["microplastics", "microplastic", "tiny plastic", "small plastic"] },
+//       { label: "Sources: broken-down items and clothing fibres", terms: ["clothing", "fibres", "fibers", "bottles", "bags", "breakdown"] },
+//       { label: "They enter the food chain and humans", terms: ["food chain", "seafood", "fish", "humans", "human blood", "drinking water"] },
+//       { label: "Health effects uncertain but concerning", terms: ["health", "inflammation", "toxic", "uncertain"] },
+//       { label: "Solution: reduce plastic at the source", terms: ["reduce", "source", "recycling", "single use", "filters"] },
+//     ],
+//   },
+// ];
+
+// const essayBank = [
+//   {
+//     prompt: "Some people believe that university education should be free for all students, while others think students should pay for their own studies. Discuss both views and give your own opinion.",
+//     keyPoints: [
+//       { label: "Argument for free education (access, equality)", terms: ["free", "access", "equality", "equal opportunity", "afford"] },
+//       { label: "Benefit to society or economy", terms: ["society", "economy", "economic", "skilled", "workforce"] },
+//       { label: "Argument for students paying (cost, taxpayers)", terms: ["taxpayers", "tax", "cost", "expensive", "pay for"] },
+//       { label: "Students value what they pay for / responsibility", terms: ["value", "responsibility", "motivated", "commitment"] },
+//       { label: "Clear personal opinion", terms: ["in my opinion", "i believe", "i think", "in my view", "personally"] },
+//       { label: "Conclusion", terms: ["in conclusion", "to conclude", "to sum up", "overall"] },
+//     ],
+//   },
+//   {
+//     prompt: "Technology has made it easier for people to work from home. Do the advantages of remote work outweigh the disadvantages?",
+//     keyPoints: [
+//       { label: "Advantages: flexibility, no commuting", terms: ["flexibility", "flexible", "commute", "commuting", "travel time"] },
+//       { label: "Advantages: productivity or cost savings", terms: ["productivity", "productive", "save money", "savings", "cost"] },
+//       { label: "Disadvantages: isolation, loneliness", terms: ["isolation", "isolated", "lonely", "loneliness"] },
+//       { label: "Disadvantages: communication, work-life boundaries", terms: ["communication", "collaboration", "boundaries", "work life balance", "distractions"] },
+//       { label: "Clear position on which outweighs", terms: ["outweigh", "outweighs", "in my opinion", "i believe", "in my view"] },
+//       { label: "Conclusion", terms: ["in conclusion", "to conclude", "to sum up", "overall"] },
+//     ],
+//   },
+// ];
+
+// const rwBlanksBank = [
+//   {
+//     title: "The origins of coffee",
+//     text: "Coffee is believed to have been {0} in Ethiopia, where legend says a goat herder noticed his animals became unusually {1} after eating certain berries. By the fifteenth century, coffee was being {2} in Yemen, and from there it spread {3} the Middle East, Europe and eventually the Americas.",
+//     blanks: [
+//       { options: ["discovered", "invented", "produced", "created"], answer: "discovered" },
+//       { options: ["sleepy", "energetic", "aggressive", "hungry"], answer: "energetic" },
+//       { options: ["cultivated", "abandoned", "prohibited", "imported"], answer: "cultivated" },
+//       { options: ["throughout", "beneath", "despite", "among"], answer: "throughout" },
+//     ],
+//     explain: "“Cultivated” collocates with crops; “throughout” fits a list of regions.",
+//   },
+//   {
+//     title: "Urban green spaces",
+//     text: "Research consistently shows that access to parks and green spaces has a {0} effect on mental health. Residents who live near trees report lower levels of stress, and some studies have {1} a link between green views and faster recovery in hospital patients. As cities grow denser, planners face the {2} of protecting these spaces from development.",
+//     blanks: [
+//       { options: ["positive", "positively", "position", "posit"], answer: "positive" },
+//       { options: ["found", "founded", "find", "finding"], answer: "found" },
+//       { options: ["challenge", "challenging", "challenged", "challenger"], answer: "challenge" },
+//     ],
+//     explain: "Each gap needs a particular part of speech: adjective, past participle, noun.",
+//   },
+// ];
+
+// const readingBlanksBank = [
+//   {
+//     title: "Bees and agriculture",
+//     text: "Bees play an {0} role in agriculture because many crops depend on them for {1}. In recent decades, bee populations have {2} sharply, a trend scientists link to pesticides, disease and the loss of {3}.",
+//     answers: ["essential", "pollination", "declined", "habitat"],
+//     distractors: ["optional", "irrigation", "expanded"],
+//     explain: "Pesticides and habitat loss are the usual causes cited for falling bee numbers.",
+//   },
+//   {
+//     title: "Sleep and learning",
+//     text: "Students often {0} sleep before exams, yet research suggests this is counterproductive. During sleep the brain {1} new information, making it easier to {2} later.",
+//     answers: ["sacrifice", "consolidates", "recall"],
+//     distractors: ["increase", "forgets", "ignore"],
+//   },
+// ];
+
+// // Paragraphs are listed in the correct order; the panel shuffles them.
+// const reorderBank = [
+//   {
+//     title: "How a bill becomes law",
+//     paragraphs: [
+//       "A proposed law, known as a bill, is first introduced in one house of parliament.",
+//       "It is then examined in detail by a committee, which may suggest amendments.",
+//       "After the committee stage, the full house debates the bill and votes on it.",
+//       "If it passes, the bill is sent to the other house, where the process is repeated.",
+//       "Finally, once both houses agree, the bill receives formal approval and becomes law.",
+//     ],
+//     explain: "Sequence markers (first, then, after, finally) and the bill's journey give the order.",
+//   },
+//   {
+//     title: "The history of the printing press",
+//     paragraphs: [
+//       "Before the fifteenth century, books in Europe were copied by hand, usually by monks.",
+//       "This meant that books were rare and extremely expensive.",
+//       "Around 1440, Johannes Gutenberg developed a press that used movable metal type.",
+//       "His invention allowed books to be produced quickly and cheaply for the first time.",
+//     ],
+//   },
+// ];
+
+// const readingMcmaBank = [
+//   {
+//     title: "Remote learning",
+//     passage: "The rapid shift to online learning during the pandemic revealed both opportunities and problems. Many universities discovered that recorded lectures allowed students to study at their own pace, and attendance at some online seminars actually increased. However, students without reliable internet access or a quiet place to study fell behind, and lecturers reported that it was harder to judge whether students had understood the material.",
+//     question: "Which of the following are stated in the passage? Select all that apply.",
+//     options: [
+//       { text: "Recorded lectures let students study at their own pace.", correct: true },
+//       { text: "Online seminars were always less popular than in-person ones.", correct: false },
+//       { text: "Students without reliable internet were disadvantaged.", correct: true },
+//       { text: "Lecturers found it harder to check understanding.", correct: true },
+//       { text: "Universities plan to stop in-person teaching.", correct: false },
+//     ],
+//     explain: "The passage mentions self-paced study, the digital divide and difficulty checking understanding.",
+//   },
+// ];
+
+// const dictationBank = [
+//   { title: "Library hours", text: "The library will remain open until midnight during the examination period." },
+//   { title: "Assignment feedback", text: "Students should submit their assignments before the end of the week." },
+//   { title: "Field research", text: "Researchers collected samples from several rivers across the region." },
+//   { title: "Lecture notes", text: "Detailed lecture notes are available on the university website." },
+//   { title: "Climate data", text: "Global temperatures have risen steadily over the past century." },
+// ];
+
+// // Words in [shown|spoken] brackets are displayed one way and read aloud another.
+// const highlightBank = [
+//   {
+//     title: "Urban gardens",
+//     text: "Community gardens have become [increasingly|remarkably] popular in large cities. They provide fresh produce for local residents and create [quiet|green] spaces where neighbours can meet. Some studies suggest that gardening also [reduces|lowers] stress and improves mental health.",
+//   },
+//   {
+//     title: "Sleep and memory",
+//     text: "Scientists have long [believed|suspected] that sleep plays an important role in memory. During deep sleep, the brain [replays|reviews] information gathered during the day and [transfers|moves] it into long-term storage. Students who sleep well before an exam often perform better.",
+//   },
+// ];
+
+// // Images are inline SVG so the bank works offline; an item may use `src` (URL) instead of `svg`.
+// const describeImageBank = [
+//   {
+//     title: "Share of electricity from renewables, 2010 vs 2020",
+//     kind: "chart",
+//     svg: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 260" font-family="Arial" font-size="12">
+//   <text x="200" y="20" text-anchor="middle" font-size="14" font-weight="bold">Electricity from renewables (%)</text>
+//   <line x1="50" y1="220" x2="380" y2="220" stroke="#333"/><line x1="50" y1="40" x2="50" y2="220" stroke="#333"/>
+//   <text x="44" y="224" text-anchor="end">0</text><text x="44" y="134" text-anchor="end">40</text><text x="44" y="44" text-anchor="end">80</text>
+//   <rect x="70" y="166" width="30" height="54" fill="#93c5fd"/><rect x="102" y="94" width="30" height="126" fill="#2563eb"/>
+//   <rect x="170" y="130" width="30" height="90" fill="#93c5fd"/><rect x="202" y="67" width="30" height="153" fill="#2563eb"/>
+//   <rect x="270" y="202" width="30" height="18" fill="#93c5fd"/><rect x="302" y="180" width="30" height="40" fill="#2563eb"/>
+//   <text x="101" y="238" text-anchor="middle">Germany</text><text x="201" y="238" text-anchor="middle">Brazil</text><text x="301" y="238" text-anchor="middle">Japan</text>
+//   <rect x="270" y="40" width="12" height="12" fill="#93c5fd"/><text x="288" y="50">2010</text>
+//   <rect x="320" y="40" width="12" height="12" fill="#2563eb"/><text x="338" y="50">2020</text>
+// </svg>`,
+//     features: [
+//       { label: "Topic: renewable electricity share", terms: ["renewable", "renewables", "green energy", "clean energy"] },
+//       { label: "Compares 2010 and 2020", terms: ["2010", "2020", "ten years", "decade"] },
+//       { label: "Overall upward trend", terms: ["increase", "increased", "rise", "rose", "grew", "growth", "higher"] },
+//       { label: "Brazil has the highest share", terms: ["brazil"] },
+//       { label: "Japan has the lowest share", terms: ["japan", "lowest", "smallest"] },
+//       { label: "Germany more than doubled", terms: ["germany", "doubled", "more than double"] },
+//     ],
+//     sample: "The bar chart compares the share of electricity generated from renewables in Germany, Brazil and Japan in 2010 and 2020. All three countries increased their share over the decade. Brazil had the highest proportion, rising from about forty to nearly seventy percent, while Germany more than doubled. Japan remained the lowest at under twenty percent. Overall, renewable electricity grew everywhere.",
+//   },
+//   {
+//     title: "Riverside town, 1990 and today",
+//     kind: "map",
+//     svg: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 420 240" font-family="Arial" font-size="11">
+//   <text x="105" y="18" text-anchor="middle" font-size="13" font-weight="bold">1990</text>
+//   <text x="315" y="18" text-anchor="middle" font-size="13" font-weight="bold">Today</text>
+//   <rect x="10" y="28" width="190" height="200" fill="#f0fdf4" stroke="#333"/><rect x="220" y="28" width="190" height="200" fill="#f0fdf4" stroke="#333"/>
+//   <path d="M10 150 C70 130 130 170 200 150 L200 170 C130 190 70 150 10 170Z" fill="#60a5fa"/>
+//   <path d="M220 150 C280 130 340 170 410 150 L410 170 C340 190 280 150 220 170Z" fill="#60a5fa"/>
+//   <rect x="30" y="50" width="60" height="40" fill="#fde68a" stroke="#333"/><text x="60" y="74" text-anchor="middle">Farmland</text>
+//   <rect x="110" y="50" width="70" height="40" fill="#d1d5db" stroke="#333"/><text x="145" y="74" text-anchor="middle">Factory</text>
+//   <rect x="240" y="50" width="60" height="40" fill="#fca5a5" stroke="#333"/><text x="270" y="74" text-anchor="middle">Housing</text>
+//   <rect x="320" y="50" width="70" height="40" fill="#bbf7d0" stroke="#333"/><text x="355" y="74" text-anchor="middle">Park</text>
+//   <line x1="300" y1="140" x2="300" y2="180" stroke="#333" stroke-width="6"/><text x="310" y="200">New bridge</text>
+//   <rect x="60" y="190" width="80" height="25" fill="#e5e7eb" stroke="#333"/><text x="100" y="207" text-anchor="middle">Market</text>
+//   <rect x="270" y="190" width="90" height="25" fill="#c7d2fe" stroke="#333"/><text x="315" y="207" text-anchor="middle">Shopping centre</text>
+// </svg>`,
+//     features: [
+//       { label: "Compares 1990 with today", terms: ["1990", "today", "now", "present"] },
+//       { label: "Farmland replaced by housing", terms: ["housing", "houses", "homes", "residential"] },
+//       { label: "Factory became a park", terms: ["park", "green space"] },
+//       { label: "A new bridge crosses the river", terms: ["bridge"] },
+//       { label: "Market replaced by a shopping centre", terms: ["shopping centre", "shopping center", "mall"] },
+//       { label: "Overall: more residential and leisure use", terms: ["developed", "development", "modern", "changed", "transformed"] },
+//     ],
+//     sample: "The maps show how a riverside town has changed since 1990. The farmland in the north-west has been replaced by housing, and the old factory has become a park. A new bridge now crosses the river, and the market in the south has been replaced by a shopping centre. Overall, the town has been transformed from an industrial and agricultural area into a more residential and leisure-focused one.",
+//   },
+//   {
+//     title: "How drinking water is treated",
+//     kind: "process",
+//     svg: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 440 160" font-family="Arial" font-size="11">
+//   <defs><marker id="a" markerWidth="8" markerHeight="8" refX="6" refY="3" orient="auto"><path d="M0 0 L6 3 L0 6Z" fill="#333"/></marker></defs>
+//   <text x="220" y="20" text-anchor="middle" font-size="14" font-weight="bold">Water treatment process</text>
+//   <g stroke="#333"><rect x="10" y="60" width="70" height="50" rx="8" fill="#bfdbfe"/><rect x="100" y="60" width="70" height="50" rx="8" fill="#c7d2fe"/>
+//   <rect x="190" y="60" width="70" height="50" rx="8" fill="#ddd6fe"/><rect x="280" y="60" width="70" height="50" rx="8" fill="#fbcfe8"/>
+//   <rect x="370" y="60" width="60" height="50" rx="8" fill="#bbf7d0"/></g>
+//   <g text-anchor="middle"><text x="45" y="82">1. Intake</text><text x="45" y="96">from river</text>
+//   <text x="135" y="82">2. Screening</text><text x="135" y="96">debris out</text>
+//   <text x="225" y="82">3. Filtration</text><text x="225" y="96">sand + gravel</text>
+//   <text x="315" y="82">4. Chlorine</text><text x="315" y="96">disinfection</text>
+//   <text x="400" y="82">5. Storage</text><text x="400" y="96">to homes</text></g>
+//   <g stroke="#333" marker-end="url(#a)"><line x1="80" y1="85" x2="98" y2="85"/><line x1="170" y1="85" x2="188" y2="85"/><line x1="260" y1="85" x2="278" y2="85"/><line x1="350" y1="85" x2="368" y2="85"/></g>
+// </svg>`,
+//     features: [
+//       { label: "Topic: treating drinking water", terms: ["water treatment", "drinking water", "treated", "treatment", "purified"] },
+//       { label: "Five stages", terms: ["five stages", "five steps", "five", "stages", "steps"] },
+//       { label: "Starts with intake from a river", terms: ["river", "intake"] },
+//       { label: "Screening removes debris", terms: ["screening", "screened", "debris"] },
+//       { label: "Filtration through sand and gravel", terms: ["filtration", "filtered", "filter", "sand", "gravel"] },
+//       { label: "Chlorine disinfection", terms: ["chlorine", "disinfected", "disinfection"] },
+//       { label: "Stored and supplied to homes", terms: ["storage", "stored", "homes", "households"] },
+//     ],
+//     sample: "The diagram illustrates the five stages of treating drinking water. First, water is taken in from a river. It is then screened to remove debris, before being filtered through sand and gravel. Next, chlorine is added to disinfect it. Finally, the clean water is stored and supplied to homes.",
+//   },
+// ];
+
+// const sstBank = [
+//   {
+//     title: "Lecture: The psychology of habits",
+//     text: "Psychologists estimate that around forty percent of what we do each day is driven by habit rather than conscious decision. A habit forms through a simple loop. First there is a cue, such as a time of day or a place. Then comes the routine, the behaviour itself. Finally there is a reward, which tells the brain that the loop is worth remembering. Over time the brain automates the routine, which saves mental effort but also makes bad habits hard to break. Research suggests that trying to rely on willpower alone rarely works. A more effective strategy is to keep the same cue and reward but replace the routine. For example, someone who snacks when stressed might go for a short walk instead. Changing the environment also helps: people eat less sugar simply when sweets are kept out of sight. The lesson is that habits are not fixed. By understanding the loop, we can redesign it.",
+//     keyPoints: [
+//       { label: "Much daily behaviour is habit", terms: ["forty percent", "40 percent", "habit", "habits", "automatic"] },
+//       { label: "The habit loop: cue, routine, reward", terms: ["cue", "routine", "reward", "loop"] },
+//       { label: "Automation saves effort but makes habits hard to break", terms: ["automate", "automates", "automatic", "hard to break", "difficult to break", "mental effort"] },
+//       { label: "Willpower alone rarely works", terms: ["willpower", "will power"] },
+//       { label: "Replace the routine, keep cue and reward", terms: ["replace", "change the routine", "substitute", "walk"] },
+//       { label: "Changing the environment helps", terms: ["environment", "out of sight", "surroundings"] },
+//     ],
+//   },
+//   {
+//     title: "Lecture: Why languages disappear",
+//     text: "Of the roughly seven thousand languages spoken in the world today, linguists expect about half to disappear by the end of this century. A language usually dies not because its speakers die, but because they gradually switch to a more dominant language. Parents may believe that speaking a national or global language will give their children better jobs, so the older language is no longer passed on. Once children stop learning it, the language is said to be endangered. This matters because each language contains unique knowledge, for example about local plants, medicine and history, which is often lost with it. However, there are successful revival programmes. In Wales and New Zealand, teaching children in Welsh and Maori at school, together with radio and television in those languages, has increased the number of young speakers. The key factor seems to be giving a language a practical role in everyday life.",
+//     keyPoints: [
+//       { label: "About half of 7,000 languages may disappear", terms: ["half", "seven thousand", "7000", "disappear", "die out", "extinct"] },
+//       { label: "Speakers switch to a dominant language", terms: ["dominant", "switch", "global language", "national language"] },
+//       { label: "Not passed on to children (endangered)", terms: ["children", "passed on", "endangered", "next generation"] },
+//       { label: "Unique knowledge is lost", terms: ["knowledge", "plants", "medicine", "history", "culture"] },
+//       { label: "Revival in Wales and New Zealand", terms: ["wales", "welsh", "new zealand", "maori", "revival", "revive"] },
+//       { label: "Languages need an everyday practical role", terms: ["everyday", "daily life", "practical", "school", "media"] },
+//     ],
+//   },
+// ];
+
+// const hcsBank = [
+//   {
+//     title: "Urban beekeeping",
+//     text: "Beekeeping has become surprisingly popular in cities such as London and New York, where hives now sit on rooftops and balconies. City bees often produce more honey than rural ones, because parks and gardens offer a wide variety of flowers and fewer pesticides. However, some ecologists are worried. They point out that honeybees compete with wild bees for the same limited flowers, and in some districts there may now be too many hives. They argue that planting more flowers would do more for pollinators than adding more hives.",
+//     options: [
+//       { text: "City beekeeping is growing and can be productive because urban flowers are varied and less sprayed, but ecologists warn that too many hives may harm wild bees, and that planting flowers would help pollinators more.", correct: true },
+//       { text: "Bees in cities produce less honey than rural bees because of pollution, so ecologists recommend moving hives from rooftops back to the countryside.", correct: false },
+//       { text: "London and New York have banned rooftop hives after ecologists showed that honeybees spread disease to wild bees in city parks.", correct: false },
+//       { text: "Urban beekeeping is popular mainly because city councils pay residents to keep hives, and ecologists support adding more hives in every district.", correct: false },
+//     ],
+//     explain: "The talk covers both the benefit (more honey from varied, less sprayed flowers) and the concern (competition with wild bees).",
+//   },
+//   {
+//     title: "Night-time light",
+//     text: "Artificial light at night has increased dramatically over the last century, and it affects far more than astronomers' view of the stars. Many birds migrate at night and navigate using the moon and stars, so brightly lit buildings can confuse them and cause collisions. Insects are drawn to street lamps and die in large numbers, which in turn reduces food for bats and birds. Even humans are affected, as exposure to light late in the evening can disrupt sleep. Simple changes, such as shielding lamps and using warmer colours, can reduce these effects without making streets unsafe.",
+//     options: [
+//       { text: "Astronomers have persuaded cities to switch off street lights at night, which has improved human sleep and saved energy.", correct: false },
+//       { text: "Growing artificial light at night disorients migrating birds, kills insects and the animals that feed on them, and disturbs human sleep, but shielded, warmer lighting can reduce the harm.", correct: true },
+//       { text: "Artificial light mainly affects insects, which are attracted to warm-coloured lamps; birds and humans are largely unaffected.", correct: false },
+//       { text: "Street lighting should be made brighter to prevent bird collisions with buildings and to keep streets safe for people walking at night.", correct: false },
+//     ],
+//     explain: "Only the correct summary mentions birds, insects, humans and the proposed solution.",
+//   },
+// ];
+
+// // `text` is the recording up to the missing word; the beep stands in for it.
+// const smwBank = [
+//   {
+//     title: "Exam preparation",
+//     text: "Research on memory shows that spreading study sessions over several weeks is far more effective than cramming the night before. Students who review material a little every day remember more and feel less anxious. In short, when it comes to learning, little and often beats",
+//     options: [
+//       { text: "last minute", correct: false },
+//       { text: "all at once", correct: true },
+//       { text: "every day", correct: false },
+//       { text: "a good teacher", correct: false },
+//     ],
+//     explain: "The contrast is between regular short sessions and cramming everything at once.",
+//   },
+//   {
+//     title: "Coffee's journey",
+//     text: "Coffee was first drunk in Yemen in the fifteenth century. From there it spread to Turkey, then to Europe, where coffee houses became meeting places for merchants and writers. Later, European colonists planted it in Asia and South America. Today, Brazil produces more coffee than any other",
+//     options: [
+//       { text: "country", correct: true },
+//       { text: "drink", correct: false },
+//       { text: "merchant", correct: false },
+//       { text: "century", correct: false },
+//     ],
+//   },
+//   {
+//     title: "Recycling plastics",
+//     text: "Only a small share of the plastic produced each year is actually recycled. Many items are made of mixed materials that machines cannot separate, and contaminated packaging is often rejected. For this reason, many experts argue that the most effective approach is not better recycling but simply using less",
+//     options: [
+//       { text: "energy", correct: false },
+//       { text: "machines", correct: false },
+//       { text: "plastic", correct: true },
+//       { text: "recycling", correct: false },
+//     ],
+//   },
+// ];
+
+// // Keyed by task type; bankFor() adds the items of enabled content packs.
+// const BUILTIN_BANKS = {
+//   ReadAloud: readAloudBank,
+//   RepeatSentence: listenRepeatBank,
+//   DescribeImage: describeImageBank,
+//   RetellLecture: retellLectureBank,
+//   AnswerShortQuestion: shortQuestionBank,
+//   SummarizeWrittenText: swtBank,
+//   Essay: essayBank,
+//   ReadingWritingFIB: rwBlanksBank,
+//   ReadingFIB: readingBlanksBank,
+//   ReorderParagraphs: reorderBank,
+//   ReadingMCMA: readingMcmaBank,
+//   SummarizeSpokenText: sstBank,
+//   HighlightCorrectSummary: hcsBank,
+//   Listening: listeningBank,
+//   SelectMissingWord: smwBank,
+//   WriteFromDictation: dictationBank,
+//   HighlightIncorrectWords: highlightBank,
+// };
+
+// // Sound drill sentences, keyed by the ARPAbet symbol scoring/lexicon.js uses for the sound.
+// const SOUND_DRILLS = {
+//   TH: ["I think the three thick books are worth thirty pounds.", "Thank you for the thoughtful gift on Thursday."],
+//   DH: ["This is the weather that they mentioned the other day.", "Their father and mother gathered together there."],
+//   V: ["Vivian visited a village in the valley every November.", "We have seven very heavy vans to move."],
+//   W: ["We went for a walk in the woods on Wednesday.", "William wondered why the wind was so wild."],
+//   R: ["The river runs right through the rural region.", "Rachel wrote a report about rising rents."],
+//   L: ["Lily left a little lamp on the library table.", "Learning languages helps people live and travel well."],
+//   Z: ["His zoo has zebras, lions and lizards.", "The roses were easy to choose because of their size."],
+//   SH: ["She should share the shells she found on the shore.", "The nation's fishing industry shipped fresh fish."],
+//   CH: ["The teacher checked each chapter of the children's research.", "Which chair did Charlie choose for the kitchen?"],
+//   JH: ["The judge enjoyed a large orange juice in June.", "Jenny joined the college geography project."],
+//   IH: ["This city is big and busy in winter.", "Will this little ship sink in the river?"],
+//   IY: ["Please keep the green seeds in the deep freezer.", "We need to reach the beach by three."],
+//   AE: ["The black cat sat on a flat mat.", "Pack the map and the bag for the camping trip."],
+//   EH: ["Ten red pens fell on the desk.", "Let Ben help them get the best bread."],
+//   F: ["Five friends found fresh fish for the feast.", "Fifty families live in the fourth floor flats."],
+//   P: ["Peter packed paper plates for the picnic in the park.", "Please put the pepper in the pot."],
+//   B: ["Bob bought a big blue bag of beans.", "The baby's bath is beside the bed."],
+//   NG: ["The king is singing a long song in the morning.", "Running and swimming bring strong young lungs."],
+//   S: ["Sam sells seven sweet cakes at the summer sale.", "The students sat still in the science class."],
+//   UH: ["Look at the good book by the wooden shelf.", "She took a good look at the cook's notes."],
+//   UW: ["The moon rose over the blue lagoon at noon.", "Two students moved to a new school in June."],
+//   ER: ["The girl was the first to turn in her work.", "The nurse heard the early birds chirp."],
+//   D: ["David decided to read the old road sign.", "The red bird landed beside the wide pond."],
+//   T: ["Tom told Tina to wait at the gate at ten.", "The last test started at eight."],
+//   K: ["Kate kept the black cake in the kitchen.", "Take a quick look at the clock."],
+// };
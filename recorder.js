@@ -0,0 +1,260 @@
+// Microphone recorder shared by the React app (index.jsx) and the plain page (script.js).
+// Wraps getUserMedia + MediaRecorder with device selection, a live input level, clipping and
+// too-quiet warnings, pause tracking and auto-stop on silence, and turns every failure into
+// one user-facing message. decodeAudioBlob turns a finished recording into samples for
+// scoring/index.js. Loads as a CommonJS module or as the `PTERecorder` global.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.PTERecorder = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Tried in order. Chrome and Firefox record WebM/Opus; Safari only produces MP4.
+  const MIME_TYPES = ["audio/webm;codecs=opus", "audio/webm", "audio/mp4", "audio/ogg;codecs=opus", "audio/ogg"];
+
+  // Levels are on the raw -1..1 sample scale, measured every FRAME_MS.
+  const LEVELS = {
+    silenceRms: 0.015, // quieter frames count as silence
+    quietRms: 0.04, // loudest frame of the first quietCheckSec below this ➜ "quiet" warning
+    quietCheckSec: 3,
+    clipPeak: 0.98, // a sample at or above this is clipped
+    clipFrames: 3, // consecutive clipped frames before the "clipping" warning
+    minPauseSec: 0.5, // shorter silences between words are not pauses
+    meterRms: 0.3, // RMS shown as a full meter
+  };
+  const FRAME_MS = 50;
+
+  function pickMimeType() {
+    if (typeof MediaRecorder === "undefined" || typeof MediaRecorder.isTypeSupported !== "function") return "";
+    return MIME_TYPES.find((t) => MediaRecorder.isTypeSupported(t)) || "";
+  }
+
+  function describeError(e) {
+    const name = e && e.name ? e.name : "";
+    if (name === "NotAllowedError" || name === "SecurityError" || name === "PermissionDeniedError") {
+      return "Microphone access denied. Please allow microphone permissions in your browser settings.";
+    }
+    if (name === "NotFoundError" || name === "DevicesNotFoundError") return "No microphone found. Please connect a microphone and try again.";
+    if (name === "NotReadableError" || name === "TrackStartError") return "The microphone is busy in another application. Close it and try again.";
+    if (name === "NotSupportedError") return "This browser can't record audio. Use a current Chrome, Edge, Firefox or Safari.";
+    return "Microphone permission denied or unavailable.";
+  }
+
+  function unsupported() {
+    const e = new Error("Audio recording is not supported in this browser");
+    e.name = "NotSupportedError";
+    return e;
+  }
+
+  // Audio inputs as [{ deviceId, label }]. Browsers hide labels until the microphone has been
+  // allowed once, so unlabeled devices get a numbered name.
+  async function listMicrophones() {
+    if (typeof navigator === "undefined" || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter((d) => d.kind === "audioinput")
+      .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Microphone ${i + 1}` }));
+  }
+
+  // A saved device that has since been unplugged falls back to the default input.
+  async function openStream(deviceId) {
+    if (deviceId) {
+      try {
+        return await navigator.mediaDevices.getUserMedia({ audio: { deviceId: { exact: deviceId } } });
+      } catch (e) {
+        if (e.name !== "OverconstrainedError" && e.name !== "NotFoundError") throw e;
+        console.warn("Selected microphone unavailable, using the default input", e);
+      }
+    }
+    return navigator.mediaDevices.getUserMedia({ audio: true });
+  }
+
+  // Decode a recording to mono Float32 samples at the given rate.
+  async function decodeAudioBlob(blob, sampleRate) {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) throw new Error("Web Audio not supported in this browser");
+    const ctx = new Ctx();
+    try {
+      const decoded = await ctx.decodeAudioData(await blob.arrayBuffer());
+      const offline = new OfflineAudioContext(1, Math.max(1, Math.ceil(decoded.duration * sampleRate)), sampleRate);
+      const src = offline.createBufferSource();
+      src.buffer = decoded;
+      src.connect(offline.destination);
+      src.start();
+      const rendered = await offline.startRendering();
+      return rendered.getChannelData(0);
+    } finally {
+      try { ctx.close(); } catch (e) { /* already closed */ }
+    }
+  }
+
+  // Callbacks:
+  //   onLevel({ level, seconds, silentSec })  every frame; level is 0..1 for a meter
+  //   onWarning(kind)                         "clipping", "quiet", or null when it clears
+  //   onStop(result)                          { blob, mimeType, durationSec, pauses, reason, warning }
+  //   onError(message, error)                 start failed; message is ready to show
+  // `reason` is "manual", "time" (maxSec reached) or "silence" (silenceStopSec without speech).
+  // `pauses` lists silences of at least LEVELS.minPauseSec between speech, as { start, end } seconds.
+  function createRecorder(options) {
+    const { deviceId = "", maxSec = 0, silenceStopSec = 0, onLevel, onWarning, onStop, onError } = options || {};
+    let stream = null;
+    let media = null;
+    let ctx = null;
+    let timer = null;
+    let chunks = [];
+    let startedAt = 0;
+    let stopping = null;
+    let resolveStop = null;
+    let reason = "manual";
+    let cancelled = false;
+    const track = { heard: false, silentSince: 0, pauses: [], loudest: 0, quietChecked: false, clipRun: 0, warning: null };
+
+    function warn(kind) {
+      if (track.warning === kind) return;
+      track.warning = kind;
+      if (onWarning) onWarning(kind);
+    }
+
+    function makeMeter() {
+      const AudioCtx = typeof window !== "undefined" && (window.AudioContext || window.webkitAudioContext);
+      if (!AudioCtx) return null;
+      try {
+        ctx = new AudioCtx();
+        const analyser = ctx.createAnalyser();
+        analyser.fftSize = 2048;
+        ctx.createMediaStreamSource(stream).connect(analyser);
+        const buf = new Float32Array(analyser.fftSize);
+        return () => {
+          analyser.getFloatTimeDomainData(buf);
+          let sum = 0;
+          let peak = 0;
+          for (let i = 0; i < buf.length; i++) {
+            const v = Math.abs(buf[i]);
+            sum += v * v;
+            if (v > peak) peak = v;
+          }
+          return { rms: Math.sqrt(sum / buf.length), peak };
+        };
+      } catch (e) {
+        console.warn("Input level meter unavailable", e);
+        return null;
+      }
+    }
+
+    function frame(read) {
+      const seconds = (Date.now() - startedAt) / 1000;
+      if (maxSec && seconds >= maxSec) { stop("time"); return; }
+      if (!read) { if (onLevel) onLevel({ level: 0, seconds, silentSec: 0 }); return; }
+
+      const { rms, peak } = read();
+      track.clipRun = peak >= LEVELS.clipPeak ? track.clipRun + 1 : 0;
+      if (track.clipRun >= LEVELS.clipFrames) warn("clipping");
+      if (!track.quietChecked) {
+        track.loudest = Math.max(track.loudest, rms);
+        if (seconds >= LEVELS.quietCheckSec) {
+          track.quietChecked = true;
+          if (track.loudest < LEVELS.quietRms) warn("quiet");
+        }
+      } else if (track.warning === "quiet" && rms >= LEVELS.quietRms) {
+        warn(null);
+      }
+
+      // silentSince is the last frame with speech (or the start), so the gap is the current silence
+      const loud = rms >= LEVELS.silenceRms;
+      if (loud) {
+        if (track.heard && seconds - track.silentSince >= LEVELS.minPauseSec) track.pauses.push({ start: track.silentSince, end: seconds });
+        track.heard = true;
+        track.silentSince = seconds;
+      }
+      const silentSec = loud ? 0 : seconds - track.silentSince;
+      if (onLevel) onLevel({ level: Math.min(1, rms / LEVELS.meterRms), seconds, silentSec });
+      if (silenceStopSec && silentSec >= silenceStopSec) stop("silence");
+    }
+
+    function release() {
+      clearInterval(timer);
+      timer = null;
+      if (stream) {
+        stream.getTracks().forEach((t) => { try { t.stop(); } catch (e) { /* already stopped */ } });
+        stream = null;
+      }
+      if (ctx) {
+        ctx.close().catch(() => {});
+        ctx = null;
+      }
+    }
+
+    function finish() {
+      const mimeType = (media && media.mimeType) || pickMimeType() || "audio/webm";
+      const result = {
+        blob: new Blob(chunks, { type: mimeType }),
+        mimeType,
+        durationSec: (Date.now() - startedAt) / 1000,
+        pauses: track.pauses.slice(),
+        reason,
+        warning: track.warning,
+      };
+      release();
+      media = null;
+      if (!cancelled && onStop) {
+        try { onStop(result); } catch (e) { console.warn("Recorder onStop handler failed", e); }
+      }
+      if (resolveStop) resolveStop(cancelled ? null : result);
+    }
+
+    async function start() {
+      try {
+        if (typeof navigator === "undefined" || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) throw unsupported();
+        if (typeof MediaRecorder === "undefined") throw unsupported();
+        stream = await openStream(deviceId);
+        if (cancelled) { release(); return false; }
+        const mimeType = pickMimeType();
+        media = mimeType ? new MediaRecorder(stream, { mimeType }) : new MediaRecorder(stream);
+        chunks = [];
+        media.ondataavailable = (e) => { if (e.data && e.data.size > 0) chunks.push(e.data); };
+        media.onstop = finish;
+        media.start();
+        startedAt = Date.now();
+        const read = makeMeter();
+        timer = setInterval(() => frame(read), FRAME_MS);
+        return true;
+      } catch (e) {
+        console.warn("Recording failed to start", e);
+        release();
+        media = null;
+        if (!cancelled && onError) onError(describeError(e), e);
+        return false;
+      }
+    }
+
+    // Resolves with the result once the recorder has flushed (null if nothing was recording).
+    function stop(why) {
+      if (stopping) return stopping;
+      // still waiting for the microphone: start() sees this and gives the stream back
+      if (!media || media.state === "inactive") { cancelled = true; release(); return Promise.resolve(null); }
+      reason = why || "manual";
+      clearInterval(timer);
+      timer = null;
+      stopping = new Promise((resolve) => {
+        resolveStop = resolve;
+        try { media.stop(); } catch (e) { console.warn("MediaRecorder stop failed", e); release(); resolve(null); }
+      });
+      return stopping;
+    }
+
+    // Stops and discards the recording without calling onStop.
+    function cancel() {
+      cancelled = true;
+      return stop("manual");
+    }
+
+    return {
+      start,
+      stop: () => stop("manual"),
+      cancel,
+      get recording() { return !!media && media.state === "recording"; },
+    };
+  }
+
+  return { createRecorder, listMicrophones, decodeAudioBlob, pickMimeType, describeError, LEVELS };
+});
@@ -0,0 +1,624 @@
+// Speaking scores shared by the React app (index.jsx) and the plain page (script.js):
+// transcript alignment against the reference text, fluency from the transcript and the
+// recording's pauses, phoneme-level pronunciation, word timings and the weighted overall
+// score, plus key-feature coverage for the open-ended tasks and short-answer checking.
+// Also the estimated PTE 10–90 skill report built from many attempts across task types.
+// Loads as a CommonJS module (Node, bundlers) or as the `PTEScoring` global; in the browser
+// scoring/lexicon.js must be loaded first.
+//
+// Every weight and threshold lives in DEFAULT_CONFIG. The module's own functions use it;
+// createScoring(overrides) returns the same functions bound to a tuned copy, e.g.
+//   createScoring({ weights: { content: 0.6, pronunciation: 0.2, fluency: 0.2 } })
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./lexicon.js"));
+  else root.PTEScoring = factory(root.PTELexicon);
+})(typeof self !== "undefined" ? self : this, function (lexicon) {
+  "use strict";
+
+  const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+  const centis = (sec) => Math.round(sec * 100) / 100;
+  const tokenize = (s) => (s || "").toLowerCase().replace(/[^a-z0-9\s']/g, " ").split(/\s+/).filter(Boolean);
+
+  function levenshtein(a, b) {
+    const m = a.length, n = b.length;
+    const dp = Array.from({ length: m + 1 }, () => Array(n + 1).fill(0));
+    for (let i = 0; i <= m; i++) dp[i][0] = i;
+    for (let j = 0; j <= n; j++) dp[0][j] = j;
+    for (let i = 1; i <= m; i++) {
+      for (let j = 1; j <= n; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        dp[i][j] = Math.min(
+          dp[i - 1][j] + 1,
+          dp[i][j - 1] + 1,
+          dp[i - 1][j - 1] + cost
+        );
+      }
+    }
+    return dp[m][n];
+  }
+
+  const { pronounce, pronunciations, toIpa } = lexicon;
+
+  // Words that sound the same share a key: their first pronunciation, e.g. "knew" and "new"
+  // are both "N UW". Words with no letters key as themselves.
+  function approxPhonetic(word) {
+    const phones = pronounce(word);
+    return phones.length ? phones.join(" ") : String(word).toLowerCase();
+  }
+
+  // Phoneme alignment as ops in reference order: { type: match | sub | del | ins, expected, heard }.
+  // The table is over suffixes and walked from the start, so ties pair sounds up early:
+  // "TH R IY" heard as "T IY" is TH ➜ T and a dropped R, not a dropped TH and R ➜ T.
+  function alignPhonemes(ref, hyp) {
+    const m = ref.length, n = hyp.length;
+    const subCost = (i, j) => (ref[i] === hyp[j] ? 0 : 1);
+    const dp = Array.from({ length: m + 1 }, () => Array(n + 1).fill(0));
+    for (let i = m; i >= 0; i--) {
+      for (let j = n; j >= 0; j--) {
+        if (i === m || j === n) dp[i][j] = (m - i) + (n - j);
+        else dp[i][j] = Math.min(dp[i + 1][j + 1] + subCost(i, j), dp[i + 1][j] + 1, dp[i][j + 1] + 1);
+      }
+    }
+    const ops = [];
+    let i = 0, j = 0;
+    while (i < m || j < n) {
+      if (i < m && j < n && dp[i][j] === dp[i + 1][j + 1] + subCost(i, j)) {
+        ops.push({ type: subCost(i, j) ? "sub" : "match", expected: ref[i], heard: hyp[j] });
+        i++; j++;
+      } else if (i < m && dp[i][j] === dp[i + 1][j] + 1) {
+        ops.push({ type: "del", expected: ref[i], heard: null });
+        i++;
+      } else {
+        ops.push({ type: "ins", expected: null, heard: hyp[j] });
+        j++;
+      }
+    }
+    return { distance: dp[0][0], ops };
+  }
+
+  // Inserted words that repeat the word just said or about to be said: "the the", "in in the".
+  function countRestarts(align) {
+    if (!align || !align.ops) return 0;
+    return align.ops.filter((o, i, ops) => {
+      if (o.type !== "inserted") return false;
+      const prev = ops[i - 1], next = ops[i + 1];
+      return (prev && (prev.hyp === o.hyp || prev.ref === o.hyp)) || (next && next.ref === o.hyp);
+    }).length;
+  }
+
+  // Key-feature coverage for Describe Image, Retell Lecture and the writing summaries.
+  // A feature counts as covered when any of its terms appears in the transcript.
+  // Multi-word terms must appear as a phrase; single words also match approximately
+  // (same pronunciation by approxPhonetic, or one edit away for words of 4+ letters).
+  // `covered` counts features; `matched`/`approx` count the words in `ref`, which holds only the
+  // terms the speaker attempted, so estimatePronunciation rates how clearly those words came
+  // through rather than penalising features they skipped.
+  function scoreKeyFeatures(features, hypText) {
+    const hyp = tokenize(hypText);
+    const hypKeys = hyp.map(approxPhonetic);
+    const hasPhrase = (words) => hyp.some((_, i) => words.every((w, k) => hyp[i + k] === w));
+
+    const hits = features.map((f) => {
+      for (const term of f.terms) {
+        const words = tokenize(term);
+        if (words.length && hasPhrase(words)) return { label: f.label, status: "correct", term };
+      }
+      for (const term of f.terms) {
+        const words = tokenize(term);
+        if (words.length !== 1) continue;
+        const key = approxPhonetic(words[0]);
+        const j = hyp.findIndex((h, idx) => hypKeys[idx] === key || (words[0].length >= 4 && levenshtein(h, words[0]) === 1));
+        if (j !== -1) return { label: f.label, status: "approx", term, heard: hyp[j] };
+      }
+      return { label: f.label, status: "missed", term: null };
+    });
+
+    const featuresWith = (status) => hits.filter((h) => h.status === status);
+    const wordsOf = (list) => list.flatMap((h) => tokenize(h.term));
+    const correct = featuresWith("correct"), near = featuresWith("approx");
+    const contentAcc = features.length ? Math.round(((correct.length + 0.5 * near.length) / features.length) * 100) : 0;
+    const ref = wordsOf(hits.filter((h) => h.status !== "missed"));
+    return { hits, covered: correct.length + near.length, contentAcc, matched: wordsOf(correct).length, approx: wordsOf(near).length, ref };
+  }
+
+  // Words a short spoken answer may wrap around the answer itself ("I think it's the heart").
+  const SHORT_ANSWER_FILLERS = new Set(["a", "an", "the", "i", "think", "it", "it's", "its", "is", "that", "that's", "this", "would", "be",
+    "answer", "called", "we", "they", "you", "call", "are", "was", "my", "well", "so", "um", "uh", "er", "erm"]);
+
+  // Answer Short Question: accepted when the transcript holds an accepted answer as a phrase and
+  // everything else is filler or echoes the question ("366 days"). Repeating the answer or giving
+  // two of its accepted forms ("heart, the heart") is fine; any other content word is a competing
+  // option ("microscope telescope") and scores 0. Either/or questions get no echo allowance.
+  function scoreShortAnswer(item, hypText) {
+    const hyp = tokenize(hypText);
+    const question = tokenize(item.text);
+    const echoed = new Set(question.includes("or") ? [] : question);
+    const spans = item.answers.flatMap((answer) => {
+      const words = tokenize(answer);
+      return words.length ? hyp.flatMap((_, i) => (words.every((w, k) => hyp[i + k] === w) ? [{ answer, start: i, end: i + words.length }] : [])) : [];
+    });
+    // longest first, so "the heart" is reported rather than "heart"
+    spans.sort((a, b) => (b.end - b.start) - (a.end - a.start));
+    const used = hyp.map(() => false);
+    spans.forEach((s) => used.fill(true, s.start, s.end));
+    const extra = hyp.filter((w, i) => !used[i] && !SHORT_ANSWER_FILLERS.has(w) && !echoed.has(w));
+    const matched = spans.length && !extra.length ? spans[0].answer : null;
+    const reason = matched || !spans.length ? "" : `Give only the answer, without “${extra.join(" ")}”.`;
+    return { correct: !!matched, matched, reason, overall: matched ? 100 : 0 };
+  }
+
+  const DEFAULT_CONFIG = {
+    // overall = weighted sum of the three speaking traits
+    weights: { content: 0.5, pronunciation: 0.25, fluency: 0.25 },
+    // Alignment costs: an approximate match is cheaper than a substitution so that
+    // "recieve" lines up with "receive" instead of being counted as omit + insert.
+    align: { approx: 0.5, substitute: 1, insert: 1, omit: 1 },
+    // Fluency score for a speaking rate: the first band whose maxWpm covers it.
+    wpmBands: [
+      { maxWpm: 60, score: 50 },
+      { maxWpm: 80, score: 65 },
+      { maxWpm: 95, score: 78 },
+      { maxWpm: 125, score: 90 },
+      { maxWpm: 150, score: 80 },
+      { maxWpm: Infinity, score: 65 },
+    ],
+    // articulation rate named in the feedback as natural pacing
+    targetWpm: { min: 95, max: 125, rushed: 150 },
+    // Silence detection thresholds, in seconds unless noted.
+    pauses: {
+      frameSec: 0.02,       // analysis frame
+      minPause: 0.3,        // shorter gaps are normal word joins
+      longPause: 1.0,       // a hesitation
+      minVoiced: 0.08,      // shorter voiced blips are clicks or breaths
+      leadingMax: 3,        // PTE closes the mic after 3s of silence
+      pauseRatioOk: 0.15,   // share of speaking time that may be pauses before it costs points
+    },
+    // points taken off the band score when the recording's pauses are known
+    fluencyPenalties: { perLongPause: 6, perPauseRatio: 60, perRestart: 4, lateStart: 10 },
+    fluencyRange: { min: 10, max: 90 },
+    // Estimated word timings: a word takes time for its sounds plus this many sounds' worth
+    // for the join to the next, so short words still get a visible span.
+    timing: { wordOverhead: 1 },
+    pronunciation: {
+      approxCredit: 0.6,    // key-feature scoring only: an approximate word counts this much of a correct one
+      closeRatio: 0.5,      // a misheard word still earns its matching sounds if at most this share of them differ
+      scale: 95,
+      min: 20,
+      max: 95,
+    },
+    // Estimated PTE report: which skills each task type feeds and how much. Weights follow
+    // the task's rough share of that skill's marks in the exam. Integrated tasks count for
+    // two skills, e.g. Read Aloud for speaking and, through its content trait, for reading.
+    skills: {
+      ReadAloud: [{ skill: "speaking", weight: 6 }, { skill: "reading", weight: 4, metric: "content" }],
+      RepeatSentence: [{ skill: "speaking", weight: 10 }, { skill: "listening", weight: 6, metric: "content" }],
+      DescribeImage: [{ skill: "speaking", weight: 6 }],
+      RetellLecture: [{ skill: "speaking", weight: 3 }, { skill: "listening", weight: 2, metric: "content" }],
+      AnswerShortQuestion: [{ skill: "speaking", weight: 2 }, { skill: "listening", weight: 2 }],
+      SummarizeWrittenText: [{ skill: "writing", weight: 4 }, { skill: "reading", weight: 2 }],
+      Essay: [{ skill: "writing", weight: 6 }],
+      ReadingWritingFIB: [{ skill: "reading", weight: 6 }, { skill: "writing", weight: 3 }],
+      ReadingFIB: [{ skill: "reading", weight: 5 }],
+      ReorderParagraphs: [{ skill: "reading", weight: 3 }],
+      ReadingMCMA: [{ skill: "reading", weight: 2 }],
+      SummarizeSpokenText: [{ skill: "listening", weight: 3 }, { skill: "writing", weight: 4 }],
+      HighlightCorrectSummary: [{ skill: "listening", weight: 1 }, { skill: "reading", weight: 1 }],
+      Listening: [{ skill: "listening", weight: 2 }],
+      SelectMissingWord: [{ skill: "listening", weight: 1 }],
+      HighlightIncorrectWords: [{ skill: "listening", weight: 3 }, { skill: "reading", weight: 3 }],
+      WriteFromDictation: [{ skill: "listening", weight: 6 }, { skill: "writing", weight: 5 }],
+    },
+    report: {
+      recentPerTask: 5,     // latest attempts of each task type that count
+      scaleMin: 10,         // PTE reports every skill on 10–90
+      scaleMax: 90,
+    },
+  };
+
+  const SKILLS = ["speaking", "writing", "reading", "listening"];
+
+  // Sections merge one level deep; arrays (wpmBands) are replaced whole.
+  function mergeConfig(base, overrides) {
+    const out = {};
+    for (const key of Object.keys(base)) {
+      const o = overrides && overrides[key];
+      const isSection = base[key] && typeof base[key] === "object" && !Array.isArray(base[key]);
+      out[key] = o === undefined ? base[key] : isSection ? { ...base[key], ...o } : o;
+    }
+    return out;
+  }
+
+  function createScoring(overrides) {
+    const config = mergeConfig(DEFAULT_CONFIG, overrides);
+    const ALIGN_COST = config.align;
+    const PAUSE_LIMITS = config.pauses;
+
+    // Order-aware alignment (weighted edit distance over words). Returns `ops` in
+    // passage order: correct | approx | substituted | inserted | omitted, each with the
+    // ref/hyp word and their indexes. `details` keeps one entry per reference word
+    // (status correct | approx | missed) for the word-by-word feedback and history.
+    function analyzeAlignment(refText, hypText) {
+      const ref = tokenize(refText);
+      const hyp = tokenize(hypText);
+      const m = ref.length, n = hyp.length;
+      const refKeys = ref.map(approxPhonetic);
+      const hypKeys = hyp.map(approxPhonetic);
+
+      // The op type comes from the words, not the cost, so tuned costs may coincide.
+      // Approximate: same sounds, one letter off, or one sound off in a word of 3+ sounds.
+      const pairType = (i, j) => {
+        if (ref[i] === hyp[j]) return "correct";
+        if (refKeys[i] === hypKeys[j] || levenshtein(ref[i], hyp[j]) === 1) return "approx";
+        const refPhones = refKeys[i].split(" ");
+        if (refPhones.length >= 3 && levenshtein(refPhones, hypKeys[j].split(" ")) === 1) return "approx";
+        return "substituted";
+      };
+      const PAIR_COST = { correct: 0, approx: ALIGN_COST.approx, substituted: ALIGN_COST.substitute };
+      const pairCost = (i, j) => PAIR_COST[pairType(i, j)];
+
+      const dp = Array.from({ length: m + 1 }, () => Array(n + 1).fill(0));
+      for (let i = 1; i <= m; i++) dp[i][0] = i * ALIGN_COST.omit;
+      for (let j = 1; j <= n; j++) dp[0][j] = j * ALIGN_COST.insert;
+      for (let i = 1; i <= m; i++) {
+        for (let j = 1; j <= n; j++) {
+          dp[i][j] = Math.min(
+            dp[i - 1][j - 1] + pairCost(i - 1, j - 1),
+            dp[i - 1][j] + ALIGN_COST.omit,
+            dp[i][j - 1] + ALIGN_COST.insert
+          );
+        }
+      }
+
+      // Backtrace, preferring the diagonal so equal-cost paths pair words up.
+      const ops = [];
+      let i = m, j = n;
+      while (i > 0 || j > 0) {
+        if (i > 0 && j > 0) {
+          const type = pairType(i - 1, j - 1);
+          if (dp[i][j] === dp[i - 1][j - 1] + PAIR_COST[type]) {
+            ops.push({ type, ref: ref[i - 1], hyp: hyp[j - 1], refIndex: i - 1, hypIndex: j - 1 });
+            i--; j--; continue;
+          }
+        }
+        if (i > 0 && dp[i][j] === dp[i - 1][j] + ALIGN_COST.omit) {
+          ops.push({ type: "omitted", ref: ref[i - 1], hyp: null, refIndex: i - 1, hypIndex: null });
+          i--; continue;
+        }
+        ops.push({ type: "inserted", ref: null, hyp: hyp[j - 1], refIndex: null, hypIndex: j - 1 });
+        j--;
+      }
+      ops.reverse();
+
+      const count = (type) => ops.filter((o) => o.type === type).length;
+      const matched = count("correct");
+      const approx = count("approx");
+      const substituted = count("substituted");
+      const omitted = count("omitted");
+      const inserted = count("inserted");
+      const details = ops
+        .filter((o) => o.type !== "inserted")
+        .map((o) => ({
+          word: o.ref,
+          status: o.type === "correct" || o.type === "approx" ? o.type : "missed",
+          op: o.type,
+          hyp: o.hyp,
+          hypIndex: o.hypIndex,
+        }));
+
+      const contentAcc = ref.length ? Math.round((matched / ref.length) * 100) : 0;
+      return {
+        matched, missed: substituted + omitted, extra: inserted, approx,
+        substituted, omitted, inserted,
+        contentAcc, details, ops, ref, hyp,
+      };
+    }
+
+    function wpmBandScore(wpm) {
+      const band = config.wpmBands.find((b) => wpm <= b.maxWpm) || config.wpmBands[config.wpmBands.length - 1];
+      return band.score;
+    }
+
+    // Without `acoustic` this is a transcript-only estimate (words over the timer).
+    // With the measurements from analyzeAudioFluency the rate is taken over voiced time
+    // only, and pauses, hesitations, a late start and restarts are penalised.
+    function estimateFluency(hypText, durationSec, { acoustic, align } = {}) {
+      const words = tokenize(hypText).length;
+      if (!acoustic) {
+        const wpm = durationSec > 0 ? (words / durationSec) * 60 : 0;
+        return { wpm: Math.round(wpm), fluencyScore: wpmBandScore(wpm), feedback: [] };
+      }
+
+      const { voicedSec, speakingSec, pauses, leadingSilence } = acoustic;
+      const articulationWpm = voicedSec > 0 ? (words / voicedSec) * 60 : 0;
+      const wpm = speakingSec > 0 ? (words / speakingSec) * 60 : 0;
+      const pauseSec = pauses.reduce((acc, p) => acc + p.dur, 0);
+      const pauseRatio = speakingSec > 0 ? pauseSec / speakingSec : 0;
+      const longPauses = pauses.filter((p) => p.long).length;
+      const restarts = countRestarts(align);
+
+      const penalty = config.fluencyPenalties;
+      const pace = config.targetWpm;
+      let score = wpmBandScore(articulationWpm);
+      score -= longPauses * penalty.perLongPause;
+      score -= Math.max(0, pauseRatio - PAUSE_LIMITS.pauseRatioOk) * penalty.perPauseRatio;
+      score -= restarts * penalty.perRestart;
+      if (leadingSilence > PAUSE_LIMITS.leadingMax) score -= penalty.lateStart;
+
+      const feedback = [];
+      if (leadingSilence > PAUSE_LIMITS.leadingMax) feedback.push(`You waited ${leadingSilence.toFixed(1)}s before speaking. In the exam the microphone closes after ${PAUSE_LIMITS.leadingMax}s of silence.`);
+      if (longPauses) feedback.push(`${longPauses} hesitation${longPauses > 1 ? "s" : ""} longer than ${PAUSE_LIMITS.longPause}s. Keep going through difficult words instead of stopping.`);
+      if (pauseRatio > PAUSE_LIMITS.pauseRatioOk) feedback.push(`Pauses take ${Math.round(pauseRatio * 100)}% of your speaking time. Pause only at commas and full stops.`);
+      if (restarts) feedback.push(`${restarts} restart${restarts > 1 ? "s" : ""} or repeated word${restarts > 1 ? "s" : ""}. Don't go back to correct yourself.`);
+      if (articulationWpm && articulationWpm < pace.min) feedback.push(`Articulation rate ${Math.round(articulationWpm)} wpm is slow. Aim for ${pace.min}–${pace.max}.`);
+      else if (articulationWpm > pace.rushed) feedback.push(`Articulation rate ${Math.round(articulationWpm)} wpm is rushed. Aim for ${pace.min}–${pace.max}.`);
+
+      return {
+        wpm: Math.round(wpm),
+        articulationWpm: Math.round(articulationWpm),
+        fluencyScore: Math.round(clamp(score, config.fluencyRange.min, config.fluencyRange.max)),
+        pauseCount: pauses.length,
+        longPauses,
+        restarts,
+        feedback,
+      };
+    }
+
+    // Frame-energy voice activity detection over mono samples. The silence threshold adapts to
+    // the recording: noise floor (10th percentile) plus 30% of the range up to the loud frames.
+    function analyzeAudioFluency(samples, sampleRate) {
+      const frame = Math.max(1, Math.round(sampleRate * PAUSE_LIMITS.frameSec));
+      const frameSec = frame / sampleRate;
+      const frames = Math.floor(samples.length / frame);
+      const duration = samples.length / sampleRate;
+      const db = new Float32Array(frames);
+      for (let f = 0; f < frames; f++) {
+        let sum = 0;
+        for (let k = f * frame; k < (f + 1) * frame; k++) sum += samples[k] * samples[k];
+        db[f] = 20 * Math.log10(Math.sqrt(sum / frame) + 1e-8);
+      }
+      const sorted = Array.from(db).sort((a, b) => a - b);
+      const floor = frames ? sorted[Math.floor(frames * 0.1)] : -100;
+      const peak = frames ? sorted[Math.floor(frames * 0.98)] : -100;
+      const threshold = floor + Math.max(6, 0.3 * (peak - floor));
+
+      // voiced runs, then merge gaps too short to be pauses and drop blips
+      const runs = [];
+      for (let f = 0; f < frames; f++) {
+        if (db[f] <= threshold) continue;
+        const last = runs[runs.length - 1];
+        if (last && f * frameSec - last.end < PAUSE_LIMITS.minPause) last.end = (f + 1) * frameSec;
+        else runs.push({ start: f * frameSec, end: (f + 1) * frameSec });
+      }
+      const voiced = runs.filter((r) => r.end - r.start >= PAUSE_LIMITS.minVoiced);
+
+      if (!voiced.length) {
+        return { duration, voiced: [], voicedSec: 0, speakingSec: 0, pauses: [], leadingSilence: duration, trailingSilence: 0 };
+      }
+      const pauses = voiced.slice(1).map((r, i) => {
+        const start = voiced[i].end, end = r.start, dur = end - start;
+        return { start, end, dur, long: dur >= PAUSE_LIMITS.longPause };
+      });
+      return {
+        duration,
+        voiced,
+        voicedSec: voiced.reduce((acc, r) => acc + (r.end - r.start), 0),
+        speakingSec: voiced[voiced.length - 1].end - voiced[0].start,
+        pauses,
+        leadingSilence: voiced[0].start,
+        trailingSilence: duration - voiced[voiced.length - 1].end,
+      };
+    }
+
+    // Transcript words as { word, start, end } seconds, one per tokenize() word. Recognizer
+    // timings ([{ word, start, end }], e.g. whisper's word timestamps) win when they spell the
+    // same words; otherwise the words are force-aligned to the recording's voiced runs: each
+    // run takes the consecutive words whose sounds best fill it, and shares its time among them
+    // by their length in sounds. Returns { source: "recognizer" | "estimated", words } or null.
+    function wordTimings(hypText, { recognized, acoustic } = {}) {
+      const hyp = tokenize(hypText);
+      if (!hyp.length) return null;
+      const fromRecognizer = [];
+      (recognized || []).forEach((r) => {
+        const parts = tokenize(r.word);
+        const step = (r.end - r.start) / (parts.length || 1);
+        parts.forEach((word, k) => fromRecognizer.push({ word, start: centis(r.start + k * step), end: centis(r.start + (k + 1) * step) }));
+      });
+      if (fromRecognizer.length === hyp.length && fromRecognizer.every((w, i) => w.word === hyp[i])) {
+        return { source: "recognizer", words: fromRecognizer };
+      }
+      const runs = acoustic && acoustic.voiced ? acoustic.voiced : [];
+      if (!runs.length) return null;
+
+      const weights = hyp.map((w) => pronounce(w).length + config.timing.wordOverhead);
+      const prefix = [0];
+      weights.forEach((w, i) => prefix.push(prefix[i] + w));
+      const rate = acoustic.voicedSec / prefix[hyp.length]; // seconds per sound
+      // cost[r][k]: best fit of the first k words into the first r runs; a run may stay empty
+      // (a cough), a word may not.
+      const R = runs.length, N = hyp.length;
+      const cost = Array.from({ length: R + 1 }, () => Array(N + 1).fill(Infinity));
+      const from = Array.from({ length: R + 1 }, () => Array(N + 1).fill(0));
+      cost[0][0] = 0;
+      for (let r = 1; r <= R; r++) {
+        const dur = runs[r - 1].end - runs[r - 1].start;
+        for (let k = 0; k <= N; k++) {
+          for (let j = 0; j <= k; j++) {
+            if (cost[r - 1][j] === Infinity) continue;
+            const c = cost[r - 1][j] + (dur - rate * (prefix[k] - prefix[j])) ** 2;
+            if (c < cost[r][k]) { cost[r][k] = c; from[r][k] = j; }
+          }
+        }
+      }
+      const words = [];
+      for (let r = R, k = N; r > 0; r--) {
+        const j = from[r][k];
+        const { start, end } = runs[r - 1];
+        const scale = (end - start) / ((prefix[k] - prefix[j]) || 1);
+        for (let i = k - 1; i >= j; i--) {
+          words.unshift({ word: hyp[i], start: centis(start + (prefix[i] - prefix[j]) * scale), end: centis(start + (prefix[i + 1] - prefix[j]) * scale) });
+        }
+        k = j;
+      }
+      return { source: "estimated", words };
+    }
+
+    // Shadowing lag from word timings of the same text: how many seconds each of the learner's
+    // words started after (positive) or before the model's. `offsetSec` is where the model began
+    // in the learner's recording when they spoke along. `maxLag` is the lag furthest from zero.
+    function shadowingLag(model, learner, offsetSec = 0) {
+      const n = Math.min(model.length, learner.length);
+      if (!n) return null;
+      const words = model.slice(0, n).map((m, i) => ({ word: m.word, lag: centis(learner[i].start - offsetSec - m.start) }));
+      const lags = words.map((w) => w.lag);
+      return {
+        startLag: lags[0],
+        meanLag: centis(lags.reduce((a, b) => a + b, 0) / n),
+        maxLag: lags.reduce((a, b) => (Math.abs(b) > Math.abs(a) ? b : a)),
+        words,
+      };
+    }
+
+    // Closest pair of pronunciations of the reference and the recognised word. `close`
+    // means the recogniser most likely heard a mispronounced reference word rather than
+    // a different word, so its sound errors are worth reporting.
+    function comparePhonemes(refWord, hypWord) {
+      let best = null;
+      for (const expected of pronunciations(refWord)) {
+        for (const heard of pronunciations(hypWord)) {
+          const { distance, ops } = alignPhonemes(expected, heard);
+          if (!best || distance < best.distance) best = { expected, heard, distance, ops };
+        }
+      }
+      if (!best) return { expected: [], heard: [], errors: [], matches: 0, close: false };
+      const limit = Math.max(1, Math.floor(best.expected.length * config.pronunciation.closeRatio));
+      return {
+        expected: best.expected,
+        heard: best.heard,
+        errors: best.ops.filter((o) => o.type !== "match"),
+        matches: best.ops.filter((o) => o.type === "match").length,
+        close: best.distance <= limit,
+      };
+    }
+
+    // Sound-by-sound view of an alignment. Correct words earn all their phonemes, close
+    // misreadings the ones that matched, and omitted or unrelated words none. `sounds`
+    // tallies which expected sound came out as which (heard null = dropped), most frequent first.
+    function analyzePronunciation(alignment) {
+      let total = 0, earned = 0;
+      const words = [];
+      const tally = new Map();
+      for (const o of alignment.ops || []) {
+        if (o.type === "inserted") continue;
+        const expected = pronounce(o.ref);
+        total += expected.length;
+        if (o.type === "correct") { earned += expected.length; continue; }
+        if (o.type === "omitted") continue;
+        const cmp = comparePhonemes(o.ref, o.hyp);
+        if (!cmp.close) continue;
+        earned += cmp.matches;
+        words.push({ ref: o.ref, hyp: o.hyp, expected: cmp.expected, heard: cmp.heard, errors: cmp.errors });
+        cmp.errors.filter((e) => e.expected).forEach((e) => {
+          const key = `${e.expected}>${e.heard || ""}`;
+          const entry = tally.get(key) || { expected: e.expected, heard: e.heard, count: 0, words: [] };
+          entry.count++;
+          if (!entry.words.includes(o.ref)) entry.words.push(o.ref);
+          tally.set(key, entry);
+        });
+      }
+      const sounds = [...tally.values()].sort((a, b) => b.count - a.count);
+      return { phonemeAcc: total ? Math.round((earned / total) * 100) : 0, words, sounds };
+    }
+
+    // From an alignment: the share of the passage's sounds that came through. Key-feature
+    // results (no ops) fall back to word counts with partial credit for approximate words.
+    function estimatePronunciation(alignment) {
+      const p = config.pronunciation;
+      if (alignment.ops) {
+        const score = Math.round((analyzePronunciation(alignment).phonemeAcc / 100) * p.scale);
+        return clamp(score, p.min, p.max);
+      }
+      const { matched, approx, ref } = alignment;
+      const base = ref.length ? (matched + p.approxCredit * approx) / ref.length : 0;
+      return clamp(Math.round(base * p.scale), p.min, p.max);
+    }
+
+    function scoreOverall(content, pron, flu) {
+      const w = config.weights;
+      return Math.round(content * w.content + pron * w.pronunciation + flu * w.fluency);
+    }
+
+    // 0–100 score of one attempt for a contribution. Old single-answer listening attempts
+    // only carry `correct`.
+    function attemptScore(attempt, metric) {
+      const v = metric && typeof attempt[metric] === "number" ? attempt[metric]
+        : typeof attempt.overall === "number" ? attempt.overall
+        : typeof attempt.correct === "boolean" ? (attempt.correct ? 100 : 0) : null;
+      return v === null ? null : clamp(v, 0, 100);
+    }
+
+    // Estimated PTE scores from saved attempts ({ type, when, overall, content?, correct? }).
+    // Each task type's latest report.recentPerTask attempts are averaged, and every skill is the
+    // weighted mean of the task averages that feed it, mapped onto 10–90. `tasks` lists each
+    // contribution with its `points`: how much of the score above scaleMin it supplied.
+    // A skill without attempts scores null; `overall` averages the skills that have a score.
+    function estimateSkillScores(attempts, target) {
+      const r = config.report;
+      const span = r.scaleMax - r.scaleMin;
+      const byType = new Map();
+      (attempts || [])
+        .filter((a) => a && config.skills[a.type])
+        .slice()
+        .sort((a, b) => String(b.when || "").localeCompare(String(a.when || "")))
+        .forEach((a) => {
+          const list = byType.get(a.type) || [];
+          if (list.length < r.recentPerTask) list.push(a);
+          byType.set(a.type, list);
+        });
+
+      const skills = SKILLS.map((skill) => {
+        const parts = [];
+        byType.forEach((list, type) => {
+          config.skills[type].filter((c) => c.skill === skill && c.weight > 0).forEach((c) => {
+            const values = list.map((a) => attemptScore(a, c.metric)).filter((v) => v !== null);
+            if (values.length) parts.push({ type, metric: c.metric || "overall", weight: c.weight, values });
+          });
+        });
+        const totalWeight = parts.reduce((acc, p) => acc + p.weight, 0);
+        if (!totalWeight) return { skill, score: null, tasks: [], gap: null };
+        let mean = 0;
+        const tasks = parts.map(({ type, metric, weight, values }) => {
+          const average = values.reduce((acc, v) => acc + v, 0) / values.length;
+          const share = weight / totalWeight;
+          mean += average * share;
+          const points = Math.round((average / 100) * share * span * 10) / 10;
+          return { type, metric, attempts: values.length, average: Math.round(average), weight, share, points };
+        });
+        tasks.sort((a, b) => b.points - a.points || a.type.localeCompare(b.type));
+        const score = Math.round(r.scaleMin + (mean / 100) * span);
+        return { skill, score, tasks, gap: typeof target === "number" ? score - target : null };
+      });
+
+      const scored = skills.filter((s) => s.score !== null);
+      const overall = scored.length ? Math.round(scored.reduce((acc, s) => acc + s.score, 0) / scored.length) : null;
+      return {
+        skills,
+        overall,
+        target: typeof target === "number" ? target : null,
+        gap: overall !== null && typeof target === "number" ? overall - target : null,
+        complete: scored.length === SKILLS.length,
+      };
+    }
+
+    return {
+      config, analyzeAlignment, wpmBandScore, estimateFluency, analyzeAudioFluency,
+      wordTimings, shadowingLag, comparePhonemes, analyzePronunciation, estimatePronunciation, scoreOverall, estimateSkillScores,
+      ALIGN_COST, PAUSE_LIMITS,
+    };
+  }
+
+  return {
+    tokenize, levenshtein, approxPhonetic, countRestarts, alignPhonemes, scoreKeyFeatures, scoreShortAnswer, pronounce, toIpa,
+    SKILLS, DEFAULT_CONFIG, createScoring,
+    ...createScoring(),
+  };
+});
@@ -0,0 +1,554 @@
+// Offline pronouncing lexicon for the pronunciation feedback: a CMUdict-style word list
+// (ARPAbet phonemes, stress digits on vowels, WORD(1) for alternative pronunciations)
+// covering the question banks, common words and the sound drills, plus a letter-to-sound
+// fallback for everything else. Lookups drop the stress digits.
+// Loads as a CommonJS module or as the `PTELexicon` global (before scoring/index.js).
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.PTELexicon = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const CMUDICT = `
+A  AH0
+A(1)  EY1
+ABOUT  AH0 B AW1 T
+ABOVE  AH0 B AH1 V
+ACROSS  AH0 K R AO1 S
+AFTER  AE1 F T ER0
+AGAIN  AH0 G EH1 N
+AGAINST  AH0 G EH1 N S T
+AGRARIAN  AH0 G R EH1 R IY0 AH0 N
+ALL  AO1 L
+ALLOWS  AH0 L AW1 Z
+ALSO  AO1 L S OW0
+ALWAYS  AO1 L W EY2 Z
+AM  AE1 M
+AN  AE1 N
+ANCIENT  EY1 N CH AH0 N T
+ANCIENT(1)  EY1 N SH AH0 N T
+AND  AH0 N D
+AND(1)  AE1 N D
+ANSWER  AE1 N S ER0
+ANY  EH1 N IY0
+ANYONE  EH1 N IY0 W AH2 N
+APPROACH  AH0 P R OW1 CH
+ARE  AA1 R
+AROUND  ER0 AW1 N D
+AS  AE1 Z
+ASSIGNMENTS  AH0 S AY1 N M AH0 N T S
+AT  AE1 T
+AUTHOR  AO1 TH ER0
+AUTHORS  AO1 TH ER0 Z
+AVAILABLE  AH0 V EY1 L AH0 B AH0 L
+AWAY  AH0 W EY1
+BABIES  B EY1 B IY0 Z
+BACK  B AE1 K
+BAD  B AE1 D
+BAG  B AE1 G
+BALANCES  B AE1 L AH0 N S IH0 Z
+BAR  B AA1 R
+BE  B IY1
+BEANS  B IY1 N Z
+BECAUSE  B IH0 K AO1 Z
+BED  B EH1 D
+BEEN  B IH1 N
+BEFORE  B IH0 F AO1 R
+BELL  B EH1 L
+BENCH  B EH1 N CH
+BENEFITING  B EH1 N AH0 F IH0 T IH0 NG
+BERRY  B EH1 R IY0
+BEST  B EH1 S T
+BET  B EH1 T
+BETTER  B EH1 T ER0
+BIG  B IH1 G
+BIRD  B ER1 D
+BIRDS  B ER1 D Z
+BLACK  B L AE1 K
+BLEACHING  B L IY1 CH IH0 NG
+BLENDED  B L EH1 N D IH0 D
+BLOOD  B L AH1 D
+BLUE  B L UW1
+BODY  B AA1 D IY0
+BOOK  B UH1 K
+BORN  B AO1 R N
+BOTH  B OW1 TH
+BOUGHT  B AA1 T
+BUILDING  B IH1 L D IH0 NG
+BUILDINGS  B IH1 L D IH0 NG Z
+BUT  B AH1 T
+BY  B AY1
+CALL  K AO1 L
+CAN  K AE1 N
+CAT  K AE1 T
+CAUSE  K AA1 Z
+CENTURIES  S EH1 N CH ER0 IY0 Z
+CENTURY  S EH1 N CH ER0 IY0
+CHANGE  CH EY1 N JH
+CHEAP  CH IY1 P
+CHECK  CH EH1 K
+CHEESE  CH IY1 Z
+CHILD  CH AY1 L D
+CHOCOLATE  CH AO1 K L AH0 T
+CHOSE  CH OW1 Z
+CITY  S IH1 T IY0
+CLEAN  K L IY1 N
+CLOUDS  K L AW1 D Z
+COLLABORATION  K AH0 L AE2 B ER0 EY1 SH AH0 N
+COLLECTED  K AH0 L EH1 K T AH0 D
+COMBINE  K AH0 M B AY1 N
+COMMUNITIES  K AH0 M Y UW1 N AH0 T IY0 Z
+CONTINENTS  K AA1 N T AH0 N AH0 N T S
+CORAL  K AO1 R AH0 L
+COULD  K UH1 D
+COVER  K AH1 V ER0
+CRITICAL  K R IH1 T IH0 K AH0 L
+DAY  D EY1
+DAYS  D EY1 Z
+DECLINE  D IH0 K L AY1 N
+DEN  D EH1 N
+DEPEND  D IH0 P EH1 N D
+DESIGNS  D IH0 Z AY1 N Z
+DETAILED  D IH0 T EY1 L D
+DID  D IH1 D
+DISCUSSION  D IH0 S K AH1 SH AH0 N
+DISHES  D IH1 SH AH0 Z
+DO  D UW1
+DOES  D AH1 Z
+DOORS  D AO1 R Z
+DURING  D UH1 R IH0 NG
+EACH  IY1 CH
+EARLY  ER1 L IY0
+EAT  IY1 T
+ECONOMIES  IH0 K AA1 N AH0 M IY0 Z
+EDUCATION  EH2 JH AH0 K EY1 SH AH0 N
+EIGHTEENTH  EY0 T IY1 N TH
+EMISSIONS  IH0 M IH1 SH AH0 N Z
+ENABLES  EH0 N EY1 B AH0 L Z
+END  EH1 N D
+ENGINEERS  EH2 N JH AH0 N IH1 R Z
+ENJOYED  EH0 N JH OY1 D
+EVERY  EH1 V ER0 IY0
+EVERY(1)  EH1 V R IY0
+EVERYONE  EH1 V R IY0 W AH2 N
+EXAMINATION  IH0 G Z AE2 M AH0 N EY1 SH AH0 N
+FALLS  F AO1 L Z
+FAN  F AE1 N
+FATHER  F AA1 DH ER0
+FEAST  F IY1 S T
+FEEDBACK  F IY1 D B AE2 K
+FEW  F Y UW1
+FIRST  F ER1 S T
+FISH  F IH1 SH
+FISHING  F IH1 SH IH0 NG
+FIVE  F AY1 V
+FLAKES  F L EY1 K S
+FLAT  F L AE1 T
+FLOOR  F L AO1 R
+FOOD  F UW1 D
+FOR  F AO1 R
+FOR(1)  F ER0
+FOUND  F AW1 N D
+FREE  F R IY1
+FRESH  F R EH1 SH
+FRIEND  F R EH1 N D
+FRIENDS  F R EH1 N D Z
+FROM  F R AH1 M
+FROZEN  F R OW1 Z AH0 N
+FULL  F UH1 L
+GATHERED  G AE1 DH ER0 D
+GLOBAL  G L OW1 B AH0 L
+GOOD  G UH1 D
+GREEN  G R IY1 N
+GROUP  G R UW1 P
+GROWTH  G R OW1 TH
+HAD  HH AE1 D
+HALL  HH AO1 L
+HAND  HH AE1 N D
+HAS  HH AE1 Z
+HAVE  HH AE1 V
+HE  HH IY1
+HEARD  HH ER1 D
+HER  HH ER1
+HIS  HH IH1 Z
+HOME  HH OW1 M
+HOT  HH AA1 T
+HOW  HH AW1
+HUMAN  HH Y UW1 M AH0 N
+HURT  HH ER1 T
+I  AY1
+IN  IH0 N
+IN(1)  IH1 N
+INDUSTRIAL  IH2 N D AH1 S T R IY0 AH0 L
+INDUSTRIALIZED  IH2 N D AH1 S T R IY0 AH0 L AY2 Z D
+INSTRUMENT  IH1 N S T R AH0 M AH0 N T
+IS  IH1 Z
+IT  IH1 T
+JAPANESE  JH AE2 P AH0 N IY1 Z
+JOINED  JH OY1 N D
+JUDGE  JH AH1 JH
+JUICE  JH UW1 S
+JUNE  JH UW1 N
+KEEP  K IY1 P
+KEPT  K EH1 P T
+KIDS  K IH1 D Z
+KING  K IH1 NG
+KITCHEN  K IH1 CH AH0 N
+KNEW  N UW1
+LAMP  L AE1 M P
+LARGE  L AA1 R JH
+LATE  L EY1 T
+LEAD  L IY1 D
+LEAP  L IY1 P
+LEAVE  L IY1 V
+LECTURE  L EH1 K CH ER0
+LECTURES  L EH1 K CH ER0 Z
+LESS  L EH1 S
+LET  L EH1 T
+LIBRARY  L AY1 B R EH2 R IY0
+LIGHT  L AY1 T
+LIGHTS  L AY1 T S
+LITTLE  L IH1 T AH0 L
+LIVABILITY  L IH2 V AH0 B IH1 L AH0 T IY0
+LIVE  L IH1 V
+LIVE(1)  L AY1 V
+LOCK  L AA1 K
+LOOK  L UH1 K
+LOST  L AO1 S T
+LUCY  L UW1 S IY0
+MANY  M EH1 N IY0
+MARINE  M ER0 IY1 N
+MARKED  M AA1 R K T
+MAT  M AE1 T
+MATCH  M AE1 CH
+MATERIAL  M AH0 T IH1 R IY0 AH0 L
+MEN  M EH1 N
+MESSAGE  M EH1 S AH0 JH
+MIDNIGHT  M IH1 D N AY2 T
+MOON  M UW1 N
+MOTHER  M AH1 DH ER0
+MY  M AY1
+NATION'S  N EY1 SH AH0 N Z
+NEAR  N IH1 R
+NEED  N IY1 D
+NEW  N UW1
+NINETEENTH  N AY1 N T IY1 N TH
+NO  N OW1
+NOON  N UW1 N
+NORTH  N AO1 R TH
+NOT  N AA1 T
+NOTES  N OW1 T S
+NOW  N AW1
+NURSE  N ER1 S
+OBSERVED  AH0 B Z ER1 V D
+OCEAN  OW1 SH AH0 N
+OF  AH1 V
+OFF  AO1 F
+OFFICE  AO1 F AH0 S
+OFTEN  AO1 F AH0 N
+ON  AA1 N
+ONE  W AH1 N
+ONLINE  AO1 N L AY2 N
+OPEN  OW1 P AH0 N
+OPENS  OW1 P AH0 N Z
+OPPORTUNITIES  AA2 P ER0 T UW1 N AH0 T IY0 Z
+OPPOSITE  AA1 P AH0 Z AH0 T
+OR  AO1 R
+ORANGE  AO1 R AH0 N JH
+ORGAN  AO1 R G AH0 N
+OTHER  AH1 DH ER0
+OUR  AW1 ER0
+OVER  OW1 V ER0
+OWN  OW1 N
+PACE  P EY1 S
+PAPER  P EY1 P ER0
+PARK  P AA1 R K
+PARKING  P AA1 R K IH0 NG
+PAST  P AE1 S T
+PATHS  P AE1 TH S
+PAY  P EY1
+PEERS  P IH1 R Z
+PEOPLE  P IY1 P AH0 L
+PERCENT  P ER0 S EH1 N T
+PERIOD  P IH1 R IY0 AH0 D
+PERSON  P ER1 S AH0 N
+PETER  P IY1 T ER0
+PINK  P IH1 NG K
+PLANETS  P L AE1 N AH0 T S
+PLANNING  P L AE1 N IH0 NG
+PLEASE  P L IY1 Z
+POT  P AA1 T
+POWERED  P AW1 ER0 D
+PRACTICES  P R AE1 K T AH0 S AH0 Z
+PRODUCTION  P R AH0 D AH1 K SH AH0 N
+PROFOUND  P R OW0 F AW1 N D
+PROJECT  P R AA1 JH EH0 K T
+PROTECT  P R AH0 T EH1 K T
+PUMPS  P AH1 M P S
+PUT  P UH1 T
+QUARTER  K W AO1 R T ER0
+RAN  R AE1 N
+REAL  R IY1 L
+RED  R EH1 D
+REDUCE  R IH0 D UW1 S
+REEFS  R IY1 F S
+REGION  R IY1 JH AH0 N
+REMAIN  R IH0 M EY1 N
+REPORT  R IH0 P AO1 R T
+RESEARCHERS  R IY1 S ER0 CH ER0 Z
+RESOURCES  R IY1 S AO0 R S AH0 Z
+RESULTS  R IH0 Z AH1 L T S
+REVIEW  R IY2 V Y UW1
+REVOLUTION  R EH2 V AH0 L UW1 SH AH0 N
+RIGHT  R AY1 T
+RINGING  R IH1 NG IH0 NG
+RISEN  R IH1 Z AH0 N
+RISING  R AY1 Z IH0 NG
+RIVER  R IH1 V ER0
+RIVERS  R IH1 V ER0 Z
+ROCK  R AA1 K
+ROCKS  R AA1 K S
+ROSE  R OW1 Z
+ROSES  R OW1 Z AH0 Z
+ROUGHLY  R AH1 F L IY0
+RULES  R UW1 L Z
+RUNS  R AH1 N Z
+SAID  S EH1 D
+SAILED  S EY1 L D
+SAME  S EY1 M
+SAMPLES  S AE1 M P AH0 L Z
+SAT  S AE1 T
+SEA  S IY1
+SEASONS  S IY1 Z AH0 N Z
+SELLS  S EH1 L Z
+SEMINARS  S EH1 M AH0 N AA2 R Z
+SEVEN  S EH1 V AH0 N
+SEVERAL  S EH1 V R AH0 L
+SHARED  SH EH1 R D
+SHE  SH IY1
+SHEEP  SH IY1 P
+SHELF  SH EH1 L F
+SHIFT  SH IH1 F T
+SHIP  SH IH1 P
+SHIPS  SH IH1 P S
+SHORE  SH AO1 R
+SHOULD  SH UH1 D
+SIGNIFICANT  S IH0 G N IH1 F IH0 K AH0 N T
+SING  S IH1 NG
+SINGING  S IH1 NG IH0 NG
+SINK  S IH1 NG K
+SIP  S IH1 P
+SIT  S IH1 T
+SIX  S IH1 K S
+SMALL  S M AO1 L
+SOCIETY  S AH0 S AY1 AH0 T IY0
+SOFT  S AA1 F T
+SPECIES  S P IY1 SH IY0 Z
+SQUARE  S K W EH1 R
+STARS  S T AA1 R Z
+STEADILY  S T EH1 D AH0 L IY0
+STILL  S T IH1 L
+STREETS  S T R IY1 T S
+STUDENTS  S T UW1 D AH0 N T S
+SUBMIT  S AH0 B M IH1 T
+SUNDAY  S AH1 N D EY2
+SUNNY  S AH1 N IY0
+SUPPORT  S AH0 P AO1 R T
+SUSTAINABLE  S AH0 S T EY1 N AH0 B AH0 L
+SWEETS  S W IY1 T S
+TALL  T AO1 L
+TANK  T AE1 NG K
+TAUGHT  T AO1 T
+TEACHER  T IY1 CH ER0
+TECHNOLOGIES  T EH0 K N AA1 L AH0 JH IY0 Z
+TECHNOLOGY  T EH0 K N AA1 L AH0 JH IY0
+TEMPERATURES  T EH1 M P R AH0 CH ER0 Z
+TEN  T EH1 N
+THAN  DH AE1 N
+THANK  TH AE1 NG K
+THANKED  TH AE1 NG K T
+THANKS  TH AE1 NG K S
+THAT  DH AE1 T
+THE  DH AH0
+THE(1)  DH AH1
+THE(2)  DH IY0
+THEIR  DH EH1 R
+THEM  DH EH1 M
+THEN  DH EH1 N
+THERE  DH EH1 R
+THESE  DH IY1 Z
+THEY  DH EY1
+THIN  TH IH1 N
+THING  TH IH1 NG
+THINGS  TH IH1 NG Z
+THINK  TH IH1 NG K
+THINKING  TH IH1 NG K IH0 NG
+THIS  DH IH1 S
+THOSE  DH OW1 Z
+THOUGHT  TH AO1 T
+THOUSAND  TH AW1 Z AH0 N D
+THREATENS  TH R EH1 T AH0 N Z
+THREE  TH R IY1
+THROUGH  TH R UW1
+THURSDAY  TH ER1 Z D EY2
+TIME  T AY1 M
+TO  T UW1
+TO(1)  T IH0
+TO(2)  T AH0
+TOGETHER  T AH0 G EH1 DH ER0
+TOLD  T OW1 L D
+TOM  T AA1 M
+TOOK  T UH1 K
+TOURISM  T UH1 R IH0 Z AH0 M
+TRANSFORMING  T R AE0 N S F AO1 R M IH0 NG
+TRANSPORT  T R AE0 N S P AO1 R T
+TREE  T R IY1
+TWO  T UW1
+UNIVERSITIES  Y UW2 N AH0 V ER1 S AH0 T IY0 Z
+UNIVERSITY  Y UW2 N AH0 V ER1 S AH0 T IY0
+UNTIL  AH0 N T IH1 L
+URBAN  ER1 B AH0 N
+USED  Y UW1 Z D
+VALLEY  V AE1 L IY0
+VALUES  V AE1 L Y UW0 Z
+VAN  V AE1 N
+VERY  V EH1 R IY0
+VEST  V EH1 S T
+VILLAGE  V IH1 L AH0 JH
+VINE  V AY1 N
+VISITORS  V IH1 Z AH0 T ER0 Z
+WAIT  W EY1 T
+WALK  W AO1 K
+WARY  W EH1 R IY0
+WAS  W AA1 Z
+WAS(1)  W AH1 Z
+WASH  W AA1 SH
+WASTE  W EY1 S T
+WATCHED  W AA1 CH T
+WATER  W AO1 T ER0
+WE  W IY1
+WEAK  W IY1 K
+WEAKENS  W IY1 K AH0 N Z
+WEATHER  W EH1 DH ER0
+WEBSITE  W EH1 B S AY2 T
+WEEK  W IY1 K
+WERE  W ER1
+WEST  W EH1 S T
+WET  W EH1 T
+WHAT  W AH1 T
+WHICH  W IH1 CH
+WHILE  W AY1 L
+WHITE  W AY1 T
+WHO  HH UW1
+WHY  W AY1
+WILL  W IH1 L
+WIND  W IH1 N D
+WINE  W AY1 N
+WITH  W IH1 DH
+WITH(1)  W IH1 TH
+WOODEN  W UH1 D AH0 N
+WORD  W ER1 D
+WORK  W ER1 K
+WORTH  W ER1 TH
+WOULD  W UH1 D
+WRONG  R AO1 NG
+YEAR  Y IH1 R
+YELLOW  Y EH1 L OW0
+YET  Y EH1 T
+YOU  Y UW1
+YOUNG  Y AH1 NG
+YOUR  Y AO1 R
+ZEBRAS  Z IY1 B R AH0 Z
+ZOO  Z UW1
+ZOO'S  Z UW1 Z
+`;
+
+  // ARPAbet ➜ IPA for the feedback (AH is shown as /ʌ/ whatever its stress).
+  const ARPABET_IPA = {
+    AA: "ɑ", AE: "æ", AH: "ʌ", AO: "ɔ", AW: "aʊ", AY: "aɪ", B: "b", CH: "tʃ", D: "d", DH: "ð",
+    EH: "ɛ", ER: "ɝ", EY: "eɪ", F: "f", G: "ɡ", HH: "h", IH: "ɪ", IY: "i", JH: "dʒ", K: "k",
+    L: "l", M: "m", N: "n", NG: "ŋ", OW: "oʊ", OY: "ɔɪ", P: "p", R: "r", S: "s", SH: "ʃ",
+    T: "t", TH: "θ", UH: "ʊ", UW: "u", V: "v", W: "w", Y: "j", Z: "z", ZH: "ʒ",
+  };
+
+  // word ➜ [[phonemes], …] in file order, stress removed
+  function parseLexicon(text) {
+    const lexicon = new Map();
+    String(text).split("\n").forEach((line) => {
+      const m = line.trim().match(/^([A-Z']+)(?:\(\d+\))?\s+(.+)$/);
+      if (!m) return;
+      const word = m[1].toLowerCase();
+      const phones = m[2].split(/\s+/).map((p) => p.replace(/\d$/, ""));
+      lexicon.set(word, [...(lexicon.get(word) || []), phones]);
+    });
+    return lexicon;
+  }
+
+  const LEXICON = parseLexicon(CMUDICT);
+
+  // Letter-to-sound rules, longest grapheme first. `start` rules only apply at the
+  // beginning of the word.
+  const LTS_RULES = [
+    ["tion", ["SH", "AH", "N"]], ["sion", ["ZH", "AH", "N"]], ["ture", ["CH", "ER"]],
+    ["eigh", ["EY"]], ["ough", ["AO"]], ["augh", ["AO"]],
+    ["igh", ["AY"]], ["tch", ["CH"]], ["dge", ["JH"]], ["sch", ["S", "K"]],
+    ["ch", ["CH"]], ["sh", ["SH"]], ["th", ["TH"]], ["ph", ["F"]], ["wh", ["W"]], ["ck", ["K"]],
+    ["ng", ["NG"]], ["nk", ["NG", "K"]], ["qu", ["K", "W"]], ["kn", ["N"], "start"], ["wr", ["R"], "start"], ["gh", []],
+    ["ee", ["IY"]], ["ea", ["IY"]], ["oo", ["UW"]], ["ou", ["AW"]], ["ow", ["OW"]], ["oi", ["OY"]], ["oy", ["OY"]],
+    ["ai", ["EY"]], ["ay", ["EY"]], ["au", ["AO"]], ["aw", ["AO"]], ["ie", ["IY"]], ["ei", ["EY"]],
+    ["ue", ["UW"]], ["ew", ["UW"]], ["ar", ["AA", "R"]], ["or", ["AO", "R"]], ["er", ["ER"]], ["ir", ["ER"]], ["ur", ["ER"]],
+    ["x", ["K", "S"]],
+  ];
+  const LTS_LETTERS = {
+    a: "AE", b: "B", d: "D", e: "EH", f: "F", h: "HH", i: "IH", j: "JH", k: "K", l: "L", m: "M",
+    n: "N", o: "AA", p: "P", q: "K", r: "R", s: "S", t: "T", u: "AH", v: "V", w: "W", z: "Z",
+  };
+  // vowel before consonant + silent e: "late", "time", "home", "rule"
+  const LONG_VOWELS = { a: "EY", e: "IY", i: "AY", o: "OW", u: "UW" };
+  const isVowel = (ch) => "aeiou".includes(ch);
+
+  function letterToSound(word) {
+    let w = String(word).toLowerCase().replace(/[^a-z]/g, "");
+    let suffix = [];
+    if (w.length > 3 && /[^aeiou]ed$/.test(w)) {
+      w = w.slice(0, -2);
+      suffix = /[td]$/.test(w) ? ["IH", "D"] : /(p|k|s|sh|ch|f|x)$/.test(w) ? ["T"] : ["D"];
+    }
+    let longAt = -1;
+    if (w.length > 3 && /[aeiou][^aeiouwxy]e$/.test(w) && !isVowel(w[w.length - 4])) {
+      longAt = w.length - 3;
+      w = w.slice(0, -1);
+    }
+    const out = [];
+    for (let i = 0; i < w.length;) {
+      const ch = w[i];
+      if (i === longAt) { out.push(LONG_VOWELS[ch]); i++; continue; }
+      if (i > 0 && ch === w[i - 1] && !isVowel(ch)) { i++; continue; }
+      const rule = LTS_RULES.find(([g, , where]) => w.startsWith(g, i) && (where !== "start" || i === 0));
+      if (rule) { out.push(...rule[1]); i += rule[0].length; continue; }
+      const next = w[i + 1] || "";
+      if (ch === "c") out.push("eiy".includes(next) && next ? "S" : "K");
+      else if (ch === "g") out.push("eiy".includes(next) && next ? "JH" : "G");
+      else if (ch === "y") out.push(i === 0 ? "Y" : i === w.length - 1 ? "IY" : "IH");
+      else if (ch === "e" && i === w.length - 1 && w.length > 2) { /* silent final e */ }
+      else out.push(LTS_LETTERS[ch]);
+      i++;
+    }
+    return out.concat(suffix);
+  }
+
+  const normalize = (word) => String(word || "").toLowerCase().replace(/[^a-z']/g, "").replace(/^'+|'+$/g, "");
+
+  // Every known pronunciation of a word; unknown words get one from letterToSound.
+  function pronunciations(word) {
+    const w = normalize(word);
+    if (!w) return [];
+    return LEXICON.get(w) || [letterToSound(w)];
+  }
+
+  const pronounce = (word) => pronunciations(word)[0] || [];
+  const inLexicon = (word) => LEXICON.has(normalize(word));
+  const toIpa = (phone) => ARPABET_IPA[phone] || String(phone).toLowerCase();
+
+  return { LEXICON, ARPABET_IPA, parseLexicon, letterToSound, pronunciations, pronounce, inLexicon, toIpa };
+});
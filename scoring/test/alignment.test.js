@@ -0,0 +1,56 @@
+// Golden fixtures for analyzeAlignment. Each case in fixtures/alignment.json records the
+// expected ops as [type, ref, hyp] plus the counts. After an intended change to alignment,
+// regenerate with `npm run test:update` and review the fixture diff.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { analyzeAlignment } = require("..");
+
+const FIXTURES = path.join(__dirname, "fixtures", "alignment.json");
+let cases = JSON.parse(fs.readFileSync(FIXTURES, "utf8"));
+
+function summarize(align) {
+  return {
+    ops: align.ops.map((o) => [o.type, o.ref, o.hyp]),
+    contentAcc: align.contentAcc,
+    matched: align.matched,
+    approx: align.approx,
+    substituted: align.substituted,
+    omitted: align.omitted,
+    inserted: align.inserted,
+  };
+}
+
+if (process.env.UPDATE_GOLDEN) {
+  const updated = cases.map((c) => ({ ...c, expected: summarize(analyzeAlignment(c.ref, c.hyp)) }));
+  // one op per line keeps fixture diffs readable
+  const json = JSON.stringify(updated, null, 2).replace(/\[\s+("[^"]*"|null),\s+("[^"]*"|null),\s+("[^"]*"|null)\s+\]/g, "[$1, $2, $3]");
+  fs.writeFileSync(FIXTURES, json + "\n");
+  cases = updated;
+}
+
+for (const c of cases) {
+  test(`alignment: ${c.name}`, () => {
+    assert.deepEqual(summarize(analyzeAlignment(c.ref, c.hyp)), c.expected);
+  });
+}
+
+test("details keep one entry per reference word in passage order", () => {
+  const align = analyzeAlignment("the cat sat on the mat", "the the cat sit on mat");
+  assert.deepEqual(align.details.map((d) => [d.word, d.status]), [
+    ["the", "correct"], ["cat", "correct"], ["sat", "approx"], ["on", "correct"], ["the", "missed"], ["mat", "correct"],
+  ]);
+  assert.equal(align.missed, align.substituted + align.omitted);
+  assert.equal(align.extra, align.inserted);
+});
+
+test("ops cover every reference and transcript word exactly once", () => {
+  for (const c of cases) {
+    const align = analyzeAlignment(c.ref, c.hyp);
+    const refIdx = align.ops.filter((o) => o.refIndex !== null).map((o) => o.refIndex);
+    const hypIdx = align.ops.filter((o) => o.hypIndex !== null).map((o) => o.hypIndex);
+    assert.deepEqual(refIdx, align.ref.map((_, i) => i), c.name);
+    assert.deepEqual(hypIdx, align.hyp.map((_, i) => i), c.name);
+  }
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { wpmBandScore, estimateFluency, analyzeAudioFluency, analyzeAlignment, countRestarts, createScoring } = require("..");
+
+// Mono samples with a 220 Hz tone during `spans` ([start, end] seconds) and faint noise elsewhere.
+function tone(durationSec, spans, sampleRate = 16000) {
+  const samples = new Float32Array(Math.round(durationSec * sampleRate));
+  for (let i = 0; i < samples.length; i++) {
+    const t = i / sampleRate;
+    const on = spans.some(([a, b]) => t >= a && t < b);
+    samples[i] = on ? 0.3 * Math.sin(2 * Math.PI * 220 * t) : 0.001 * Math.sin(i);
+  }
+  return samples;
+}
+
+const acoustic = (overrides) => ({ voicedSec: 10, speakingSec: 12, pauses: [], leadingSilence: 0.5, ...overrides });
+const words = (n) => Array.from({ length: n }, (_, i) => `w${i}`).join(" ");
+
+test("WPM bands include their upper bound", () => {
+  const cases = [[0, 50], [60, 50], [61, 65], [80, 65], [95, 78], [96, 90], [125, 90], [126, 80], [150, 80], [151, 65], [400, 65]];
+  for (const [wpm, score] of cases) assert.equal(wpmBandScore(wpm), score, `${wpm} wpm`);
+});
+
+test("without a recording, fluency is the band score for words over the timer", () => {
+  assert.deepEqual(estimateFluency(words(10), 6), { wpm: 100, fluencyScore: 90, feedback: [] });
+  assert.deepEqual(estimateFluency("", 0), { wpm: 0, fluencyScore: 50, feedback: [] });
+});
+
+test("a long pause costs points and is named in the feedback", () => {
+  const result = estimateFluency(words(20), 12, { acoustic: acoustic({ pauses: [{ dur: 0.5, long: false }, { dur: 1.2, long: true }] }) });
+  assert.equal(result.articulationWpm, 120);
+  assert.equal(result.wpm, 100);
+  assert.equal(result.fluencyScore, 84);
+  assert.equal(result.longPauses, 1);
+  assert.equal(result.pauseCount, 2);
+  assert.deepEqual(result.feedback, ["1 hesitation longer than 1s. Keep going through difficult words instead of stopping."]);
+});
+
+test("starting late, pausing a lot and restarting are all penalised", () => {
+  const align = analyzeAlignment("the cat sat on the mat", "the the cat sat on on the mat");
+  assert.equal(countRestarts(align), 2);
+  const result = estimateFluency(words(20), 12, {
+    align,
+    acoustic: acoustic({ leadingSilence: 4, pauses: [{ dur: 3, long: true }] }),
+  });
+  // 90 - 6 (long pause) - (0.25 - 0.15) * 60 - 2 * 4 (restarts) - 10 (late start)
+  assert.equal(result.fluencyScore, 60);
+  assert.equal(result.restarts, 2);
+  assert.match(result.feedback[0], /^You waited 4\.0s before speaking/);
+  assert.equal(result.feedback.length, 4);
+});
+
+test("fluency never drops below the configured floor", () => {
+  const pauses = Array.from({ length: 20 }, () => ({ dur: 2, long: true }));
+  assert.equal(estimateFluency(words(5), 60, { acoustic: acoustic({ voicedSec: 5, speakingSec: 45, pauses }) }).fluencyScore, 10);
+});
+
+test("pace feedback follows the configured target", () => {
+  const slow = acoustic({ voicedSec: 20 }); // 20 words in 20s voiced = 60 wpm
+  assert.deepEqual(estimateFluency(words(20), 20, { acoustic: slow }).feedback, ["Articulation rate 60 wpm is slow. Aim for 95–125."]);
+  const tuned = createScoring({ targetWpm: { min: 50, max: 80 } });
+  assert.deepEqual(tuned.estimateFluency(words(20), 20, { acoustic: slow }).feedback, []);
+});
+
+test("WPM bands can be replaced", () => {
+  const flat = createScoring({ wpmBands: [{ maxWpm: Infinity, score: 70 }] });
+  assert.equal(flat.wpmBandScore(10), 70);
+  assert.equal(flat.estimateFluency(words(10), 6).fluencyScore, 70);
+});
+
+test("voice activity detection finds speech runs, pauses and silences", () => {
+  const result = analyzeAudioFluency(tone(6, [[0.5, 2], [3.2, 5]]), 16000);
+  const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.05, `${actual} ≉ ${expected}`);
+  assert.equal(result.voiced.length, 2);
+  assert.equal(result.pauses.length, 1);
+  near(result.pauses[0].dur, 1.2);
+  assert.equal(result.pauses[0].long, true);
+  near(result.leadingSilence, 0.5);
+  near(result.trailingSilence, 1);
+  near(result.speakingSec, 4.5);
+  near(result.voicedSec, 3.3);
+});
+
+test("gaps shorter than minPause are joined, not counted as pauses", () => {
+  const result = analyzeAudioFluency(tone(3, [[0.2, 1], [1.2, 2]]), 16000);
+  assert.equal(result.voiced.length, 1);
+  assert.deepEqual(result.pauses, []);
+});
+
+test("a silent recording has no speech", () => {
+  const result = analyzeAudioFluency(new Float32Array(16000 * 2), 16000);
+  assert.deepEqual(result.pauses, []);
+  assert.equal(result.voicedSec, 0);
+  assert.equal(result.leadingSilence, 2);
+});
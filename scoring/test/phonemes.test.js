@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const lexicon = require("../lexicon.js");
+const { analyzeAlignment, analyzePronunciation, comparePhonemes, alignPhonemes, approxPhonetic, createScoring } = require("..");
+
+test("lexicon words use their dictionary pronunciation without stress", () => {
+  assert.deepEqual(lexicon.pronounce("think"), ["TH", "IH", "NG", "K"]);
+  assert.deepEqual(lexicon.pronounce("Zoo's"), ["Z", "UW", "Z"]);
+  assert.deepEqual(lexicon.pronunciations("the"), [["DH", "AH"], ["DH", "AH"], ["DH", "IY"]]);
+  assert.equal(lexicon.inLexicon("think"), true);
+});
+
+test("unknown words fall back to letter-to-sound rules", () => {
+  assert.equal(lexicon.inLexicon("tink"), false);
+  assert.deepEqual(lexicon.pronounce("tink"), ["T", "IH", "NG", "K"]);
+  assert.deepEqual(lexicon.pronounce("knife"), ["N", "AY", "F"]);
+  assert.deepEqual(lexicon.pronounce("wanted"), ["W", "AE", "N", "T", "IH", "D"]);
+  assert.deepEqual(lexicon.pronounce("jumped"), ["JH", "AH", "M", "P", "T"]);
+  assert.deepEqual(lexicon.pronounce("city"), ["S", "IH", "T", "IY"]);
+  assert.deepEqual(lexicon.pronounce("gem"), ["JH", "EH", "M"]);
+  assert.deepEqual(lexicon.pronounce("123"), []);
+});
+
+test("the parser keeps variants in file order", () => {
+  const lex = lexicon.parseLexicon("READ  R IY1 D\nREAD(1)  R EH1 D\n;;; comment");
+  assert.deepEqual(lex.get("read"), [["R", "IY", "D"], ["R", "EH", "D"]]);
+  assert.equal(lex.size, 1);
+});
+
+test("words that sound alike share an approxPhonetic key", () => {
+  assert.equal(approxPhonetic("knew"), approxPhonetic("new"));
+  assert.notEqual(approxPhonetic("think"), approxPhonetic("tink"));
+});
+
+test("phoneme alignment reports substitutions, drops and additions", () => {
+  const { distance, ops } = alignPhonemes(["TH", "R", "IY"], ["T", "IY"]);
+  assert.equal(distance, 2);
+  assert.deepEqual(ops.map((o) => [o.type, o.expected, o.heard]), [["sub", "TH", "T"], ["del", "R", null], ["match", "IY", "IY"]]);
+  assert.deepEqual(alignPhonemes(["S", "IY"], ["S", "IY", "Z"]).ops.map((o) => o.type), ["match", "match", "ins"]);
+});
+
+test("think heard as tink or tree, very heard as wary", () => {
+  const tink = comparePhonemes("think", "tink");
+  assert.equal(tink.close, true);
+  assert.deepEqual(tink.errors.map((e) => [e.expected, e.heard]), [["TH", "T"]]);
+
+  const tree = comparePhonemes("three", "tree");
+  assert.deepEqual(tree.errors.map((e) => [e.expected, e.heard]), [["TH", "T"]]);
+
+  const wary = comparePhonemes("very", "wary");
+  assert.equal(wary.close, true);
+  assert.deepEqual(wary.errors.map((e) => [e.expected, e.heard]), [["V", "W"]]);
+
+  assert.equal(comparePhonemes("think", "banana").close, false);
+});
+
+test("pronunciation analysis tallies substituted sounds across the passage", () => {
+  const align = analyzeAlignment("I think three very thin men", "I tink tree wary tin men");
+  const { phonemeAcc, words, sounds } = analyzePronunciation(align);
+  assert.deepEqual(words.map((w) => w.ref), ["think", "three", "very", "thin"]);
+  assert.deepEqual(sounds.map((s) => [s.expected, s.heard, s.count]), [["TH", "T", 3], ["V", "W", 1]]);
+  assert.deepEqual(sounds[0].words, ["think", "three", "thin"]);
+  // 18 sounds, 4 substituted
+  assert.equal(phonemeAcc, 78);
+});
+
+test("omitted and unrelated words earn no sounds and report none", () => {
+  const { phonemeAcc, sounds } = analyzePronunciation(analyzeAlignment("big cat", "big"));
+  assert.equal(phonemeAcc, 50);
+  assert.deepEqual(sounds, []);
+  assert.deepEqual(analyzePronunciation(analyzeAlignment("", "")), { phonemeAcc: 0, words: [], sounds: [] });
+});
+
+test("how different a misheard word may be is configuration", () => {
+  const strict = createScoring({ pronunciation: { closeRatio: 0 } });
+  assert.equal(strict.comparePhonemes("three", "tree").close, true);
+  assert.equal(strict.comparePhonemes("thinking", "tinkin").close, false);
+  assert.equal(comparePhonemes("thinking", "tinkin").close, true);
+});
+
+test("ARPAbet symbols map to IPA", () => {
+  assert.equal(lexicon.toIpa("TH"), "θ");
+  assert.equal(lexicon.toIpa("DH"), "ð");
+  assert.equal(lexicon.toIpa("W"), "w");
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { estimateSkillScores, createScoring, SKILLS } = require("..");
+
+const day = (n) => `2026-03-${String(n).padStart(2, "0")}T10:00:00.000Z`;
+const skill = (report, name) => report.skills.find((s) => s.skill === name);
+
+test("Read Aloud counts for speaking and, by its content trait, for reading", () => {
+  const report = estimateSkillScores([{ type: "ReadAloud", when: day(1), overall: 70, content: 80 }]);
+  assert.deepEqual(report.skills.map((s) => s.skill), SKILLS);
+  assert.equal(skill(report, "speaking").score, 66);
+  assert.equal(skill(report, "reading").score, 74);
+  assert.equal(skill(report, "reading").tasks[0].metric, "content");
+  assert.equal(skill(report, "writing").score, null);
+  assert.equal(skill(report, "listening").score, null);
+  assert.equal(report.overall, 70);
+  assert.equal(report.complete, false);
+});
+
+test("only the latest attempts of each task type count", () => {
+  const attempts = [{ type: "Essay", when: day(1), overall: 0 }];
+  for (let i = 2; i <= 6; i++) attempts.push({ type: "Essay", when: day(i), overall: 100 });
+  const writing = skill(estimateSkillScores(attempts), "writing");
+  assert.equal(writing.score, 90);
+  assert.equal(writing.tasks[0].attempts, 5);
+  const all = createScoring({ report: { recentPerTask: 10 } });
+  assert.equal(skill(all.estimateSkillScores(attempts), "writing").score, 77);
+});
+
+test("task contributions are weighted and report their points", () => {
+  const report = estimateSkillScores([
+    { type: "Essay", when: day(1), overall: 50 },
+    { type: "WriteFromDictation", when: day(2), overall: 100 },
+  ]);
+  const writing = skill(report, "writing");
+  // (6 × 50 + 5 × 100) / 11 = 72.7 % of the 80-point span
+  assert.equal(writing.score, 68);
+  assert.deepEqual(writing.tasks.map((t) => [t.type, t.points]), [["WriteFromDictation", 36.4], ["Essay", 21.8]]);
+  assert.equal(skill(report, "listening").score, 90);
+});
+
+test("single-answer attempts that only record `correct` still count", () => {
+  const report = estimateSkillScores([
+    { type: "Listening", when: day(1), correct: true },
+    { type: "Listening", when: day(2), correct: false },
+  ], 79);
+  assert.equal(skill(report, "listening").score, 50);
+  assert.equal(skill(report, "listening").gap, -29);
+  assert.equal(report.target, 79);
+  assert.equal(report.gap, -29);
+});
+
+test("attempts of unknown types are ignored", () => {
+  const report = estimateSkillScores([{ type: "MockTest", when: day(1), overall: 80 }]);
+  assert.equal(report.overall, null);
+  assert.ok(report.skills.every((s) => s.score === null && s.tasks.length === 0));
+});
+
+test("a complete report averages the four skills", () => {
+  const report = estimateSkillScores([
+    { type: "ReadAloud", when: day(1), overall: 100, content: 100 },
+    { type: "Essay", when: day(1), overall: 50 },
+    { type: "Listening", when: day(1), overall: 0 },
+  ], 65);
+  assert.deepEqual(report.skills.map((s) => s.score), [90, 50, 90, 10]);
+  assert.equal(report.overall, 60);
+  assert.equal(report.gap, -5);
+  assert.equal(report.complete, true);
+});
+
+test("skill weights are configuration", () => {
+  const speakingOnly = createScoring({ skills: { ReadAloud: [{ skill: "speaking", weight: 1 }] } });
+  const report = speakingOnly.estimateSkillScores([{ type: "ReadAloud", when: day(1), overall: 70, content: 80 }]);
+  assert.equal(skill(report, "reading").score, null);
+  assert.equal(skill(report, "speaking").score, 66);
+});
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const scoring = require("..");
+
+const { analyzeAlignment, estimatePronunciation, scoreOverall, createScoring, DEFAULT_CONFIG } = scoring;
+
+test("overall score uses the 0.5 / 0.25 / 0.25 weights by default", () => {
+  assert.equal(scoreOverall(80, 60, 40), 65);
+  assert.equal(scoreOverall(100, 100, 100), 100);
+  assert.equal(scoreOverall(0, 0, 0), 0);
+});
+
+test("createScoring overrides weights without touching the defaults", () => {
+  const contentOnly = createScoring({ weights: { content: 1, pronunciation: 0, fluency: 0 } });
+  assert.equal(contentOnly.scoreOverall(71, 63, 58), 71);
+  assert.equal(scoreOverall(71, 63, 58), 66);
+  assert.deepEqual(DEFAULT_CONFIG.weights, { content: 0.5, pronunciation: 0.25, fluency: 0.25 });
+});
+
+test("config sections merge one level deep", () => {
+  const { config } = createScoring({ weights: { content: 0.6 }, pauses: { longPause: 1.5 } });
+  assert.deepEqual(config.weights, { content: 0.6, pronunciation: 0.25, fluency: 0.25 });
+  assert.equal(config.pauses.longPause, 1.5);
+  assert.equal(config.pauses.minPause, DEFAULT_CONFIG.pauses.minPause);
+  assert.equal(config.align, DEFAULT_CONFIG.align);
+});
+
+test("the module's own functions use the default config", () => {
+  assert.deepEqual(scoring.config, DEFAULT_CONFIG);
+  assert.equal(scoring.PAUSE_LIMITS, DEFAULT_CONFIG.pauses);
+});
+
+test("pronunciation: every word correct scores the maximum, whatever sounds the passage has", () => {
+  assert.equal(estimatePronunciation(analyzeAlignment("a big cat sat", "a big cat sat")), 95);
+  assert.equal(estimatePronunciation(analyzeAlignment("the red wall", "the red wall")), 95);
+});
+
+test("pronunciation: a misheard word costs only its wrong sounds", () => {
+  // big (3 sounds) + cat heard as "cut" (2 of 3) ➜ 5 / 6 = 83% of 95
+  assert.equal(estimatePronunciation(analyzeAlignment("big cat", "big cut")), 79);
+  // an unrelated word earns nothing: 3 / 6
+  assert.equal(estimatePronunciation(analyzeAlignment("big cat", "big dog")), 48);
+  assert.equal(estimatePronunciation(analyzeAlignment("big cat", "")), 20);
+  assert.equal(estimatePronunciation(analyzeAlignment("", "anything")), 20);
+});
+
+test("pronunciation: key-feature results without ops use word counts", () => {
+  // (1 + 0.6) / 2 * 95 = 76
+  assert.equal(estimatePronunciation({ matched: 1, approx: 1, ref: ["bar", "chart"] }), 76);
+  assert.equal(estimatePronunciation({ matched: 0, approx: 0, ref: [] }), 20);
+});
+
+test("alignment costs are configurable", () => {
+  assert.deepEqual(analyzeAlignment("the cat sat", "the cut sat").ops.map((o) => o.type), ["correct", "approx", "correct"]);
+  // dearer than omit + insert, so a one-letter slip is no longer paired up
+  const strict = createScoring({ align: { approx: 2.5 } });
+  assert.deepEqual(strict.analyzeAlignment("the cat sat", "the cut sat").ops.map((o) => o.type), ["correct", "inserted", "omitted", "correct"]);
+  // costs that coincide still report what kind of match it was
+  const flat = createScoring({ align: { approx: 1 } });
+  assert.equal(flat.analyzeAlignment("the cat sat", "the cut sat").ops[1].type, "approx");
+});
+
+test("key-feature pronunciation counts words, so multi-word terms said clearly score like single words", () => {
+  const { scoreKeyFeatures } = scoring;
+  const phrases = scoreKeyFeatures([
+    { label: "Place", terms: ["shopping centre"] },
+    { label: "Trend", terms: ["more than double"] },
+  ], "the shopping centre grew to more than double");
+  assert.equal(phrases.covered, 2);
+  assert.equal(phrases.contentAcc, 100);
+  assert.deepEqual([phrases.matched, phrases.approx, phrases.ref.length], [5, 0, 5]);
+
+  const single = scoreKeyFeatures([{ label: "Place", terms: ["mall"] }, { label: "Trend", terms: ["doubled"] }], "the mall doubled");
+  assert.equal(estimatePronunciation(phrases), estimatePronunciation(single));
+  assert.equal(estimatePronunciation(phrases), DEFAULT_CONFIG.pronunciation.max);
+});
+
+test("an approximate key term counts its word as approx and skipped features stay out of ref", () => {
+  const { scoreKeyFeatures } = scoring;
+  const result = scoreKeyFeatures([
+    { label: "Place", terms: ["shopping centre"] },
+    { label: "Topic", terms: ["population"] },
+    { label: "Year", terms: ["2010"] },
+  ], "the shopping centre and the populations");
+  assert.deepEqual(result.hits.map((h) => h.status), ["correct", "approx", "missed"]);
+  assert.deepEqual([result.covered, result.matched, result.approx], [2, 2, 1]);
+  assert.deepEqual(result.ref, ["shopping", "centre", "population"]);
+});
+
+test("a short answer may repeat itself or use two accepted forms", () => {
+  const { scoreShortAnswer } = scoring;
+  const heart = { text: "Which organ pumps blood around the human body?", answers: ["heart", "the heart"] };
+  const snow = { text: "What do we call the frozen water that falls from clouds in soft white flakes?", answers: ["snow", "snowflakes"] };
+  assert.equal(scoreShortAnswer(snow, "snow snow").correct, true);
+  assert.equal(scoreShortAnswer(heart, "heart, the heart").correct, true);
+  assert.equal(scoreShortAnswer(heart, "I think it's the heart").matched, "the heart");
+});
+
+test("a short answer listing a competing option is not accepted", () => {
+  const { scoreShortAnswer } = scoring;
+  const telescope = { text: "Which instrument is used to look at stars and planets?", answers: ["telescope", "a telescope"] };
+  const leap = { text: "How many days are there in a leap year?", answers: ["366", "three hundred and sixty six"] };
+  assert.deepEqual(scoreShortAnswer(telescope, "microscope or telescope"),
+    { correct: false, matched: null, reason: "Give only the answer, without “microscope or”.", overall: 0 });
+  assert.equal(scoreShortAnswer(leap, "366 days").correct, true);
+  assert.deepEqual(scoreShortAnswer(leap, "").reason, "");
+});
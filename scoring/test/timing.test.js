@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { wordTimings, shadowingLag, createScoring } = require("..");
+
+const spans = (timing) => timing.words.map((w) => [w.word, w.start, w.end]);
+
+test("recognizer timings are used when they spell the transcript", () => {
+  const recognized = [{ word: " Hello,", start: 0.1, end: 0.5 }, { word: " don't", start: 0.6, end: 0.9 }, { word: " stop.", start: 1, end: 1.4 }];
+  const timing = wordTimings("hello don't stop", { recognized });
+  assert.equal(timing.source, "recognizer");
+  assert.deepEqual(spans(timing), [["hello", 0.1, 0.5], ["don't", 0.6, 0.9], ["stop", 1, 1.4]]);
+});
+
+test("a recognizer token holding two words is split evenly", () => {
+  const timing = wordTimings("well done", { recognized: [{ word: "well-done", start: 1, end: 2 }] });
+  assert.deepEqual(spans(timing), [["well", 1, 1.5], ["done", 1.5, 2]]);
+});
+
+test("an edited transcript falls back to the recording", () => {
+  const recognized = [{ word: "the", start: 0, end: 0.2 }, { word: "cut", start: 0.2, end: 0.5 }];
+  const acoustic = { voiced: [{ start: 0.4, end: 1 }], voicedSec: 0.6 };
+  const timing = wordTimings("the cat", { recognized, acoustic });
+  assert.equal(timing.source, "estimated");
+  // the (2 sounds + 1) and cat (3 + 1) share the one run 3 : 4
+  assert.deepEqual(spans(timing), [["the", 0.4, 0.66], ["cat", 0.66, 1]]);
+});
+
+test("estimated words fill the voiced runs they fit and never span a pause", () => {
+  const acoustic = { voiced: [{ start: 0.5, end: 1.7 }, { start: 2.6, end: 3.4 }], voicedSec: 2 };
+  const timing = wordTimings("the cat sat on the mat", { acoustic });
+  assert.deepEqual(spans(timing), [
+    ["the", 0.5, 0.76], ["cat", 0.76, 1.1], ["sat", 1.1, 1.44], ["on", 1.44, 1.7],
+    ["the", 2.6, 2.94], ["mat", 2.94, 3.4],
+  ]);
+});
+
+test("a short noise between phrases can stay empty", () => {
+  const acoustic = { voiced: [{ start: 0, end: 1 }, { start: 1.5, end: 1.6 }, { start: 2.2, end: 3.2 }], voicedSec: 2.1 };
+  const timing = wordTimings("seven rivers wander north", { acoustic });
+  assert.equal(timing.words.length, 4);
+  assert.ok(timing.words.every((w) => w.start < 1.5 || w.start >= 2.2));
+});
+
+test("no transcript or no speech gives no timings", () => {
+  assert.equal(wordTimings("", { acoustic: { voiced: [{ start: 0, end: 1 }], voicedSec: 1 } }), null);
+  assert.equal(wordTimings("hello", {}), null);
+  assert.equal(wordTimings("hello", { acoustic: { voiced: [], voicedSec: 0 } }), null);
+});
+
+test("the per-word overhead is configuration", () => {
+  const acoustic = { voiced: [{ start: 0, end: 1 }], voicedSec: 1 };
+  const bare = createScoring({ timing: { wordOverhead: 0 } });
+  // a (1 sound) and cat (3 sounds) ➜ 1 : 3
+  assert.deepEqual(spans(bare.wordTimings("a cat", { acoustic })), [["a", 0, 0.25], ["cat", 0.25, 1]]);
+});
+
+test("shadowing lag pairs the model's and the learner's words", () => {
+  const model = [{ word: "go", start: 0.2, end: 0.5 }, { word: "now", start: 0.6, end: 1 }];
+  const learner = [{ word: "go", start: 1.5, end: 1.8 }, { word: "now", start: 1.7, end: 2.1 }];
+  // the model started 1 s into the learner's recording
+  assert.deepEqual(shadowingLag(model, learner, 1), {
+    startLag: 0.3, meanLag: 0.2, maxLag: 0.3, words: [{ word: "go", lag: 0.3 }, { word: "now", lag: 0.1 }],
+  });
+  assert.equal(shadowingLag(model, [{ word: "go", start: 0, end: 0.3 }], 0.5).maxLag, -0.7);
+  assert.equal(shadowingLag([], learner), null);
+});
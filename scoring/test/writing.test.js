@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { splitSentences, checkSpelling, checkGrammar, COMMON_MISSPELLINGS } = require("../writing.js");
+
+const flagged = (text, extra) => checkSpelling(text, extra).map((i) => i.word);
+
+test("common correct words are never flagged", () => {
+  const text = "We move to live near good food, save money and have more time in life each year.";
+  assert.deepEqual(flagged(text), []);
+});
+
+test("words one letter from a common word are not treated as misspellings", () => {
+  assert.deepEqual(flagged("lane cart mode bold wine fast sort lone"), []);
+});
+
+test("every listed misspelling is flagged with its correction", () => {
+  Object.entries(COMMON_MISSPELLINGS).forEach(([word, suggestion]) => {
+    assert.deepEqual(checkSpelling(`They ${word} it.`), [{ type: "spelling", word, suggestion }]);
+  });
+});
+
+test("a misspelling is reported once and words from the passage are allowed", () => {
+  assert.deepEqual(flagged("Thier house and thier car."), ["thier"]);
+  assert.deepEqual(flagged("The wierd result.", ["A wierd result"]), []);
+});
+
+const agreement = (text) => checkGrammar(text).filter((i) => i.message === "Subject–verb agreement").map((i) => i.excerpt);
+
+test("agreement errors are flagged after a plain subject", () => {
+  assert.deepEqual(agreement("It have many benefits. She don't agree."), ["It have", "She don't"]);
+});
+
+test("questions and modals before the subject take the base verb", () => {
+  assert.deepEqual(agreement("Does it have any benefits? Would he have agreed? Why did she have to leave? It must have been hard."), []);
+});
+
+test("abbreviations do not end a sentence", () => {
+  assert.deepEqual(splitSentences("The U.S. economy grew."), ["The U.S. economy grew."]);
+  assert.deepEqual(splitSentences("Dr. Smith met Mr. Jones, e.g. at work. Prices rose vs. wages etc. in 2020."),
+    ["Dr. Smith met Mr. Jones, e.g. at work.", "Prices rose vs. wages etc. in 2020."]);
+});
+
+test("sentences still split at full stops, questions and exclamations", () => {
+  assert.deepEqual(splitSentences("It grew. Why? Because of trade! A fragment"), ["It grew.", "Why?", "Because of trade!", "A fragment"]);
+});
+
+test("a lower-case word after an abbreviation is not a new sentence", () => {
+  const capital = (text) => checkGrammar(text).filter((i) => i.message.startsWith("Start sentences")).map((i) => i.excerpt);
+  assert.deepEqual(capital("The U.S. economy grew. Dr. smith agreed."), []);
+  assert.deepEqual(capital("It grew. then it fell."), ["then"]);
+});
+
+test("a letter or abbreviation at a real sentence end still splits before a capital", () => {
+  assert.deepEqual(splitSentences("We need a plan B. Then act."), ["We need a plan B.", "Then act."]);
+  assert.deepEqual(splitSentences("Bring books, pens etc. The next class starts at 9."), ["Bring books, pens etc.", "The next class starts at 9."]);
+  assert.deepEqual(splitSentences("Ask Prof. Lee. She knows."), ["Ask Prof. Lee.", "She knows."]);
+});
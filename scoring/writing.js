@@ -0,0 +1,103 @@
+// Offline checks for the writing tasks (Summarize Written Text, Essay, Summarize Spoken Text):
+// sentence splitting, spelling against a list of known misspellings and a handful of grammar
+// rules for the mistakes learners make most. No network, no large grammar model.
+// Loads as a CommonJS module or as the `PTEWriting` global (after scoring/index.js).
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./index.js"));
+  else root.PTEWriting = factory(root.PTEScoring);
+})(typeof self !== "undefined" ? self : this, function (scoring) {
+  "use strict";
+
+  const { tokenize } = scoring;
+
+  // Titles come before a capitalised name; the other abbreviations can also end a sentence.
+  const TITLES = new Set(["mr", "mrs", "ms", "dr", "prof"]);
+  const ABBREVIATIONS = new Set(["st", "jr", "sr", "vs", "etc", "approx", "fig", "inc", "ltd", "co", "dept", "govt"]);
+
+  const lastWord = (chunk) => (chunk.match(/(\w+)\.$/) || ["", ""])[1].toLowerCase();
+  const endsWithTitle = (chunk) => TITLES.has(lastWord(chunk));
+  // A full stop after a single letter (U.S., e.g., plan B.) or a listed abbreviation.
+  const endsWithAbbreviation = (chunk) => /(^|[\s.(])[a-z]\.$/i.test(chunk) || endsWithTitle(chunk) || ABBREVIATIONS.has(lastWord(chunk));
+
+  // Sentences end at . ! ? followed by space/end; a trailing fragment without a full stop still counts.
+  // After a title the sentence always goes on ("Dr. Smith"); after another abbreviation only when
+  // the next word is lower case or a number ("the U.S. economy", but "a plan B. Then…").
+  function splitSentences(text) {
+    const sentences = [];
+    let current = "";
+    const chunks = String(text || "").trim().split(/(?<=[.!?])\s+/);
+    chunks.forEach((chunk, i) => {
+      current = current ? `${current} ${chunk}` : chunk;
+      const next = chunks[i + 1] || "";
+      const continues = endsWithTitle(chunk) || (endsWithAbbreviation(chunk) && /^[a-z0-9]/.test(next));
+      if (!continues) { sentences.push(current); current = ""; }
+    });
+    if (current) sentences.push(current);
+    return sentences.filter((x) => x.trim());
+  }
+
+  // Only words on this list are flagged: a near-miss search over a small word list flags real
+  // words (move ➜ more, live ➜ life) and costs learners points they did not lose.
+  const COMMON_MISSPELLINGS = {
+    recieve: "receive", beleive: "believe", definately: "definitely", goverment: "government", enviroment: "environment",
+    occured: "occurred", seperate: "separate", untill: "until", wich: "which", thier: "their", becuase: "because",
+    acheive: "achieve", arguement: "argument", begining: "beginning", buisness: "business", commitee: "committee",
+    concious: "conscious", existance: "existence", familar: "familiar", foriegn: "foreign", goverments: "governments",
+    independant: "independent", knowlege: "knowledge", neccessary: "necessary", noticable: "noticeable", occassion: "occasion",
+    posession: "possession", prefered: "preferred", publically: "publicly", reccomend: "recommend", refered: "referred",
+    relevent: "relevant", sucessful: "successful", tommorow: "tomorrow", truely: "truly", wierd: "weird", writting: "writing",
+    accomodate: "accommodate", adress: "address", alot: "a lot", apparantly: "apparently", basicly: "basically",
+    beautifull: "beautiful", calender: "calendar", carefull: "careful", completly: "completely", developement: "development",
+    dissapear: "disappear", embarass: "embarrass", enviromental: "environmental", finaly: "finally", freind: "friend",
+    greatful: "grateful", happend: "happened", immediatly: "immediately", infomation: "information", intresting: "interesting",
+    mispell: "misspell", oppurtunity: "opportunity", particulary: "particularly", peice: "piece", politican: "politician",
+    posible: "possible", probaly: "probably", proffesional: "professional", realy: "really", recomend: "recommend",
+    responsability: "responsibility", sucess: "success", suprise: "surprise", technolgy: "technology",
+    tomorow: "tomorrow", usefull: "useful", wether: "whether", whith: "with",
+  };
+
+  // `extraWords` (prompt or passage text) are never flagged, whatever the list says.
+  function checkSpelling(text, extraWords = []) {
+    const allowed = new Set(extraWords.flatMap(tokenize));
+    const issues = [];
+    const seen = new Set();
+    tokenize(text).forEach((w) => {
+      if (seen.has(w) || allowed.has(w)) return;
+      seen.add(w);
+      if (Object.prototype.hasOwnProperty.call(COMMON_MISSPELLINGS, w)) issues.push({ type: "spelling", word: w, suggestion: COMMON_MISSPELLINGS[w] });
+    });
+    return issues;
+  }
+
+  const AUXILIARY_BEFORE = /\b(can|could|will|would|shall|should|may|might|must|do|does|did|doesn't|didn't|won't|wouldn't|can't|couldn't|shouldn't)\s+$/i;
+
+  const GRAMMAR_RULES = [
+    { re: /\b(\w+)\s+\1\b/gi, message: "Repeated word", skip: (m) => /^(that|had)$/i.test(m[1]) },
+    { re: /\ba\s+(?!(?:uni|use|eu|one|once|u\b))[aeiou]\w*/gi, message: "Use “an” before a vowel sound" },
+    { re: /\ban\s+(?!(?:h(?:our|onest|onou?r|eir)))[b-df-hj-np-tv-z]\w*/gi, message: "Use “a” before a consonant sound" },
+    // "Does it have…", "Would he have…": a modal or do/does/did before the subject takes the base verb
+    { re: /\b(he|she|it)\s+(don't|have|are|were)\b/gi, message: "Subject–verb agreement", skip: (m, text, idx) => AUXILIARY_BEFORE.test(text.slice(0, idx)) },
+    { re: /\b(they|we|you)\s+(is|was|has|doesn't)\b/gi, message: "Subject–verb agreement" },
+    { re: /\bthere\s+is\s+(many|several|few|two|three|lots)\b/gi, message: "Use “there are” with a plural" },
+    { re: /(^|[.!?]\s+)([a-z]\w*)/g, message: "Start sentences with a capital letter", group: 2, skip: (m, text, idx) => m[1] !== "" && endsWithAbbreviation(text.slice(0, idx + 1)) },
+    { re: /\si\s/g, message: "Capitalise the pronoun “I”" },
+    { re: /\s+[,.;:]/g, message: "No space before punctuation" },
+    // skip decimals (3.5) and abbreviations made of single letters (e.g., U.K.)
+    { re: /[,.;:](?=[A-Za-z])/g, message: "Add a space after punctuation", skip: (m, text, idx) => /\d/.test(text[idx - 1] || "") || /(^|[^a-z])[a-z]$/i.test(text.slice(Math.max(0, idx - 2), idx)) },
+  ];
+
+  function checkGrammar(text) {
+    const issues = [];
+    GRAMMAR_RULES.forEach((rule) => {
+      rule.re.lastIndex = 0;
+      let m;
+      while ((m = rule.re.exec(text))) {
+        if (!(rule.skip && rule.skip(m, text, m.index))) issues.push({ type: "grammar", message: rule.message, excerpt: m[rule.group || 0].trim() });
+        if (m[0] === "") rule.re.lastIndex++;
+      }
+    });
+    return issues;
+  }
+
+  return { splitSentences, COMMON_MISSPELLINGS, checkSpelling, GRAMMAR_RULES, checkGrammar };
+});
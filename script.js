@@ -1,52 +1,215 @@
-let mediaRecorder;
-let audioChunks = [];
+// Read Aloud practice with no build step: load a passage, prepare, record, transcribe with the
+// browser's speech recognition and score with the same scoring module (scoring/index.js) as the React app.
+const PREP_SEC = 40;
+const RESPONSE_SEC = 60;
+const SILENCE_STOP_SEC = 3;
+
+const PASSAGES = [
+  "The Industrial Revolution was a period of profound change during the late eighteenth and early nineteenth centuries. It marked a shift from agrarian economies to industrialized production powered by new technologies, transforming work, transport, and society.",
+  "Coral reefs cover less than one percent of the ocean floor, yet they support roughly a quarter of all marine species. Rising sea temperatures cause bleaching, which weakens reefs and threatens the communities that depend on them for food and tourism.",
+  "Many universities now combine online lectures with small group seminars. This blended approach allows students to review material at their own pace while still benefiting from discussion, feedback, and collaboration with their peers.",
+];
+
+const WARNINGS = {
+  clipping: "Input is clipping. Move back from the microphone. ⚠️",
+  quiet: "Input is very quiet. Move closer to the microphone. ⚠️",
+};
+const STOP_MESSAGES = {
+  silence: `Recording stopped after ${SILENCE_STOP_SEC} seconds of silence.`,
+  time: "Recording stopped at the time limit.",
+  manual: "Recording stopped.",
+};
+
+let passageIdx = 0;
+let prepTimer;
+let recorder;
+let recognition;
 let audioURL;
-let stream;
+let attempt = null; // { durationSec, acoustic } of the last recording
 
+const passage = document.getElementById("passage");
+const sampleBtn = document.getElementById("sampleBtn");
+const prepBtn = document.getElementById("prepBtn");
 const startBtn = document.getElementById("startBtn");
 const stopBtn = document.getElementById("stopBtn");
 const playBtn = document.getElementById("playBtn");
+const scoreBtn = document.getElementById("scoreBtn");
+const timer = document.getElementById("timer");
 const status = document.getElementById("status");
+const meter = document.getElementById("meter");
 const audioPlayback = document.getElementById("audioPlayback");
+const transcript = document.getElementById("transcript");
+const results = document.getElementById("results");
+
+const fmt = (sec) => `${String(Math.floor(sec / 60)).padStart(2, "0")}:${String(sec % 60).padStart(2, "0")}`;
+
+function setRecording(on) {
+  sampleBtn.disabled = on;
+  prepBtn.disabled = on;
+  startBtn.disabled = on;
+  stopBtn.disabled = !on;
+}
+
+function updateScoreBtn() {
+  scoreBtn.disabled = !attempt || !transcript.value.trim() || !passage.value.trim();
+}
 
-startBtn.addEventListener("click", async () => {
+function loadPassage(i) {
+  passageIdx = i % PASSAGES.length;
+  passage.value = PASSAGES[passageIdx];
+  resetAttempt();
+}
+
+function resetAttempt() {
+  clearInterval(prepTimer);
+  attempt = null;
+  transcript.value = "";
+  results.hidden = true;
+  timer.textContent = `Prep ${fmt(PREP_SEC)}`;
+  updateScoreBtn();
+}
+
+// Live transcript from the browser (Chrome, Edge, Safari). Elsewhere the user types it.
+function startRecognition() {
+  const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
+  if (!SR) return null;
+  const rec = new SR();
+  rec.lang = "en-US";
+  rec.continuous = true;
+  rec.interimResults = true;
+  let final = "";
+  rec.onresult = (e) => {
+    let interim = "";
+    for (let i = e.resultIndex; i < e.results.length; i++) {
+      const res = e.results[i];
+      if (res.isFinal) final += res[0].transcript + " ";
+      else interim += res[0].transcript;
+    }
+    transcript.value = (final + interim).trim();
+    updateScoreBtn();
+  };
+  rec.onerror = (e) => console.warn("Speech recognition error", e.error);
   try {
-    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-    mediaRecorder = new MediaRecorder(stream);
-
-    audioChunks = [];
-    mediaRecorder.ondataavailable = event => {
-      if (event.data.size > 0) {
-        audioChunks.push(event.data);
-      }
-    };
-
-    mediaRecorder.onstop = () => {
-      const audioBlob = new Blob(audioChunks, { type: "audio/webm" });
-      audioURL = URL.createObjectURL(audioBlob);
-      audioPlayback.src = audioURL;
-      playBtn.disabled = false;
-    };
-
-    mediaRecorder.start();
-    status.textContent = "Recording... 🎙️";
-    startBtn.disabled = true;
-    stopBtn.disabled = false;
-  } catch (error) {
-    console.error("Microphone access denied:", error);
-    status.textContent = "Microphone access denied ❌";
+    rec.start();
+    return rec;
+  } catch (e) {
+    console.warn("Speech recognition failed to start", e);
+    return null;
   }
-});
+}
+
+function startPrep() {
+  resetAttempt();
+  let left = PREP_SEC;
+  status.textContent = "Preparation started. Recording starts automatically.";
+  prepTimer = setInterval(() => {
+    left -= 1;
+    timer.textContent = `Prep ${fmt(left)}`;
+    if (left <= 0) startRecording();
+  }, 1000);
+}
+
+async function startRecording() {
+  clearInterval(prepTimer);
+  attempt = null;
+  transcript.value = "";
+  results.hidden = true;
+  updateScoreBtn();
+  recorder = PTERecorder.createRecorder({
+    maxSec: RESPONSE_SEC,
+    silenceStopSec: SILENCE_STOP_SEC,
+    onLevel: ({ level, seconds }) => {
+      meter.value = level;
+      timer.textContent = `Recording ${fmt(Math.floor(seconds))} / ${fmt(RESPONSE_SEC)}`;
+    },
+    onWarning: (kind) => { status.textContent = kind ? WARNINGS[kind] : "Recording... 🎙️"; },
+    onStop: handleRecording,
+    onError: (message) => {
+      status.textContent = `${message} ❌`;
+      setRecording(false);
+    },
+  });
+
+  setRecording(true);
+  if (!(await recorder.start())) return;
+  status.textContent = "Recording... 🎙️";
+  recognition = startRecognition();
+  if (!recognition) transcript.placeholder = "Speech recognition isn't available in this browser. Type what you said.";
+}
 
-stopBtn.addEventListener("click", () => {
-  if (mediaRecorder && mediaRecorder.state === "recording") {
-    mediaRecorder.stop();
-    stream.getTracks().forEach(track => track.stop());
-    status.textContent = "Recording stopped.";
+async function handleRecording({ blob, durationSec, reason }) {
+  if (recognition) {
+    try { recognition.stop(); } catch (e) { /* already stopped */ }
+    recognition = null;
   }
-  startBtn.disabled = false;
-  stopBtn.disabled = true;
-});
+  setRecording(false);
+  meter.value = 0;
+  if (audioURL) URL.revokeObjectURL(audioURL);
+  audioURL = URL.createObjectURL(blob);
+  audioPlayback.src = audioURL;
+  playBtn.disabled = false;
+  status.textContent = `${STOP_MESSAGES[reason]} Check the transcript, then Score.`;
+
+  attempt = { durationSec, acoustic: null };
+  const current = attempt;
+  try {
+    const samples = await PTERecorder.decodeAudioBlob(blob, 16000);
+    current.acoustic = PTEScoring.analyzeAudioFluency(samples, 16000);
+  } catch (e) {
+    console.warn("Acoustic analysis failed", e);
+  }
+  updateScoreBtn();
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function showScores() {
+  const S = PTEScoring;
+  const align = S.analyzeAlignment(passage.value, transcript.value);
+  const fluency = S.estimateFluency(transcript.value, attempt.durationSec || 1, { acoustic: attempt.acoustic, align });
+  const pron = S.estimatePronunciation(align);
+  const overall = S.scoreOverall(align.contentAcc, pron, fluency.fluencyScore);
+
+  document.getElementById("contentScore").textContent = align.contentAcc;
+  document.getElementById("pronScore").textContent = pron;
+  document.getElementById("fluencyScore").textContent = fluency.fluencyScore;
+  document.getElementById("overallScore").textContent = overall;
+  document.getElementById("wpm").textContent = `WPM: ${fluency.wpm} (aim for 95–125)`;
+
+  // the sounds that most often came out as another sound, e.g. /θ/ ➜ /t/ in "think"
+  const ipa = (phone) => (phone ? `/${S.toIpa(phone)}/` : "dropped");
+  const sounds = S.analyzePronunciation(align).sounds.slice(0, 3)
+    .map((s) => `Sound ${ipa(s.expected)} ➜ ${ipa(s.heard)} ×${s.count} in ${s.words.map((w) => `"${w}"`).join(", ")}.`);
+  const feedback = document.getElementById("feedback");
+  feedback.replaceChildren(...fluency.feedback.concat(sounds).map((f) => el("li", "", f)));
+
+  // same colours as the React app's word-by-word feedback
+  const words = document.getElementById("words");
+  words.replaceChildren(...align.ops.map((o) => {
+    if (o.type === "inserted") return el("s", "word inserted", o.hyp);
+    const span = el("span", `word ${o.type === "correct" || o.type === "approx" ? o.type : "missed"}`, o.ref);
+    if (o.type === "substituted") span.title = `You said "${o.hyp}"`;
+    else if (o.type === "omitted") span.title = "Omitted";
+    else if (o.type === "approx") span.title = `Heard "${o.hyp}"`;
+    return span;
+  }));
+
+  results.hidden = false;
+  status.textContent = "Scored. Try again or load another passage.";
+}
+
+sampleBtn.addEventListener("click", () => loadPassage(passageIdx + 1));
+prepBtn.addEventListener("click", startPrep);
+startBtn.addEventListener("click", startRecording);
+stopBtn.addEventListener("click", () => { if (recorder) recorder.stop(); });
+scoreBtn.addEventListener("click", showScores);
+transcript.addEventListener("input", updateScoreBtn);
+passage.addEventListener("input", updateScoreBtn);
 
 playBtn.addEventListener("click", () => {
   if (audioURL) {
@@ -54,3 +217,5 @@ playBtn.addEventListener("click", () => {
     status.textContent = "Playing recording ▶️";
   }
 });
+
+loadPassage(0);